@@ -0,0 +1,380 @@
+import { render, screen, fireEvent, act, waitFor } from '@testing-library/react';
+import App from './App';
+import { saveValue, loadValue } from './storage';
+import { enableLock, initLock, flushWrites } from './lock';
+import { createBackup } from './backup';
+import { FOG_SETTLE_MS } from './alerts';
+import { toDayKey } from './dates';
+
+beforeAll(() => {
+  // ResponsiveContainer (recharts) observe la taille de son parent
+  window.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+});
+
+beforeEach(() => {
+  window.localStorage.clear();
+  initLock();
+  window.history.replaceState(null, "", "/");
+  // Interface en français, quelle que soit la langue du navigateur de test
+  window.localStorage.setItem('pilot_locale', JSON.stringify({ version: 1, data: 'fr' }));
+  // jsdom ne calcule pas la mise en page : recharts signale des graphiques de taille nulle
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+const stored = (key: string) => JSON.parse(window.localStorage.getItem(key) || 'null').data;
+
+const addLog = (text: string) => {
+  fireEvent.change(screen.getByPlaceholderText("Aujourd'hui, j'ai..."), { target: { value: text } });
+  fireEvent.click(screen.getByTitle("Ajouter au journal"));
+};
+
+test('navigates between the four tabs', () => {
+  render(<App />);
+  expect(screen.getByText("Calibrage des Capteurs")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText("Topo"));
+  expect(screen.getByText("Altitude & Matériel")).toBeInTheDocument();
+  expect(screen.queryByText("Calibrage des Capteurs")).toBeNull();
+
+  fireEvent.click(screen.getByText("Cockpit"));
+  expect(screen.getByText("Journal & Urgences")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText("Mission"));
+  expect(screen.getByText("Autorisation de Vol")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText("Radar"));
+  expect(screen.getByText("Calibrage des Capteurs")).toBeInTheDocument();
+});
+
+test('updates the fog analysis as the slider moves', () => {
+  render(<App />);
+  // Brouillard par défaut : 75 %
+  expect(screen.getByText("CRITIQUE")).toBeInTheDocument();
+
+  const [fog] = screen.getAllByRole('slider');
+  fireEvent.change(fog, { target: { value: '50' } });
+  expect(screen.getByText("INTERMÉDIAIRE")).toBeInTheDocument();
+  fireEvent.change(fog, { target: { value: '20' } });
+  expect(screen.getByText("OPTIMAL")).toBeInTheDocument();
+  expect(stored('pilot_radar').fog).toBe(20);
+});
+
+test('offers the SOS on critical fog and records the episode', () => {
+  jest.useFakeTimers();
+  render(<App />);
+  // Valeurs par défaut (75 %) : aucun relevé, aucune alerte
+  expect(screen.queryByRole('alert')).toBeNull();
+
+  const [fog] = screen.getAllByRole('slider');
+  // Traversée de la zone critique sans s'y arrêter : pas d'épisode
+  fireEvent.change(fog, { target: { value: '95' } });
+  fireEvent.change(fog, { target: { value: '40' } });
+  act(() => { jest.advanceTimersByTime(FOG_SETTLE_MS); });
+  expect(window.localStorage.getItem('pilot_fog_episodes')).toBeNull();
+
+  fireEvent.change(fog, { target: { value: '85' } });
+  expect(screen.getByRole('alert')).toHaveTextContent("Brouillard critique (85%)");
+  act(() => { jest.advanceTimersByTime(FOG_SETTLE_MS); });
+  expect(screen.getByText("Épisodes critiques")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText("Lancer le SOS"));
+  expect(window.location.hash).toBe('#/cockpit/sos');
+  expect(screen.queryByRole('alert')).toBeNull();
+  const [episode] = stored('pilot_fog_episodes');
+  expect(episode).toMatchObject({ endedAt: null, snapshot: { fog: 85 } });
+  expect(episode.sosAt).not.toBeNull();
+});
+
+test('records critical fog that did not come from the slider, and keeps the alert dismissed', () => {
+  jest.useFakeTimers();
+  // Relevé du jour arrivé par une sauvegarde, sans toucher au curseur
+  saveValue('pilot_radar_history', [{ date: toDayKey(), inner: 50, fog: 90, sensors: [] }]);
+  render(<App />);
+  expect(screen.getByRole('alert')).toHaveTextContent("Brouillard critique (90%)");
+
+  fireEvent.click(screen.getByTitle("Plus tard"));
+  act(() => { jest.advanceTimersByTime(FOG_SETTLE_MS); });
+  expect(stored('pilot_fog_episodes')).toEqual([expect.objectContaining({ endedAt: null, peakFog: 90 })]);
+  expect(screen.queryByRole('alert')).toBeNull();
+});
+
+test('adds, renames and removes radar sensors', () => {
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  render(<App />);
+  fireEvent.click(screen.getByText("Configurer les capteurs"));
+
+  fireEvent.change(screen.getByPlaceholderText("Nouveau capteur (sport, réseaux...)"), { target: { value: "Sport" } });
+  fireEvent.click(screen.getByTitle("Ajouter le capteur"));
+  // Brouillard, voix intérieure, quatre capteurs d'origine et le nouveau
+  expect(screen.getAllByRole('slider')).toHaveLength(7);
+  expect(stored('pilot_radar').sensors.map((s: { label: string }) => s.label)).toEqual(["", "", "", "", "Sport"]);
+
+  const [peers] = screen.getAllByLabelText("Nom du capteur");
+  fireEvent.change(peers, { target: { value: "Coéquipiers" } });
+  expect(screen.getAllByText("Coéquipiers").length).toBeGreaterThan(0);
+
+  screen.getAllByTitle("Retirer").slice(0, 4).forEach(button => fireEvent.click(button));
+  expect(screen.getAllByRole('slider')).toHaveLength(3);
+  expect(stored('pilot_radar').sensors).toEqual([expect.objectContaining({ label: "Sport", value: 50 })]);
+  expect(stored('pilot_radar_history')[0].sensors).toHaveLength(1);
+});
+
+test('checks a carabiner off for today and counts it on the Mission page', () => {
+  saveValue('pilot_goal', { goals: [{ id: 1, title: "Bac", carb_physical: "20 pompes" }], selectedId: 1 });
+  render(<App />);
+  fireEvent.click(screen.getByText("Topo"));
+
+  // Mousqueton vide : rien à cocher
+  expect(screen.getByTitle("Cocher « Cognitif » pour aujourd'hui")).toBeDisabled();
+  const physical = screen.getByTitle("Cocher « Physique » pour aujourd'hui");
+  fireEvent.click(physical);
+  expect(physical).toHaveAttribute('aria-pressed', 'true');
+  expect(screen.getByText("7 j : 14% · 28 j : 4%")).toBeInTheDocument();
+
+  const today = new Date();
+  const todayKey = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+  expect(stored('pilot_goal').goals[0].checks).toEqual({ [todayKey]: ['carb_physical'] });
+
+  fireEvent.click(screen.getByText("Mission"));
+  // 1 coche sur 3 mousquetons x 7 jours
+  expect(screen.getByText(/Coche tes mousquetons chaque jour pour passer de 5%/)).toBeInTheDocument();
+});
+
+test('adds log entries and clears them only once confirmed', () => {
+  const confirm = jest.spyOn(window, 'confirm').mockReturnValue(false);
+  render(<App />);
+  fireEvent.click(screen.getByText("Cockpit"));
+
+  addLog("Lu 10 pages");
+  addLog("   ");
+  expect(screen.getByText("Lu 10 pages")).toBeInTheDocument();
+  expect(screen.getByText("1 entrée")).toBeInTheDocument();
+  expect(stored('pilot_logs').map((log: { domain: string }) => log.domain)).toEqual(["Lu 10 pages"]);
+
+  fireEvent.click(screen.getByTitle("Réinitialiser l'historique"));
+  expect(confirm).toHaveBeenCalledWith("Réinitialiser l'historique de vol ?");
+  expect(screen.getByText("Lu 10 pages")).toBeInTheDocument();
+
+  confirm.mockReturnValue(true);
+  fireEvent.click(screen.getByTitle("Réinitialiser l'historique"));
+  expect(screen.queryByText("Lu 10 pages")).toBeNull();
+  expect(stored('pilot_logs')).toEqual([]);
+});
+
+test('undoes several deletions one by one', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText("Cockpit"));
+  addLog("Lu 10 pages");
+  addLog("20 pompes");
+
+  screen.getAllByTitle("Supprimer").forEach(button => fireEvent.click(button));
+  expect(screen.getByText("2 entrées supprimées")).toBeInTheDocument();
+  expect(stored('pilot_logs')).toEqual([]);
+
+  // La dernière supprimée revient d'abord, puis la précédente
+  fireEvent.click(screen.getByText("Annuler"));
+  expect(screen.getByText("Entrée supprimée")).toBeInTheDocument();
+  expect(stored('pilot_logs').map((log: { domain: string }) => log.domain)).toEqual(["Lu 10 pages"]);
+
+  fireEvent.click(screen.getByText("Annuler"));
+  expect(screen.queryByText("Entrée supprimée")).toBeNull();
+  expect(stored('pilot_logs').map((log: { domain: string }) => log.domain)).toEqual(["Lu 10 pages", "20 pompes"]);
+});
+
+test('shows this week\'s entries in the printable debrief', () => {
+  const print = jest.spyOn(window, 'print').mockImplementation(() => {});
+  render(<App />);
+  fireEvent.click(screen.getByText("Cockpit"));
+  addLog("Lu 10 pages");
+
+  fireEvent.click(screen.getByTitle("Bilan de la semaine"));
+  expect(window.location.hash).toBe('#/cockpit/debrief');
+  expect(screen.getByText("+1% Lu 10 pages")).toBeInTheDocument();
+  expect(screen.getByText("1 entrée · 1 jour(s) actif(s) sur 7")).toBeInTheDocument();
+  expect(screen.getByTitle("Semaine suivante")).toBeDisabled();
+
+  fireEvent.click(screen.getByText("Imprimer / PDF"));
+  expect(print).toHaveBeenCalled();
+
+  // Semaine précédente : rien
+  fireEvent.click(screen.getByTitle("Semaine précédente"));
+  expect(screen.queryByText("+1% Lu 10 pages")).toBeNull();
+  expect(screen.getAllByText("Aucune entrée")).toHaveLength(7);
+});
+
+test('edits a log entry and tags it with a carabiner', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText("Cockpit"));
+  addLog("Lu 10 pages");
+
+  fireEvent.click(screen.getByTitle("Modifier"));
+  fireEvent.change(screen.getByDisplayValue("Lu 10 pages"), { target: { value: "Lu 20 pages" } });
+  // Le sélecteur de la ligne en cours d'édition suit celui du formulaire d'ajout
+  fireEvent.click(screen.getAllByTitle("Cognitif").pop() as HTMLElement);
+  fireEvent.click(screen.getByText("OK"));
+
+  expect(screen.getByText("Lu 20 pages")).toBeInTheDocument();
+  expect(stored('pilot_logs')).toEqual([expect.objectContaining({ domain: "Lu 20 pages", category: 'carb_cognitive' })]);
+
+  // Annuler garde l'entrée telle quelle ; recliquer le mousqueton le retire
+  fireEvent.click(screen.getByTitle("Modifier"));
+  fireEvent.click(screen.getAllByTitle("Cognitif").pop() as HTMLElement);
+  fireEvent.click(screen.getByText("Annuler"));
+  expect(stored('pilot_logs')[0].category).toBe('carb_cognitive');
+
+  fireEvent.click(screen.getByTitle("Modifier"));
+  fireEvent.click(screen.getAllByTitle("Cognitif").pop() as HTMLElement);
+  fireEvent.click(screen.getByText("OK"));
+  expect(stored('pilot_logs')[0].category).toBeUndefined();
+});
+
+test('toggles the crisis protocol and logs the interrupted session', async () => {
+  render(<App />);
+  fireEvent.click(screen.getByText("Cockpit"));
+  expect(screen.queryByText("MODE SURVIE ACTIVÉ")).toBeNull();
+
+  fireEvent.click(screen.getByText("SOS CRASH"));
+  expect(screen.getByText("MODE SURVIE ACTIVÉ")).toBeInTheDocument();
+  expect(screen.queryByText("SOS CRASH")).toBeNull();
+  expect(window.location.hash).toBe('#/cockpit/sos');
+
+  // Fermer revient en arrière dans l'historique : la sortie est asynchrone
+  fireEvent.click(screen.getByText("Fermer"));
+  expect(await screen.findByText("SOS CRASH")).toBeInTheDocument();
+  expect(screen.queryByText("MODE SURVIE ACTIVÉ")).toBeNull();
+  expect(window.location.hash).toBe('#/cockpit');
+  expect(stored('pilot_crisis_log')).toEqual([expect.objectContaining({ completed: false, after: null })]);
+});
+
+test('logs the crisis session when the browser leaves SOS', async () => {
+  render(<App />);
+  fireEvent.click(screen.getByText("Cockpit"));
+  fireEvent.click(screen.getByText("SOS CRASH"));
+  fireEvent.click(screen.getByText("7"));
+
+  act(() => window.history.back());
+  expect(await screen.findByText("SOS CRASH")).toBeInTheDocument();
+  expect(stored('pilot_crisis_log')).toEqual([expect.objectContaining({ completed: false, before: 7, after: null })]);
+});
+
+test('opens deep links and follows the browser history', async () => {
+  window.history.replaceState(null, "", "#/cockpit/sos");
+  render(<App />);
+  expect(screen.getByText("MODE SURVIE ACTIVÉ")).toBeInTheDocument();
+
+  // Arrivée par lien direct : fermer remplace l'entrée au lieu de quitter l'app
+  fireEvent.click(screen.getByText("Fermer"));
+  expect(screen.getByText("SOS CRASH")).toBeInTheDocument();
+  expect(window.location.hash).toBe('#/cockpit');
+
+  fireEvent.click(screen.getByText("Mission"));
+  expect(window.location.hash).toBe('#/mission');
+  fireEvent.click(screen.getByTitle("Réglages"));
+  expect(screen.getByText("Moteur de Gravité")).toBeInTheDocument();
+  expect(window.location.hash).toBe('#/mission/settings');
+
+  act(() => window.history.back());
+  await waitFor(() => expect(screen.queryByText("Moteur de Gravité")).toBeNull());
+  expect(screen.getByText("Autorisation de Vol")).toBeInTheDocument();
+
+  act(() => window.history.back());
+  expect(await screen.findByText("Journal & Urgences")).toBeInTheDocument();
+});
+
+test('shows the cohort report only from the anonymity threshold', async () => {
+  window.history.replaceState(null, "", "#/mission/cohort");
+  render(<App />);
+  const load = (day: number) => {
+    const text = JSON.stringify({ ...createBackup(), exportedAt: `2024-03-0${day}T12:00:00.000Z` });
+    const file = new File([text], `pilote-${day}.json`);
+    // jsdom ne fournit pas Blob.text()
+    file.text = () => Promise.resolve(text);
+    fireEvent.change(screen.getByLabelText("Exports des pilotes"), { target: { files: [file] } });
+  };
+
+  load(1);
+  load(2);
+  expect(await screen.findByText("Pilote 2")).toBeInTheDocument();
+  expect(screen.getByText(/Moins de 3 pilotes/)).toBeInTheDocument();
+  expect(screen.queryByText("Radar moyen")).toBeNull();
+  expect(screen.queryByText("Imprimer")).toBeNull();
+
+  load(3);
+  expect(await screen.findByText("Radar moyen")).toBeInTheDocument();
+  expect(screen.getByText("Imprimer")).toBeInTheDocument();
+  expect(screen.queryByText(/Moins de 3 pilotes/)).toBeNull();
+});
+
+test('keeps the phone mock-up for demos only', () => {
+  const { unmount } = render(<App />);
+  expect(screen.queryByText("09:41")).toBeNull();
+  expect(screen.getByText("Mode démo (maquette de téléphone)")).toHaveAttribute('href', '/?demo#/radar');
+  unmount();
+
+  window.history.replaceState(null, "", "/?demo#/mission");
+  render(<App />);
+  expect(screen.getByText("09:41")).toBeInTheDocument();
+  expect(screen.getByText("Autorisation de Vol")).toBeInTheDocument();
+  expect(screen.getByText("Quitter le mode démo")).toHaveAttribute('href', '/#/mission');
+});
+
+test('keeps personal data locked but the SOS reachable', async () => {
+  saveValue('pilot_crisis', { ...loadValue('pilot_crisis'), contacts: [{ id: 'a', name: "Léa", phone: "0600000000" }] });
+  await enableLock('4321');
+  initLock();
+  const { container } = render(<App />);
+  expect(screen.getByText("Pilot est verrouillé")).toBeInTheDocument();
+
+  // SOS sans déverrouiller : étapes génériques seulement, aucun contact
+  fireEvent.click(screen.getByText("SOS CRASH"));
+  expect(window.location.hash).toBe('#/cockpit/sos');
+  fireEvent.click(screen.getByText("Passer"));
+  while (screen.queryByText("Suivant")) {
+    expect(container.textContent).not.toContain("Léa");
+    fireEvent.click(screen.getByText("Suivant"));
+  }
+  fireEvent.click(screen.getByText("Terminer"));
+  expect(await screen.findByText("Pilot est verrouillé")).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText("Code"), { target: { value: "0000" } });
+  fireEvent.click(screen.getByText("Déverrouiller"));
+  expect(await screen.findByText("Code incorrect.")).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText("Code"), { target: { value: "4321" } });
+  fireEvent.click(screen.getByText("Déverrouiller"));
+  expect(await screen.findByText("Calibrage des Capteurs")).toBeInTheDocument();
+  expect(loadValue('pilot_crisis').contacts[0].name).toBe("Léa");
+  await act(() => flushWrites());
+});
+
+test('does not auto-lock during an SOS session', async () => {
+  await enableLock('4321', 1);
+  initLock();
+  render(<App />);
+  fireEvent.change(screen.getByLabelText("Code"), { target: { value: "4321" } });
+  fireEvent.click(screen.getByText("Déverrouiller"));
+  expect(await screen.findByText("Calibrage des Capteurs")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText("Cockpit"));
+  fireEvent.click(screen.getByText("SOS CRASH"));
+  // Minuteur de respiration : plus d'une minute sans la moindre interaction
+  jest.spyOn(document, 'visibilityState', 'get').mockReturnValue('visible');
+  jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * 60 * 1000);
+  act(() => { document.dispatchEvent(new Event('visibilitychange')); });
+  expect(screen.getByText("MODE SURVIE ACTIVÉ")).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText("Fermer"));
+  expect(await screen.findByText("SOS CRASH")).toBeInTheDocument();
+  expect(loadValue('pilot_crisis_log')).toEqual([expect.objectContaining({ completed: false })]);
+
+  await act(() => flushWrites());
+});
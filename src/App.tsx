@@ -0,0 +1,488 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+  Activity, Mountain, AlertTriangle, Target, Navigation, Settings, Save, X, RefreshCw, Bell, Users, Lock, ShieldAlert, FileText
+} from 'lucide-react';
+import { getRecoveryEvents } from './storage';
+import { onUpdateAvailable, applyUpdate } from './serviceWorkerRegistration';
+import {
+  dueReminders, upcomingReminders, markDelivered, markScheduled, absorbScheduled,
+  type ReminderSettings, type Reminder, type ReminderContext
+} from './reminders';
+import {
+  showSystemNotification, scheduleNotifications, cancelScheduledNotifications
+} from './notifier';
+import { type BackupValues } from './backup';
+import { toDayKey, isoToDayKey } from './dates';
+import { LOCALES, createTranslator, type Locale } from './i18n';
+import { computeLogMetrics } from './metrics';
+import { EMPTY_GOAL, createGoal, getSelectedGoal, goalScoringInput, type Goal, type GoalsState } from './goals';
+import { calculateMatrix, type ScoringConfig } from './scoring';
+import { type CrisisPlan, type CrisisSession } from './crisis';
+import { evaluateFogAlert, trackFogEpisode, markEpisodeSos, openEpisode, FOG_SETTLE_MS, type FogEpisode } from './alerts';
+import { type DebriefInput } from './debrief';
+import {
+  type RadarState, type RadarSnapshot, type TrajectoryPoint, type CarabinerKey,
+  type LogEntry
+} from './types';
+import { isDemoMode, type Tab, type Panel } from './routes';
+import { useLocalStorage } from './hooks/useLocalStorage';
+import { useRoute } from './hooks/useRoute';
+import { I18nContext, useI18n } from './hooks/useI18n';
+import { useAppLock, type AppLock } from './hooks/useAppLock';
+import { ScoringPanel } from './components/ScoringPanel';
+import { RemindersPanel } from './components/RemindersPanel';
+import { BackupPanel } from './components/BackupPanel';
+import { CohortPanel } from './components/CohortPanel';
+import { DebriefPanel } from './components/DebriefPanel';
+import { LockPanel } from './components/LockPanel';
+import { LockScreen } from './components/LockScreen';
+import { Shell, DemoShell, type NavItem } from './components/Shell';
+import { PageRadar } from './pages/PageRadar';
+import { PageAscension } from './pages/PageAscension';
+import { PageCockpit } from './pages/PageCockpit';
+import { PageMission } from './pages/PageMission';
+
+// --- MAIN APP SHELL ---
+
+const TAB_ICONS: { id: Tab, icon: typeof Navigation }[] = [
+  { id: 'radar', icon: Navigation },
+  { id: 'ascension', icon: Mountain },
+  { id: 'cockpit', icon: Activity },
+  { id: 'mission', icon: Target },
+];
+
+// Monté seulement une fois l'app déverrouillée : les clés chiffrées sont alors lisibles
+const PilotApp = ({ appLock }: { appLock: AppLock }) => {
+  const { locale, t, setLocale } = useI18n();
+
+  // Page, mode SOS et panneau ouvert viennent de l'URL : voir routes.ts
+  const { route, navigate, leave } = useRoute();
+  const activeTab = route.tab;
+
+  const openTab = (tab: Tab) => navigate({ tab, crisis: false, panel: null });
+  const openPanel = (panel: Panel) => navigate({ ...route, panel });
+  const closePanel = () => leave({ ...route, panel: null });
+  const setCrisisMode = (open: boolean) => (open ? navigate({ ...route, crisis: true }) : leave({ ...route, crisis: false }));
+
+  // Pas de verrouillage automatique pendant un SOS : le minuteur de respiration
+  // ne produit aucune interaction, et la séance s'enregistre à la sortie du SOS
+  // (une fois l'app verrouillée, les écritures sont refusées)
+  const { pauseAutoLock } = appLock;
+  useEffect(() => {
+    pauseAutoLock(route.crisis);
+    return () => pauseAutoLock(false);
+  }, [route.crisis, pauseAutoLock]);
+
+  // Maquette de téléphone d'origine, pour les démos : ?demo dans l'adresse
+  const [demoMode] = useState(() => isDemoMode(window.location.search));
+
+  // --- PERSISTENT STATE ---
+  
+  const [radarData, setRadarData] = useLocalStorage<RadarState>('pilot_radar');
+
+  // Un relevé par jour : le dernier calibrage de la journée écrase le précédent
+  const [radarHistory, setRadarHistory] = useLocalStorage<RadarSnapshot[]>('pilot_radar_history');
+
+  const [goalData, setGoalData] = useLocalStorage<GoalsState>('pilot_goal');
+
+  const [plusOneLogs, setPlusOneLogs] = useLocalStorage<LogEntry[]>('pilot_logs');
+
+  const [crisisData, setCrisisData] = useLocalStorage<CrisisPlan>('pilot_crisis');
+
+  // Une entrée par activation du mode SOS
+  const [crisisLog, setCrisisLog] = useLocalStorage<CrisisSession[]>('pilot_crisis_log');
+
+  // Passages en brouillard critique, avec le relevé du radar au plus fort
+  const [fogEpisodes, setFogEpisodes] = useLocalStorage<FogEpisode[]>('pilot_fog_episodes');
+
+  const [scoringConfig, setScoringConfig] = useLocalStorage<ScoringConfig>('pilot_scoring');
+
+  // Une position (x, y) par jour sur la matrice de gravité
+  const [trajectory, setTrajectory] = useLocalStorage<TrajectoryPoint[]>('pilot_trajectory');
+
+  const [reminderSettings, setReminderSettings] = useLocalStorage<ReminderSettings>('pilot_reminders');
+
+  // Données illisibles mises de côté au chargement
+  const [recoveryEvents, setRecoveryEvents] = useState(() => getRecoveryEvents());
+  const [pendingUpdate, setPendingUpdate] = useState<ServiceWorkerRegistration | null>(null);
+
+  useEffect(() => onUpdateAvailable(setPendingUpdate), []);
+
+  // --- LANGUE ---
+
+  const localeIndex = LOCALES.findIndex(l => l.id === locale);
+  const nextLocale = LOCALES[(localeIndex + 1) % LOCALES.length].id;
+
+  const todayKey = toDayKey();
+  const logMetrics = useMemo(() => computeLogMetrics(plusOneLogs), [plusOneLogs]);
+  const selectedGoal = getSelectedGoal(goalData) || EMPTY_GOAL;
+  const matrixPosition = useMemo(
+    () => calculateMatrix(radarData, goalScoringInput(selectedGoal, todayKey), logMetrics, scoringConfig),
+    [radarData, selectedGoal, todayKey, logMetrics, scoringConfig]
+  );
+
+  // --- ALERTES BROUILLARD ---
+
+  const fogAlert = useMemo(
+    () => evaluateFogAlert(radarHistory, fogEpisodes, todayKey),
+    [radarHistory, fogEpisodes, todayKey]
+  );
+  // Écartée jusqu'au lendemain
+  const fogAlertKey = fogAlert ? `${fogAlert.rule}-${todayKey}` : null;
+  const [dismissedFogAlert, setDismissedFogAlert] = useState<string | null>(null);
+
+  // Épisodes suivis sur le relevé du jour une fois stabilisé, quelle que soit
+  // son origine (curseur, clavier, sauvegarde restaurée ou fusionnée)
+  const todayReading = useMemo(() => {
+    const snapshot = radarHistory.find(s => s.date === todayKey);
+    if (!snapshot) return null;
+    const { date, ...reading } = snapshot;
+    return reading;
+  }, [radarHistory, todayKey]);
+
+  useEffect(() => {
+    if (!todayReading) return;
+    const timer = setTimeout(() => setFogEpisodes(prev => trackFogEpisode(prev, todayReading)), FOG_SETTLE_MS);
+    return () => clearTimeout(timer);
+  }, [todayReading, setFogEpisodes]);
+
+  // SOS lancé avant la fin du délai : l'épisode est ouvert sur-le-champ
+  const startSosFromAlert = () => {
+    if (fogAlert && fogAlert.rule === 'critical' && todayReading) {
+      setFogEpisodes(prev => {
+        const episodes = trackFogEpisode(prev, todayReading);
+        const episode = openEpisode(episodes);
+        return episode ? markEpisodeSos(episodes, episode.id) : episodes;
+      });
+    }
+    navigate({ tab: 'cockpit', crisis: true, panel: null });
+  };
+
+  // --- RAPPELS ---
+
+  const [reminderBanners, setReminderBanners] = useState<Reminder[]>([]);
+  const reminderContext: ReminderContext = useMemo(() => ({
+    loggedToday: plusOneLogs.some(log => isoToDayKey(log.date) === todayKey),
+    radarToday: radarHistory.some(snapshot => snapshot.date === todayKey),
+    currentStreak: logMetrics.currentStreak,
+    goals: goalData.goals,
+    locale,
+  }), [plusOneLogs, radarHistory, logMetrics, goalData, todayKey, locale]);
+
+  // App ouverte : vérification chaque minute. App masquée : les rappels à venir
+  // sont confiés au service worker si le navigateur sait les programmer.
+  useEffect(() => {
+    const deliver = async (reminder: Reminder) => {
+      const shown = document.visibilityState === 'hidden' &&
+        reminderSettings.systemNotifications &&
+        await showSystemNotification(reminder);
+      if (!shown) setReminderBanners(prev => [...prev.filter(r => r.id !== reminder.id), reminder]);
+    };
+
+    const check = () => {
+      let settings = reminderSettings;
+      if (document.visibilityState === 'visible' && Object.keys(settings.scheduled).length) {
+        cancelScheduledNotifications();
+        settings = absorbScheduled(settings);
+      }
+      const due = dueReminders(settings, reminderContext);
+      settings = markDelivered(settings, due);
+      if (settings !== reminderSettings) setReminderSettings(settings);
+      due.forEach(deliver);
+    };
+
+    const handOff = async () => {
+      if (!reminderSettings.enabled || !reminderSettings.systemNotifications) return;
+      const upcoming = upcomingReminders(reminderSettings, reminderContext);
+      if (upcoming.length && await scheduleNotifications(upcoming)) {
+        setReminderSettings(markScheduled(reminderSettings, upcoming));
+      }
+    };
+
+    const onVisibilityChange = () => (document.visibilityState === 'hidden' ? handOff() : check());
+
+    check();
+    const timer = setInterval(check, 60 * 1000);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    };
+  }, [reminderSettings, reminderContext, setReminderSettings]);
+
+  const openReminder = (reminder: Reminder) => {
+    if (reminder.kind === 'deadline') openTab('ascension');
+    else if (reminder.kind === 'checkin' && reminderContext.loggedToday) openTab('radar');
+    else openTab('cockpit');
+    setReminderBanners(prev => prev.filter(r => r.id !== reminder.id));
+  };
+
+  // Le point du jour suit la position courante ; les jours passés restent figés
+  useEffect(() => {
+    const today = toDayKey();
+    const point = { date: today, x: Math.round(matrixPosition.x * 100) / 100, y: Math.round(matrixPosition.y * 100) / 100 };
+    setTrajectory(prev => {
+      const current = prev.find(p => p.date === today);
+      if (current && current.x === point.x && current.y === point.y) return prev;
+      return [...prev.filter(p => p.date !== today), point];
+    });
+  }, [matrixPosition, setTrajectory]);
+
+  // --- HANDLERS ---
+  const updateRadar = (changes: Partial<RadarState>) => {
+    const next = { ...radarData, ...changes };
+    const today = toDayKey();
+    setRadarData(next);
+    setRadarHistory(prev => [...prev.filter(s => s.date !== today), { ...next, date: today }]);
+  };
+
+  const selectGoal = (id: number) => {
+    setGoalData(prev => ({ ...prev, selectedId: id }));
+  };
+
+  const addGoal = () => {
+    const goal = createGoal();
+    setGoalData(prev => ({ goals: [...prev.goals, goal], selectedId: goal.id }));
+  };
+
+  const updateGoal = (id: number, changes: Partial<Goal>) => {
+    setGoalData(prev => ({ ...prev, goals: prev.goals.map(g => g.id === id ? { ...g, ...changes } : g) }));
+  };
+
+  const deleteGoal = (id: number) => {
+    if (!window.confirm(t('app.confirmDeleteGoal'))) return;
+    setGoalData(prev => {
+      const goals = prev.goals.filter(g => g.id !== id);
+      return { goals, selectedId: prev.selectedId === id ? (goals[0]?.id ?? null) : prev.selectedId };
+    });
+  };
+
+  const addPlusOneLog = (domain: string, category?: CarabinerKey) => {
+    const now = new Date();
+    const newEntry: LogEntry = { id: now.getTime(), date: now.toISOString(), domain };
+    if (category) newEntry.category = category;
+    setPlusOneLogs(prev => [...prev, newEntry]);
+  };
+
+  const updateLog = (id: number, changes: Partial<LogEntry>) => {
+    setPlusOneLogs(prev => prev.map(log => {
+      if (log.id !== id) return log;
+      const updated = { ...log, ...changes };
+      if (!updated.category) delete updated.category;
+      return updated;
+    }));
+  };
+
+  const deleteLog = (id: number) => {
+    setPlusOneLogs(prev => prev.filter(log => log.id !== id));
+  };
+
+  // Réinsère l'entrée à sa place chronologique
+  const restoreLog = (entry: LogEntry) => {
+    setPlusOneLogs(prev => [...prev.filter(log => log.id !== entry.id), entry].sort((a, b) => a.id - b.id));
+  };
+
+  const clearLogs = () => {
+    if(window.confirm(t('app.confirmClearLogs'))) {
+        setPlusOneLogs([]);
+    }
+  };
+
+  const updateCrisis = (changes: Partial<CrisisPlan>) => {
+    setCrisisData(prev => ({ ...prev, ...changes }));
+  };
+
+  // Une séance déjà enregistrée (même id) est remplacée : en StrictMode, le
+  // démontage simulé au premier rendu l'enregistre avant sa vraie fin
+  const logCrisisSession = (session: CrisisSession) => {
+    setCrisisLog(prev => [...prev.filter(s => s.id !== session.id), session]);
+  };
+
+  const backupValues: BackupValues = {
+    pilot_radar: radarData,
+    pilot_radar_history: radarHistory,
+    pilot_goal: goalData,
+    pilot_logs: plusOneLogs,
+    pilot_crisis: crisisData,
+    pilot_crisis_log: crisisLog,
+    pilot_fog_episodes: fogEpisodes,
+    pilot_scoring: scoringConfig,
+    pilot_trajectory: trajectory,
+    pilot_reminders: reminderSettings,
+    pilot_locale: locale,
+  };
+
+  // Bilan hebdomadaire : calculé à l'ouverture du panneau, sans réseau
+  const debriefInput: DebriefInput = useMemo(() => ({
+    logs: plusOneLogs,
+    radarHistory,
+    trajectory,
+    goals: goalData.goals,
+    crisisLog,
+    fogEpisodes,
+  }), [plusOneLogs, radarHistory, trajectory, goalData.goals, crisisLog, fogEpisodes]);
+
+  const restoreBackup = (values: BackupValues) => {
+    if (values.pilot_radar) setRadarData(values.pilot_radar);
+    if (values.pilot_radar_history) setRadarHistory(values.pilot_radar_history);
+    if (values.pilot_goal) setGoalData(values.pilot_goal);
+    if (values.pilot_logs) setPlusOneLogs(values.pilot_logs);
+    if (values.pilot_crisis) setCrisisData(values.pilot_crisis);
+    if (values.pilot_crisis_log) setCrisisLog(values.pilot_crisis_log);
+    if (values.pilot_fog_episodes) setFogEpisodes(values.pilot_fog_episodes);
+    if (values.pilot_scoring) setScoringConfig(values.pilot_scoring);
+    if (values.pilot_trajectory) setTrajectory(values.pilot_trajectory);
+    if (values.pilot_reminders) setReminderSettings(values.pilot_reminders);
+    if (values.pilot_locale) setLocale(values.pilot_locale);
+  };
+
+  const nav: NavItem[] = TAB_ICONS.map(tab => ({
+    id: tab.id,
+    icon: tab.icon,
+    label: t(`app.tabs.${tab.id}`),
+    active: activeTab === tab.id,
+    onSelect: () => openTab(tab.id),
+  }));
+
+  const toolbar = (
+    <>
+      <button onClick={() => setLocale(nextLocale)} className="text-[10px] font-bold text-slate-500 hover:text-white transition-colors mr-1" title={t('app.switchLanguage')}>
+        {LOCALES[localeIndex].label}
+      </button>
+      <button onClick={() => openPanel('backup')} className="text-slate-500 hover:text-white transition-colors mr-1" title={t('app.backup')}>
+        <Save size={14} />
+      </button>
+      <button onClick={() => openPanel('reminders')} className="text-slate-500 hover:text-white transition-colors mr-1" title={t('app.reminders')}>
+        <Bell size={14} />
+      </button>
+      <button onClick={() => openPanel('settings')} className="text-slate-500 hover:text-white transition-colors mr-1" title={t('app.settings')}>
+        <Settings size={14} />
+      </button>
+      <button onClick={() => openPanel('cohort')} className="text-slate-500 hover:text-white transition-colors mr-1" title={t('app.cohort')}>
+        <Users size={14} />
+      </button>
+      <button onClick={() => openPanel('debrief')} className="text-slate-500 hover:text-white transition-colors mr-1" title={t('app.debrief')}>
+        <FileText size={14} />
+      </button>
+      <button onClick={() => openPanel('lock')} className={`${appLock.enabled ? 'text-emerald-400' : 'text-slate-500'} hover:text-white transition-colors mr-1`} title={t('app.lock')}>
+        <Lock size={14} />
+      </button>
+    </>
+  );
+
+  const overlay = (
+    (route.panel === 'backup' && <BackupPanel values={backupValues} onRestore={restoreBackup} onClose={closePanel} />) ||
+    (route.panel === 'settings' && <ScoringPanel config={scoringConfig} onChange={setScoringConfig} onClose={closePanel} />) ||
+    (route.panel === 'reminders' && <RemindersPanel settings={reminderSettings} onChange={setReminderSettings} onClose={closePanel} />) ||
+    (route.panel === 'cohort' && <CohortPanel scoring={scoringConfig} onClose={closePanel} />) ||
+    (route.panel === 'debrief' && <DebriefPanel input={debriefInput} sensors={radarData.sensors} onClose={closePanel} />) ||
+    (route.panel === 'lock' && <LockPanel appLock={appLock} onClose={closePanel} />) ||
+    null
+  );
+
+  const AppShell = demoMode ? DemoShell : Shell;
+
+  return (
+    <AppShell nav={nav} toolbar={toolbar} overlay={overlay}>
+      {recoveryEvents.length > 0 && (
+        <div className="mb-4 bg-orange-950/40 border border-orange-500/50 rounded-xl p-3 flex gap-3 items-start">
+          <AlertTriangle size={16} className="text-orange-400 shrink-0 mt-0.5" />
+          <p className="flex-1 text-xs text-orange-100 leading-relaxed">
+            {t('app.recovery', { keys: recoveryEvents.map(e => e.backupKey).join(', ') })}
+          </p>
+          <button onClick={() => setRecoveryEvents([])} className="text-xs text-orange-300 underline">{t('common.ok')}</button>
+        </div>
+      )}
+      {fogAlert && fogAlertKey !== dismissedFogAlert && !route.crisis && (
+        <div role="alert" className="mb-4 bg-red-950/40 border border-red-500/50 rounded-xl p-3 flex gap-3 items-start">
+          <ShieldAlert size={16} className="text-red-400 shrink-0 mt-0.5" />
+          <div className="flex-1">
+            <p className="text-xs font-bold text-white">{t(`alerts.${fogAlert.rule}.title`, { fog: fogAlert.fog })}</p>
+            <p className="text-xs text-red-100">{t(`alerts.${fogAlert.rule}.body`, { fog: fogAlert.fog, from: fogAlert.from ?? fogAlert.fog })}</p>
+          </div>
+          <button onClick={startSosFromAlert} className="text-xs font-bold text-white bg-red-600 hover:bg-red-500 px-2 py-1 rounded">{t('alerts.start')}</button>
+          <button onClick={() => setDismissedFogAlert(fogAlertKey)} className="text-red-300 p-0.5" title={t('alerts.dismiss')}><X size={14} /></button>
+        </div>
+      )}
+      {reminderBanners.map(reminder => (
+        <div key={reminder.id} className="mb-4 bg-sky-950/40 border border-sky-500/50 rounded-xl p-3 flex gap-3 items-start">
+          <Bell size={16} className="text-sky-400 shrink-0 mt-0.5" />
+          <div className="flex-1">
+            <p className="text-xs font-bold text-white">{reminder.title}</p>
+            <p className="text-xs text-sky-100">{reminder.body}</p>
+          </div>
+          <button onClick={() => openReminder(reminder)} className="text-xs font-bold text-white bg-sky-600 hover:bg-sky-500 px-2 py-1 rounded">{t('app.reminderGo')}</button>
+          <button onClick={() => setReminderBanners(prev => prev.filter(r => r.id !== reminder.id))} className="text-sky-300 p-0.5" title={t('app.reminderDismiss')}><X size={14} /></button>
+        </div>
+      ))}
+      {pendingUpdate && (
+        <div className="mb-4 bg-emerald-950/40 border border-emerald-500/50 rounded-xl p-3 flex gap-3 items-center">
+          <RefreshCw size={16} className="text-emerald-400 shrink-0" />
+          <p className="flex-1 text-xs text-emerald-100">{t('app.updateAvailable')}</p>
+          <button onClick={() => applyUpdate(pendingUpdate)} className="text-xs font-bold text-white bg-emerald-600 hover:bg-emerald-500 px-2 py-1 rounded">{t('app.updateNow')}</button>
+          <button onClick={() => setPendingUpdate(null)} className="text-xs text-emerald-300 underline">{t('app.updateLater')}</button>
+        </div>
+      )}
+      {activeTab === 'radar' && <PageRadar data={radarData} history={radarHistory} episodes={fogEpisodes} updateData={updateRadar} />}
+      {activeTab === 'ascension' && (
+        <PageAscension
+          data={goalData}
+          selectGoal={selectGoal}
+          addGoal={addGoal}
+          updateGoal={updateGoal}
+          deleteGoal={deleteGoal}
+        />
+      )}
+      {activeTab === 'cockpit' && (
+        <PageCockpit
+          logs={plusOneLogs}
+          goal={selectedGoal}
+          addLog={addPlusOneLog}
+          updateLog={updateLog}
+          deleteLog={deleteLog}
+          restoreLog={restoreLog}
+          clearLogs={clearLogs}
+          crisisData={crisisData}
+          updateCrisis={updateCrisis}
+          crisisLog={crisisLog}
+          logCrisisSession={logCrisisSession}
+          crisisMode={route.crisis}
+          setCrisisMode={setCrisisMode}
+        />
+      )}
+      {activeTab === 'mission' && (
+        <PageMission
+          radar={radarData}
+          goals={goalData}
+          selectGoal={selectGoal}
+          logMetrics={logMetrics}
+          scoring={scoringConfig}
+          trajectory={trajectory}
+        />
+      )}
+    </AppShell>
+  );
+};
+
+// --- LOCK GATE ---
+// La langue reste lisible verrouillé : l'écran de verrouillage et le SOS la suivent
+
+const App = () => {
+  const [locale, setLocale] = useLocalStorage<Locale>('pilot_locale');
+  const t = useMemo(() => createTranslator(locale), [locale]);
+  const appLock = useAppLock();
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  return (
+    <I18nContext.Provider value={{ locale, t, setLocale }}>
+      {appLock.locked
+        ? <LockScreen onUnlock={appLock.unlock} onReset={appLock.reset} />
+        : <PilotApp appLock={appLock} />}
+    </I18nContext.Provider>
+  );
+};
+
+export default App;
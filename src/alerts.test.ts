@@ -0,0 +1,47 @@
+import { evaluateFogAlert, isRisingFog, trackFogEpisode, markEpisodeSos, type FogEpisode } from './alerts';
+
+const TODAY = '2024-03-10';
+
+const reading = (date: string, fog: number) => ({ date, inner: 50, fog, sensors: [] });
+
+test('raises a critical alert from today\'s reading only', () => {
+  expect(evaluateFogAlert([reading(TODAY, 80)], [], TODAY)).toEqual({ rule: 'critical', fog: 80 });
+  // Relevé critique d'hier, rien aujourd'hui : pas d'alerte
+  expect(evaluateFogAlert([reading('2024-03-09', 90)], [], TODAY)).toBeNull();
+  expect(evaluateFogAlert([reading(TODAY, 40)], [], TODAY)).toBeNull();
+});
+
+test('spots fog rising over several recent readings', () => {
+  const rising = [reading('2024-03-07', 20), reading('2024-03-08', 35), reading(TODAY, 50)];
+  expect(isRisingFog(rising, TODAY)).toBe(true);
+  expect(evaluateFogAlert(rising, [], TODAY)).toEqual({ rule: 'rising', fog: 50, from: 20 });
+
+  // Hausse trop faible, interrompue, ou trop ancienne
+  expect(isRisingFog([reading('2024-03-08', 40), reading('2024-03-09', 45), reading(TODAY, 50)], TODAY)).toBe(false);
+  expect(isRisingFog([reading('2024-03-08', 20), reading('2024-03-09', 60), reading(TODAY, 50)], TODAY)).toBe(false);
+  expect(isRisingFog([reading('2024-03-01', 20), reading('2024-03-09', 35), reading(TODAY, 50)], TODAY)).toBe(false);
+});
+
+test('records one episode per critical spell, as it set off', () => {
+  const radar = (fog: number) => ({ inner: 30, fog, sensors: [{ id: 'media', label: '', value: 90 }] });
+  let episodes: FogEpisode[] = [];
+  episodes = trackFogEpisode(episodes, radar(60), new Date('2024-03-10T08:00:00'));
+  expect(episodes).toHaveLength(0);
+
+  episodes = trackFogEpisode(episodes, radar(72), new Date('2024-03-10T09:00:00'));
+  episodes = trackFogEpisode(episodes, radar(90), new Date('2024-03-10T09:01:00'));
+  episodes = trackFogEpisode(episodes, radar(80), new Date('2024-03-10T09:02:00'));
+  expect(episodes).toHaveLength(1);
+  expect(episodes[0].snapshot.fog).toBe(72);
+  expect(episodes[0].peakFog).toBe(90);
+  expect(episodes[0].endedAt).toBeNull();
+  expect(evaluateFogAlert([reading(TODAY, 80)], episodes, TODAY)).toMatchObject({ episodeId: episodes[0].id });
+
+  episodes = markEpisodeSos(episodes, episodes[0].id, new Date('2024-03-10T09:05:00'));
+  episodes = trackFogEpisode(episodes, radar(50), new Date('2024-03-10T12:00:00'));
+  expect(episodes[0].sosAt).not.toBeNull();
+  expect(episodes[0].endedAt).not.toBeNull();
+
+  episodes = trackFogEpisode(episodes, radar(75), new Date('2024-03-11T08:00:00'));
+  expect(episodes).toHaveLength(2);
+});
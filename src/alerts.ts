@@ -0,0 +1,88 @@
+// --- FOG ALERTS ---
+//
+// Règles qui relient le radar au mode SOS. Un brouillard critique, ou un
+// brouillard qui monte plusieurs relevés de suite, propose le protocole de crise
+// en un geste. Seuls les relevés réels (historique du radar) déclenchent une
+// alerte : les valeurs par défaut d'un premier lancement ne comptent pas.
+// Chaque passage en brouillard critique est gardé comme épisode, avec le relevé
+// du radar au moment où il a basculé, et le pic atteint ensuite.
+
+import { addDays, toDayKey } from './dates';
+import { analyzeSignal } from './radar';
+import { type RadarState, type RadarSnapshot } from './types';
+
+export type FogAlertRule = 'critical' | 'rising';
+
+export type FogAlert = {
+  rule: FogAlertRule;
+  fog: number; // dernier relevé
+  from?: number; // début de la hausse ('rising')
+  episodeId?: number; // épisode en cours ('critical')
+};
+
+export type FogEpisode = {
+  id: number;
+  startedAt: string; // ISO
+  endedAt: string | null; // null tant que le brouillard reste critique
+  snapshot: RadarState; // relevé à l'entrée en zone critique
+  peakFog: number; // brouillard le plus haut pendant l'épisode
+  sosAt: string | null; // SOS lancé depuis l'alerte
+};
+
+// Hausse : RISING_READINGS relevés quotidiens en hausse stricte, sur au plus
+// RISING_WINDOW_DAYS jours, pour au moins RISING_MIN_DELTA points au total
+export const RISING_READINGS = 3;
+export const RISING_WINDOW_DAYS = 5;
+export const RISING_MIN_DELTA = 15;
+
+// Délai sans changement avant qu'un relevé compte pour les épisodes : un
+// curseur qu'on fait glisser traverse la zone critique sans y entrer
+export const FOG_SETTLE_MS = 1500;
+
+const isCritical = (fog: number) => analyzeSignal(fog) === 'critical';
+
+// Relevés de la hausse, le dernier étant celui d'aujourd'hui ; null sans hausse
+const risingReadings = (history: RadarSnapshot[], today: string) => {
+  const since = addDays(today, -(RISING_WINDOW_DAYS - 1));
+  const recent = history
+    .filter(s => s.date >= since && s.date <= today)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(-RISING_READINGS);
+  if (recent.length < RISING_READINGS || recent[recent.length - 1].date !== today) return null;
+  const rising = recent.every((s, i) => i === 0 || s.fog > recent[i - 1].fog);
+  return rising && recent[recent.length - 1].fog - recent[0].fog >= RISING_MIN_DELTA ? recent : null;
+};
+
+export const isRisingFog = (history: RadarSnapshot[], today: string = toDayKey()) => risingReadings(history, today) !== null;
+
+export const openEpisode = (episodes: FogEpisode[]) => episodes.find(e => e.endedAt === null) || null;
+
+// Alerte du jour, la plus grave d'abord ; null sans relevé aujourd'hui
+export const evaluateFogAlert = (history: RadarSnapshot[], episodes: FogEpisode[], today: string = toDayKey()): FogAlert | null => {
+  const reading = history.find(s => s.date === today);
+  if (!reading) return null;
+  if (isCritical(reading.fog)) {
+    const episode = openEpisode(episodes);
+    return { rule: 'critical', fog: reading.fog, ...(episode ? { episodeId: episode.id } : {}) };
+  }
+  const rising = risingReadings(history, today);
+  return rising ? { rule: 'rising', fog: reading.fog, from: rising[0].fog } : null;
+};
+
+// À chaque relevé retenu : ouvre un épisode en entrant en zone critique avec le
+// relevé du moment, suit le pic tant qu'il dure, le clôt en sortant. Renvoie
+// la même liste si rien ne change.
+export const trackFogEpisode = (episodes: FogEpisode[], radar: RadarState, now: Date = new Date()): FogEpisode[] => {
+  const current = openEpisode(episodes);
+  const critical = isCritical(radar.fog);
+  if (!current) {
+    if (!critical) return episodes;
+    return [...episodes, { id: now.getTime(), startedAt: now.toISOString(), endedAt: null, snapshot: radar, peakFog: radar.fog, sosAt: null }];
+  }
+  if (!critical) return episodes.map(e => (e.id === current.id ? { ...e, endedAt: now.toISOString() } : e));
+  if (radar.fog <= current.peakFog) return episodes;
+  return episodes.map(e => (e.id === current.id ? { ...e, peakFog: radar.fog } : e));
+};
+
+export const markEpisodeSos = (episodes: FogEpisode[], id: number, now: Date = new Date()) =>
+  episodes.map(e => (e.id === id && !e.sosAt ? { ...e, sosAt: now.toISOString() } : e));
@@ -0,0 +1,60 @@
+import { createBackup, parseBackup, mergeBackup, replaceBackup } from './backup';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('round-trips every pilot key through a backup file', () => {
+  const file = JSON.stringify(createBackup({
+    pilot_goal: { goals: [{ id: 1, title: "Bac", deadline: "2024-06-15", status: 'active' }], selectedId: 1 },
+    pilot_logs: [{ id: 1, date: "Lun 1", domain: "Révisions" }],
+  }));
+  const { values } = parseBackup(file);
+  expect(values.pilot_goal.goals[0].title).toBe("Bac");
+  expect(values.pilot_goal.goals[0].carb_physical).toBe("");
+  expect(values.pilot_logs).toHaveLength(1);
+  expect(values.pilot_radar.fog).toBe(75);
+});
+
+test('rejects files that are not pilot backups', () => {
+  expect(() => parseBackup("{oops")).toThrow("JSON valide");
+  expect(() => parseBackup(JSON.stringify({ format: 'other', data: {} }))).toThrow("sauvegarde Pilot");
+  expect(() => parseBackup("{oops", 'en')).toThrow("not valid JSON");
+
+  // Versions impossibles, pour le fichier ou pour une clé
+  const file = createBackup({ pilot_logs: [] });
+  expect(() => parseBackup(JSON.stringify({ ...file, version: 0.5 }))).toThrow("sauvegarde Pilot");
+  const tampered = { ...file, data: { ...file.data, pilot_logs: { version: -1, data: [] } } };
+  expect(() => parseBackup(JSON.stringify(tampered), 'en')).toThrow("not a Pilot backup");
+});
+
+test('merge keeps local fields and adds missing history', () => {
+  const current = {
+    pilot_goal: { goals: [{ id: 1, title: "Bac" }], selectedId: 1 },
+    pilot_logs: [{ id: 1, date: "", domain: "A" }],
+    pilot_crisis: { contacts: [{ id: 'a', name: "Léa", phone: "06" }], strategies: ["Courir"], warningSigns: [], safePlaces: [], protocol: [] },
+  };
+  const incoming = {
+    pilot_goal: { goals: [{ id: 1, title: "Bac blanc" }, { id: 2, title: "Marathon" }], selectedId: 2 },
+    pilot_logs: [{ id: 1, date: "", domain: "A bis" }, { id: 2, date: "", domain: "B" }],
+    pilot_crisis: {
+      contacts: [{ id: 'b', name: "Léa", phone: "06" }, { id: 'c', name: "Tom", phone: "07" }],
+      strategies: ["Courir", "Danser"],
+      warningSigns: ["Insomnie"],
+      safePlaces: [],
+      protocol: [{ id: 'x', type: 'message', enabled: true }],
+    },
+  };
+  const merged = mergeBackup(current, incoming);
+  expect(merged.pilot_goal).toEqual({ goals: [{ id: 1, title: "Bac" }, { id: 2, title: "Marathon" }], selectedId: 1 });
+  expect(merged.pilot_logs.map((l: { domain: string }) => l.domain)).toEqual(["A", "B"]);
+  expect(merged.pilot_crisis.contacts.map((c: { name: string }) => c.name)).toEqual(["Léa", "Tom"]);
+  expect(merged.pilot_crisis.strategies).toEqual(["Courir", "Danser"]);
+  expect(merged.pilot_crisis.warningSigns).toEqual(["Insomnie"]);
+  expect(merged.pilot_crisis.protocol).toEqual([]);
+});
+
+test('replace resets keys missing from the file', () => {
+  const replaced = replaceBackup({ pilot_logs: [] });
+  expect(replaced.pilot_crisis).toMatchObject({ contacts: [], strategies: [] });
+});
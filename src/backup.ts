@@ -0,0 +1,161 @@
+// --- EXPORT / IMPORT OF ALL PILOT DATA ---
+//
+// Un fichier de sauvegarde regroupe chaque clé dans sa propre enveloppe
+// { version, data } : à l'import, chaque clé repasse par les migrations de
+// storage.ts, donc un fichier exporté par une ancienne version reste lisible.
+
+import { SCHEMAS, loadValue, migrate, type StorageKey } from './storage';
+import { DEFAULT_LOCALE, translate, type Locale } from './i18n';
+import { type Goal } from './goals';
+
+export const BACKUP_FORMAT = 'pilot-backup';
+export const BACKUP_VERSION = 1;
+
+export const BACKUP_KEYS: StorageKey[] = [
+  'pilot_radar',
+  'pilot_radar_history',
+  'pilot_goal',
+  'pilot_logs',
+  'pilot_crisis',
+  'pilot_crisis_log',
+  'pilot_fog_episodes',
+  'pilot_scoring',
+  'pilot_trajectory',
+  'pilot_reminders',
+  'pilot_locale',
+];
+
+export type BackupValues = { [key: string]: any };
+
+export type BackupSummary = {
+  exportedAt: string;
+  goalTitles: string[];
+  logCount: number;
+  radarDays: number;
+  hasCrisisPlan: boolean;
+};
+
+export const createBackup = (values: BackupValues = {}) => {
+  const data: { [key: string]: any } = {};
+  BACKUP_KEYS.forEach(key => {
+    data[key] = {
+      version: SCHEMAS[key].version,
+      data: key in values ? values[key] : loadValue(key),
+    };
+  });
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data,
+  };
+};
+
+export const backupFileName = (date: Date = new Date()) =>
+  `pilot-backup-${date.toISOString().slice(0, 10)}.json`;
+
+// Valide le fichier et renvoie des valeurs migrées, prêtes à être enregistrées.
+// Les messages d'erreur sont affichés tels quels, dans la langue demandée.
+export const parseBackup = (text: string, locale: Locale = DEFAULT_LOCALE) => {
+  let file: any;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error(translate(locale, 'backup.errors.invalidJson'));
+  }
+
+  if (!file || file.format !== BACKUP_FORMAT || typeof file.data !== 'object' || file.data === null) {
+    throw new Error(translate(locale, 'backup.errors.notBackup'));
+  }
+  if (!Number.isInteger(file.version) || file.version < 1) {
+    throw new Error(translate(locale, 'backup.errors.notBackup'));
+  }
+  if (file.version > BACKUP_VERSION) {
+    throw new Error(translate(locale, 'backup.errors.tooNew'));
+  }
+
+  const values: BackupValues = {};
+  BACKUP_KEYS.forEach(key => {
+    if (!(key in file.data)) return;
+    try {
+      values[key] = migrate(key, file.data[key]);
+    } catch (error) {
+      // Version de clé invalide : le fichier a été modifié à la main
+      throw new Error(translate(locale, 'backup.errors.notBackup'));
+    }
+  });
+  if (Object.keys(values).length === 0) {
+    throw new Error(translate(locale, 'backup.errors.empty'));
+  }
+
+  return { exportedAt: typeof file.exportedAt === 'string' ? file.exportedAt : "", values };
+};
+
+export const summarizeBackup = (exportedAt: string, values: BackupValues, locale: Locale = DEFAULT_LOCALE): BackupSummary => ({
+  exportedAt,
+  goalTitles: values.pilot_goal ? values.pilot_goal.goals.map((g: Goal) => g.title || translate(locale, 'common.untitled')) : [],
+  logCount: values.pilot_logs ? values.pilot_logs.length : 0,
+  radarDays: values.pilot_radar_history ? values.pilot_radar_history.length : 0,
+  hasCrisisPlan: !!values.pilot_crisis &&
+    ['contacts', 'strategies', 'warningSigns', 'safePlaces'].some(k => values.pilot_crisis[k].length > 0),
+});
+
+// --- MERGE ---
+
+// Listes : union sans doublon, l'entrée locale l'emporte à identifiant égal
+const mergeList = (current: any[], incoming: any[], idOf: (item: any) => any) => {
+  const seen = new Set(current.map(idOf));
+  return [...current, ...incoming.filter(item => !seen.has(idOf(item)))];
+};
+
+// Objets : les champs locaux déjà remplis sont conservés
+const mergeFields = (current: any, incoming: any) => {
+  const merged = { ...incoming, ...current };
+  Object.keys(incoming).forEach(k => {
+    if (current[k] === "" || current[k] === undefined) merged[k] = incoming[k];
+  });
+  return merged;
+};
+
+export const mergeBackup = (current: BackupValues, incoming: BackupValues) => {
+  const merged = { ...current };
+  Object.keys(incoming).forEach(key => {
+    if (!(key in current)) {
+      merged[key] = incoming[key];
+    } else if (key === 'pilot_logs' || key === 'pilot_crisis_log' || key === 'pilot_fog_episodes') {
+      merged[key] = mergeList(current[key], incoming[key], log => log.id).sort((a, b) => a.id - b.id);
+    } else if (key === 'pilot_radar_history' || key === 'pilot_trajectory') {
+      merged[key] = mergeList(current[key], incoming[key], s => s.date).sort((a, b) => a.date.localeCompare(b.date));
+    } else if (key === 'pilot_goal') {
+      merged[key] = {
+        ...current[key],
+        goals: mergeList(current[key].goals, incoming[key].goals, g => g.id),
+        selectedId: current[key].selectedId !== null ? current[key].selectedId : incoming[key].selectedId,
+      };
+    } else if (key === 'pilot_crisis') {
+      // Plan de crise : on ajoute ce qui manque, le protocole local est conservé
+      merged[key] = {
+        ...current[key],
+        contacts: mergeList(current[key].contacts, incoming[key].contacts, c => `${c.name}|${c.phone}`),
+        strategies: mergeList(current[key].strategies, incoming[key].strategies, item => item),
+        warningSigns: mergeList(current[key].warningSigns, incoming[key].warningSigns, item => item),
+        safePlaces: mergeList(current[key].safePlaces, incoming[key].safePlaces, item => item),
+      };
+    } else if (key === 'pilot_radar' || key === 'pilot_scoring' || key === 'pilot_reminders' || key === 'pilot_locale') {
+      // Radar et réglages reflètent l'état actuel : on garde ceux de cet appareil
+      merged[key] = current[key];
+    } else {
+      merged[key] = mergeFields(current[key], incoming[key]);
+    }
+  });
+  return merged;
+};
+
+// Remplacement complet : les clés absentes du fichier repartent des valeurs par défaut
+export const replaceBackup = (incoming: BackupValues) => {
+  const replaced: BackupValues = {};
+  BACKUP_KEYS.forEach(key => {
+    replaced[key] = key in incoming ? incoming[key] : SCHEMAS[key].defaults();
+  });
+  return replaced;
+};
@@ -0,0 +1,73 @@
+import { createBackup, parseBackup } from './backup';
+import { summarizePilot, addPilot, buildCohortReport, matrixZone } from './cohort';
+
+const TODAY = '2024-03-10';
+
+const pilotExport = (exportedAt: string, values: any) => {
+  const { values: parsed } = parseBackup(JSON.stringify({ ...createBackup(values), exportedAt }));
+  return summarizePilot(exportedAt, parsed, TODAY);
+};
+
+const radar = (inner: number, fog: number) => ({
+  inner,
+  fog,
+  sensors: [
+    { id: 'peers', label: '', value: 20 },
+    { id: 'family', label: '', value: 40 },
+    { id: 'media', label: '', value: 60 },
+    { id: 'professors', label: '', value: 80 },
+  ],
+});
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('keeps numbers only, never the texts of an export', () => {
+  const pilot = pilotExport('2024-03-10T08:00:00.000Z', {
+    pilot_goal: { goals: [{ id: 1, title: "Bac S", carb_cognitive: "Fiches", status: 'active' }], selectedId: 1 },
+    pilot_logs: [{ id: 1, date: '2024-03-09T10:00:00', domain: "Révisé avec Léa" }],
+    pilot_crisis: { contacts: [{ id: 'a', name: "Léa", phone: "0600000000" }], strategies: [], warningSigns: [], safePlaces: [], protocol: [] },
+  });
+  const text = JSON.stringify(pilot);
+  ['Bac S', 'Fiches', 'Léa', '0600000000'].forEach(secret => expect(text).not.toContain(secret));
+  expect(pilot.goal.title).toHaveLength(5);
+  expect(pilot.metrics.activeDays).toBe(1);
+  expect(pilot.activeRecently).toBe(true);
+});
+
+test('counts an export loaded twice only once', () => {
+  const a = pilotExport('2024-03-10T08:00:00.000Z', {});
+  const b = pilotExport('2024-03-10T09:00:00.000Z', {});
+  expect(addPilot(addPilot([a], b), a)).toEqual([a, b]);
+});
+
+test('averages the radar and sorts pilots into matrix zones', () => {
+  const report = buildCohortReport([
+    pilotExport('1', { pilot_radar: radar(100, 0) }),
+    pilotExport('2', { pilot_radar: radar(0, 100) }),
+    pilotExport('3', {
+      pilot_radar: radar(50, 50),
+      pilot_crisis_log: [
+        { id: 1, startedAt: '2024-03-01T20:00:00', completed: true, before: 8, after: 4 },
+        { id: 2, startedAt: '2023-01-01T20:00:00', completed: false, before: null, after: null },
+      ],
+    }),
+  ]);
+
+  expect(report.size).toBe(3);
+  expect(report.radar.inner).toBe(50);
+  expect(report.radar.fog).toBe(50);
+  expect(report.radar.noise).toBe(50);
+  expect(report.zones).toEqual({ flight: 0, mastery: 1, impact: 0, ground: 2 });
+  expect(report.positions.map(p => p.x)).toEqual([...report.positions.map(p => p.x)].sort((a, b) => a - b));
+  expect(report.crisis).toEqual({ sessionsLast30Days: 1, pilotsLast30Days: 1, total: 2, averageRelief: 4 });
+  expect(report.logging.activeRecently).toBe(0);
+});
+
+test('names the matrix zone from the flight thresholds', () => {
+  expect(matrixZone({ x: 8, y: 8 })).toBe('flight');
+  expect(matrixZone({ x: 8, y: 3 })).toBe('mastery');
+  expect(matrixZone({ x: 3, y: 8 })).toBe('impact');
+  expect(matrixZone({ x: 7, y: 7 })).toBe('ground');
+});
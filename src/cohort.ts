@@ -0,0 +1,159 @@
+// --- COHORT REPORT (mode coach) ---
+//
+// Le coach charge les exports de plusieurs pilotes, sans serveur : les fichiers
+// sont lus dans le navigateur et rien n'est enregistré. Dès la lecture, chaque
+// export est réduit à des chiffres : ni titre d'objectif, ni texte du journal,
+// ni contact du plan de crise ne sont conservés.
+
+import { SCHEMAS, type StorageKey } from './storage';
+import { type BackupValues } from './backup';
+import { addDays, toDayKey } from './dates';
+import { EMPTY_GOAL, getSelectedGoal, carabinerCompletion } from './goals';
+import { activeDayKeys, computeLogMetrics, mean, type LogMetrics } from './metrics';
+import { summarizeCrisisLog, type CrisisStats } from './crisis';
+import {
+  calculateMatrix, isFlightAuthorized, externalNoise, DEFAULT_SCORING_CONFIG,
+  type ScoringConfig, type MatrixPosition
+} from './scoring';
+import { DEFAULT_SENSOR_IDS } from './radar';
+import { type RadarState } from './types';
+
+// En dessous, les moyennes permettent de retrouver chaque pilote
+export const MIN_ANONYMOUS_SIZE = 3;
+
+// Un pilote est « régulier » s'il a écrit dans son journal ces derniers jours
+export const RECENT_DAYS = 7;
+
+export const RADAR_AXES: ('inner' | 'fog')[] = ['inner', 'fog'];
+
+// Les capteurs ajoutés par un pilote sont regroupés sous cet identifiant
+export const CUSTOM_SENSOR_ID = 'custom';
+
+export type PilotSummary = {
+  exportedAt: string;
+  radar: RadarState;
+  // Seule la longueur du titre compte pour le score : le texte est masqué
+  goal: { title: string, carabinerRate: number };
+  metrics: LogMetrics;
+  activeRecently: boolean;
+  crisis: CrisisStats;
+};
+
+export type MatrixZone = 'flight' | 'mastery' | 'impact' | 'ground';
+
+export type CohortReport = {
+  size: number;
+  radar: {
+    inner: number;
+    fog: number;
+    noise: number;
+    // Capteurs d'origine puis capteurs ajoutés, avec le nombre de pilotes qui les suivent
+    sensors: { id: string, value: number, pilots: number }[];
+  };
+  positions: MatrixPosition[];
+  zones: Record<MatrixZone, number>;
+  logging: {
+    perWeek: number;
+    activityScore: number; // 0..1
+    currentStreak: number;
+    activeRecently: number; // nombre de pilotes
+  };
+  crisis: {
+    sessionsLast30Days: number;
+    pilotsLast30Days: number;
+    total: number;
+    averageRelief: number | null;
+  };
+};
+
+const valueOf = (values: BackupValues, key: StorageKey) =>
+  (key in values ? values[key] : SCHEMAS[key].defaults());
+
+const mask = (text: string) => '•'.repeat(text.length);
+
+// Les noms des capteurs peuvent désigner quelqu'un : seules les valeurs restent
+const anonymizeRadar = (radar: RadarState): RadarState => ({
+  inner: radar.inner,
+  fog: radar.fog,
+  sensors: radar.sensors.map(s => ({
+    id: DEFAULT_SENSOR_IDS.includes(s.id) ? s.id : CUSTOM_SENSOR_ID,
+    label: '',
+    value: s.value,
+  })),
+});
+
+// Valeurs issues de parseBackup (déjà migrées)
+export const summarizePilot = (exportedAt: string, values: BackupValues, today: string = toDayKey()): PilotSummary => {
+  const goal = getSelectedGoal(valueOf(values, 'pilot_goal')) || EMPTY_GOAL;
+  const logs = valueOf(values, 'pilot_logs');
+  const since = addDays(today, -(RECENT_DAYS - 1));
+  return {
+    exportedAt,
+    radar: anonymizeRadar(valueOf(values, 'pilot_radar')),
+    goal: {
+      title: mask(goal.title),
+      carabinerRate: carabinerCompletion(goal, today),
+    },
+    metrics: computeLogMetrics(logs, today),
+    activeRecently: activeDayKeys(logs).some(day => day >= since && day <= today),
+    crisis: summarizeCrisisLog(valueOf(values, 'pilot_crisis_log'), today),
+  };
+};
+
+// Le même export chargé deux fois ne compte qu'une fois
+export const addPilot = (pilots: PilotSummary[], pilot: PilotSummary) =>
+  (pilot.exportedAt && pilots.some(p => p.exportedAt === pilot.exportedAt) ? pilots : [...pilots, pilot]);
+
+export const matrixZone = (position: MatrixPosition, config: ScoringConfig = DEFAULT_SCORING_CONFIG): MatrixZone => {
+  if (isFlightAuthorized(position, config)) return 'flight';
+  if (position.x > config.flightThreshold.x) return 'mastery';
+  if (position.y > config.flightThreshold.y) return 'impact';
+  return 'ground';
+};
+
+// Positions calculées avec la configuration du coach, pour comparer tout le monde
+// sur la même échelle ; triées pour ne pas refléter l'ordre de chargement.
+export const buildCohortReport = (pilots: PilotSummary[], config: ScoringConfig = DEFAULT_SCORING_CONFIG): CohortReport => {
+  const positions = pilots
+    .map(p => calculateMatrix(p.radar, p.goal, p.metrics, config))
+    .sort((a, b) => a.x - b.x || a.y - b.y);
+
+  const zones: Record<MatrixZone, number> = { flight: 0, mastery: 0, impact: 0, ground: 0 };
+  positions.forEach(position => { zones[matrixZone(position, config)] += 1; });
+
+  const sensors = [...DEFAULT_SENSOR_IDS, CUSTOM_SENSOR_ID]
+    .map(id => {
+      const tracking = pilots.filter(p => p.radar.sensors.some(s => s.id === id));
+      const values = tracking.flatMap(p => p.radar.sensors.filter(s => s.id === id).map(s => s.value));
+      return { id, value: mean(values), pilots: tracking.length };
+    })
+    .filter(s => s.pilots > 0);
+
+  const radar = {
+    inner: mean(pilots.map(p => p.radar.inner)),
+    fog: mean(pilots.map(p => p.radar.fog)),
+    noise: mean(pilots.map(p => externalNoise(p.radar))),
+    sensors,
+  };
+
+  const rated = pilots.filter(p => p.crisis.averageRelief !== null);
+
+  return {
+    size: pilots.length,
+    radar,
+    positions,
+    zones,
+    logging: {
+      perWeek: mean(pilots.map(p => p.metrics.perWeek)),
+      activityScore: mean(pilots.map(p => p.metrics.activityScore)),
+      currentStreak: mean(pilots.map(p => p.metrics.currentStreak)),
+      activeRecently: pilots.filter(p => p.activeRecently).length,
+    },
+    crisis: {
+      sessionsLast30Days: pilots.reduce((sum, p) => sum + p.crisis.last30Days, 0),
+      pilotsLast30Days: pilots.filter(p => p.crisis.last30Days > 0).length,
+      total: pilots.reduce((sum, p) => sum + p.crisis.total, 0),
+      averageRelief: rated.length ? mean(rated.map(p => p.crisis.averageRelief as number)) : null,
+    },
+  };
+};
@@ -0,0 +1,134 @@
+// --- BACKUP PANEL (Export / Import) ---
+
+import { useState } from 'react';
+import { Save, Share } from 'lucide-react';
+import {
+  createBackup, backupFileName, parseBackup, summarizeBackup, mergeBackup, replaceBackup,
+  type BackupValues
+} from '../backup';
+import { dateLocale } from '../i18n';
+import { useI18n } from '../hooks/useI18n';
+import { Header, Card } from './ui';
+
+export const BackupPanel = ({
+    values,
+    onRestore,
+    onClose
+}: {
+    values: BackupValues,
+    onRestore: (values: BackupValues) => void,
+    onClose: () => void
+}) => {
+  const { t, locale } = useI18n();
+  const [pending, setPending] = useState<{ exportedAt: string, values: BackupValues } | null>(null);
+  const [error, setError] = useState("");
+  const [done, setDone] = useState("");
+
+  const exportFile = () => {
+    const json = JSON.stringify(createBackup(values), null, 2);
+    return new File([json], backupFileName(), { type: 'application/json' });
+  };
+
+  const handleDownload = () => {
+    const file = exportFile();
+    const url = URL.createObjectURL(file);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.name;
+    link.click();
+    // Révoquée tout de suite, l'adresse peut annuler le téléchargement (Safari)
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const canShare = typeof navigator !== 'undefined' && !!navigator.canShare;
+
+  const handleShare = async () => {
+    const file = exportFile();
+    if (!navigator.canShare({ files: [file] })) {
+      handleDownload();
+      return;
+    }
+    try {
+      await navigator.share({ files: [file], title: t('backup.shareTitle') });
+    } catch (error) {
+      // Partage annulé par l'utilisateur
+    }
+  };
+
+  const handleFile = async (file: File | undefined) => {
+    setError("");
+    setDone("");
+    setPending(null);
+    if (!file) return;
+    try {
+      setPending(parseBackup(await file.text(), locale));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+    }
+  };
+
+  const applyImport = (mode: 'merge' | 'replace') => {
+    if (!pending) return;
+    if (mode === 'replace' && !window.confirm(t('backup.confirmReplace'))) return;
+    onRestore(mode === 'merge' ? mergeBackup(values, pending.values) : replaceBackup(pending.values));
+    setPending(null);
+    setDone(mode === 'merge' ? t('backup.merged') : t('backup.replaced'));
+  };
+
+  const summary = pending ? summarizeBackup(pending.exportedAt, pending.values, locale) : null;
+
+  return (
+    <div className="absolute inset-0 z-50 bg-slate-900 overflow-y-auto p-6 pt-12 space-y-4 animate-in fade-in duration-300">
+      <button onClick={onClose} className="absolute top-4 right-6 text-xs text-slate-400 underline">{t('common.close')}</button>
+      <Header title={t('backup.title')} subtitle={t('backup.subtitle')} />
+
+      <Card>
+        <h3 className="text-sm font-bold text-white mb-1">{t('backup.export')}</h3>
+        <p className="text-xs text-slate-400 mb-4">{t('backup.exportHint')}</p>
+        <div className="flex gap-2">
+          <button onClick={handleDownload} className="flex-1 bg-sky-600 hover:bg-sky-500 text-white text-sm font-bold py-2 rounded-lg flex items-center justify-center gap-2 transition-colors">
+            <Save size={16} /> {t('backup.download')}
+          </button>
+          {canShare && (
+            <button onClick={handleShare} className="bg-slate-700 hover:bg-slate-600 text-white p-2 rounded-lg transition-colors">
+              <Share size={18} />
+            </button>
+          )}
+        </div>
+      </Card>
+
+      <Card>
+        <h3 className="text-sm font-bold text-white mb-1">{t('backup.import')}</h3>
+        <p className="text-xs text-slate-400 mb-4">{t('backup.importHint')}</p>
+        <input
+          type="file"
+          accept="application/json,.json"
+          onChange={(e) => handleFile(e.target.files ? e.target.files[0] : undefined)}
+          className="w-full text-xs text-slate-400 file:mr-3 file:py-1.5 file:px-3 file:rounded-lg file:border-0 file:bg-slate-700 file:text-white"
+        />
+
+        {error && <p className="mt-3 text-xs text-red-400">{error}</p>}
+        {done && <p className="mt-3 text-xs text-emerald-400">{done}</p>}
+
+        {summary && (
+          <div className="mt-4 space-y-3">
+            <div className="bg-black/20 p-3 rounded-xl border border-white/5 text-xs text-slate-300 space-y-1">
+              {summary.exportedAt && (
+                <div className="flex justify-between"><span className="text-slate-500">{t('backup.exportedAt')}</span><span className="font-mono">{new Date(summary.exportedAt).toLocaleString(dateLocale(locale))}</span></div>
+              )}
+              <div className="flex justify-between gap-4"><span className="text-slate-500">{t('backup.goals')}</span><span className="truncate">{summary.goalTitles.join(', ') || "—"}</span></div>
+              <div className="flex justify-between"><span className="text-slate-500">{t('backup.logs')}</span><span className="font-mono">{summary.logCount}</span></div>
+              <div className="flex justify-between"><span className="text-slate-500">{t('backup.radarDays')}</span><span className="font-mono">{summary.radarDays}</span></div>
+              <div className="flex justify-between"><span className="text-slate-500">{t('backup.crisisPlan')}</span><span>{summary.hasCrisisPlan ? t('common.yes') : t('common.no')}</span></div>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <button onClick={() => applyImport('merge')} className="bg-emerald-600 hover:bg-emerald-500 text-white text-sm font-bold py-2 rounded-lg transition-colors">{t('backup.merge')}</button>
+              <button onClick={() => applyImport('replace')} className="bg-red-900 hover:bg-red-800 text-red-100 text-sm font-bold py-2 rounded-lg transition-colors">{t('backup.replace')}</button>
+            </div>
+            <p className="text-[10px] text-slate-500">{t('backup.mergeHint')}</p>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
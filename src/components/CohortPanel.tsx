@@ -0,0 +1,196 @@
+// --- COHORT PANEL (mode coach) ---
+
+import { useState, useMemo } from 'react';
+import { Printer, Users, X } from 'lucide-react';
+import { parseBackup } from '../backup';
+import {
+  summarizePilot, addPilot, buildCohortReport, MIN_ANONYMOUS_SIZE, RADAR_AXES, RECENT_DAYS, CUSTOM_SENSOR_ID,
+  type PilotSummary, type MatrixZone
+} from '../cohort';
+import { type ScoringConfig } from '../scoring';
+import { dateLocale } from '../i18n';
+import { useI18n } from '../hooks/useI18n';
+import { Header, Card, Stat } from './ui';
+import { toMatrixPercent } from './MatrixTrail';
+
+const ZONES: { id: MatrixZone, color: string }[] = [
+  { id: 'flight', color: 'text-emerald-400' },
+  { id: 'mastery', color: 'text-purple-400' },
+  { id: 'impact', color: 'text-sky-400' },
+  { id: 'ground', color: 'text-slate-400' },
+];
+
+export const CohortPanel = ({
+    scoring,
+    onClose
+}: {
+    scoring: ScoringConfig,
+    onClose: () => void
+}) => {
+  const { t, locale } = useI18n();
+  // Gardé en mémoire seulement : fermer le panneau oublie la cohorte
+  const [pilots, setPilots] = useState<PilotSummary[]>([]);
+  const [errors, setErrors] = useState<string[]>([]);
+
+  const handleFiles = async (files: FileList | null) => {
+    if (!files) return;
+    const loaded: PilotSummary[] = [];
+    const failed: string[] = [];
+    for (const file of Array.from(files)) {
+      try {
+        const { exportedAt, values } = parseBackup(await file.text(), locale);
+        loaded.push(summarizePilot(exportedAt, values));
+      } catch (err) {
+        // Le nom du fichier n'apparaît que dans l'erreur, jamais dans le rapport
+        failed.push(`${file.name} : ${err instanceof Error ? err.message : String(err)}`);
+      }
+    }
+    setPilots(prev => loaded.reduce(addPilot, prev));
+    setErrors(failed);
+  };
+
+  const report = useMemo(() => buildCohortReport(pilots, scoring), [pilots, scoring]);
+  // Axes suivis par tous, puis capteurs (avec le nombre de pilotes s'ils ne sont pas suivis par tous)
+  const radarRows = [
+    ...RADAR_AXES.map(axis => ({ id: axis, label: t(`radar.axis.${axis}`), value: report.radar[axis], pilots: null as number | null })),
+    ...report.radar.sensors.map(s => ({
+      id: s.id,
+      label: s.id === CUSTOM_SENSOR_ID ? t('cohort.customSensors') : t(`radar.axis.${s.id}`),
+      value: s.value,
+      pilots: s.pilots as number | null,
+    })),
+  ];
+  const formatDate = (iso: string) => (iso ? new Date(iso).toLocaleDateString(dateLocale(locale)) : "—");
+
+  return (
+    <div className="print-report absolute inset-0 z-50 bg-slate-900 overflow-y-auto p-6 pt-12 space-y-4 animate-in fade-in duration-300">
+      <button onClick={onClose} className="absolute top-4 right-6 text-xs text-slate-400 underline print:hidden">{t('common.close')}</button>
+      <Header title={t('cohort.title')} subtitle={t('cohort.subtitle')} />
+
+      <Card className="print:hidden">
+        <h3 className="text-sm font-bold text-white mb-1">{t('cohort.load')}</h3>
+        <p className="text-xs text-slate-400 mb-4">{t('cohort.loadHint')}</p>
+        <input
+          type="file"
+          multiple
+          accept="application/json,.json"
+          aria-label={t('cohort.load')}
+          onChange={(e) => {
+            handleFiles(e.target.files);
+            e.target.value = "";
+          }}
+          className="w-full text-xs text-slate-400 file:mr-3 file:py-1.5 file:px-3 file:rounded-lg file:border-0 file:bg-slate-700 file:text-white"
+        />
+        {errors.map(error => <p key={error} className="mt-2 text-xs text-red-400">{error}</p>)}
+
+        {pilots.length > 0 && (
+          <div className="mt-4 space-y-1">
+            {pilots.map((pilot, i) => (
+              <div key={`${pilot.exportedAt}-${i}`} className="flex items-center gap-2 text-xs text-slate-300">
+                <span className="flex-1">{t('cohort.pilot', { index: i + 1 })}</span>
+                <span className="font-mono text-slate-500">{formatDate(pilot.exportedAt)}</span>
+                <button onClick={() => setPilots(prev => prev.filter(p => p !== pilot))} className="text-slate-600 hover:text-red-400 p-0.5" title={t('common.remove')}><X size={14} /></button>
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+
+      {pilots.length === 0 ? (
+        <p className="text-xs text-slate-500 italic text-center flex items-center justify-center gap-2 print:hidden">
+          <Users size={14} /> {t('cohort.empty')}
+        </p>
+      ) : report.size < MIN_ANONYMOUS_SIZE ? (
+        // Trop peu de pilotes : aucun agrégat affiché ni imprimable
+        <p className="text-xs text-orange-300 bg-orange-950/40 border border-orange-500/50 rounded-xl p-3">
+          {t('cohort.tooSmall', { min: MIN_ANONYMOUS_SIZE })}
+        </p>
+      ) : (
+        <>
+          <div className="flex items-center justify-between gap-2">
+            <p className="text-xs text-slate-400">
+              {t('cohort.summary', { count: report.size, date: new Date().toLocaleDateString(dateLocale(locale)) })}
+            </p>
+            <button onClick={() => window.print()} className="bg-slate-700 hover:bg-slate-600 text-white text-xs font-bold px-3 py-1.5 rounded-lg flex items-center gap-2 transition-colors print:hidden">
+              <Printer size={14} /> {t('cohort.print')}
+            </button>
+          </div>
+
+          <Card>
+            <h3 className="text-sm font-bold text-white mb-3">{t('cohort.radar')}</h3>
+            <div className="space-y-2">
+              {radarRows.map(row => (
+                <div key={row.id} className="flex items-center gap-2 text-xs">
+                  <span className="w-24 text-slate-400">
+                    {row.label}
+                    {row.pilots !== null && row.pilots < report.size && <span className="text-slate-600"> ({row.pilots})</span>}
+                  </span>
+                  <div className="flex-1 h-2 bg-slate-900 rounded-full overflow-hidden">
+                    <div className="print-bar h-full bg-sky-500 rounded-full" style={{ width: `${row.value}%` }} />
+                  </div>
+                  <span className="w-10 text-right font-mono text-white">{Math.round(row.value)}</span>
+                </div>
+              ))}
+            </div>
+            <p className="mt-3 text-[10px] text-slate-500">{t('cohort.noise', { value: Math.round(report.radar.noise) })}</p>
+          </Card>
+
+          <Card>
+            <h3 className="text-sm font-bold text-white mb-3">{t('cohort.matrix')}</h3>
+            <div className="flex gap-4 items-start">
+              <div className="relative w-32 aspect-square shrink-0 border border-slate-600/50">
+                <div
+                  className="absolute top-0 right-0 bg-emerald-500/10 border-l border-b border-emerald-500/30"
+                  style={{ width: `${(10 - scoring.flightThreshold.x) * 10}%`, height: `${(10 - scoring.flightThreshold.y) * 10}%` }}
+                />
+                {report.positions.map((p, i) => (
+                  <div
+                    key={i}
+                    className="print-bar absolute w-2 h-2 -ml-1 -mb-1 rounded-full bg-white"
+                    style={{ left: `${toMatrixPercent(p.x)}%`, bottom: `${toMatrixPercent(p.y)}%` }}
+                  />
+                ))}
+              </div>
+              <div className="flex-1 space-y-1 text-xs">
+                {ZONES.map(zone => (
+                  <div key={zone.id} className="flex justify-between gap-2">
+                    <span className={zone.color}>{t(`cohort.zones.${zone.id}`)}</span>
+                    <span className="font-mono text-white">{report.zones[zone.id]}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+            <p className="mt-3 text-[10px] text-slate-500">{t('cohort.matrixHint')}</p>
+          </Card>
+
+          <Card>
+            <h3 className="text-sm font-bold text-white mb-3">{t('cohort.logging')}</h3>
+            <div className="grid grid-cols-2 gap-2">
+              <Stat label={t('mission.perWeek')} value={report.logging.perWeek.toFixed(1)} />
+              <Stat label={t('mission.activity')} value={`${Math.round(report.logging.activityScore * 100)}%`} />
+              <Stat label={t('cohort.averageStreak')} value={report.logging.currentStreak.toFixed(1)} />
+              <Stat label={t('cohort.activeRecently', { days: RECENT_DAYS })} value={`${report.logging.activeRecently}/${report.size}`} />
+            </div>
+          </Card>
+
+          <Card>
+            <h3 className="text-sm font-bold text-white mb-3">{t('cohort.crisis')}</h3>
+            <div className="grid grid-cols-2 gap-2">
+              <Stat label={t('cohort.sessions30')} value={report.crisis.sessionsLast30Days} />
+              <Stat label={t('cohort.pilots30')} value={`${report.crisis.pilotsLast30Days}/${report.size}`} />
+              <Stat label={t('cohort.sessionsTotal')} value={report.crisis.total} />
+              <Stat
+                label={t('cohort.relief')}
+                value={report.crisis.averageRelief === null
+                  ? "—"
+                  : `${report.crisis.averageRelief >= 0 ? '-' : '+'}${Math.abs(report.crisis.averageRelief).toFixed(1)}`}
+              />
+            </div>
+          </Card>
+
+          <p className="text-[10px] text-slate-500">{t('cohort.privacy')}</p>
+        </>
+      )}
+    </div>
+  );
+};
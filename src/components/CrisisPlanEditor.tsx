@@ -0,0 +1,196 @@
+// --- CRISIS PLAN EDITOR ---
+
+import { useState } from 'react';
+import { BookOpen, Plus, X, ChevronUp, ChevronDown } from 'lucide-react';
+import {
+  CRISIS_STEP_TYPES, HELPLINES, createStep, createContact,
+  type CrisisStep, type CrisisContact, type CrisisPlan
+} from '../crisis';
+import { moveItem } from '../lists';
+import { useI18n } from '../hooks/useI18n';
+import { Card } from './ui';
+
+const PlanListEditor = ({
+    title,
+    items,
+    onChange,
+    placeholder
+}: {
+    title: string,
+    items: string[],
+    onChange: (items: string[]) => void,
+    placeholder: string
+}) => {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState("");
+
+  const add = () => {
+    if (!draft.trim()) return;
+    onChange([...items, draft.trim()]);
+    setDraft("");
+  };
+
+  return (
+    <div className="space-y-1.5">
+      <p className="text-xs font-bold text-slate-500 uppercase">{title}</p>
+      {items.map((item, i) => (
+        <div key={i} className="flex items-center gap-2 bg-black/20 border border-white/5 rounded-lg px-2 py-1.5">
+          <span className="text-xs text-white flex-1">{item}</span>
+          <button onClick={() => onChange(items.filter((_, j) => j !== i))} className="text-slate-600 hover:text-red-400 p-0.5" title={t('common.remove')}><X size={12} /></button>
+        </div>
+      ))}
+      <div className="flex gap-1.5">
+        <input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && add()}
+          placeholder={placeholder}
+          className="flex-1 bg-slate-900/50 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:outline-none focus:border-red-500"
+        />
+        <button onClick={add} className="bg-slate-700 hover:bg-slate-600 text-white rounded-lg px-2" title={t('common.addItem', { item: title })}><Plus size={14} /></button>
+      </div>
+    </div>
+  );
+};
+
+export const CrisisPlanEditor = ({
+    crisisData,
+    updateCrisis
+}: {
+    crisisData: CrisisPlan,
+    updateCrisis: (changes: Partial<CrisisPlan>) => void
+}) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const steps = crisisData.protocol;
+  const contacts = crisisData.contacts;
+
+  const updateProtocol = (protocol: CrisisStep[]) => updateCrisis({ protocol });
+
+  const updateStep = (id: string, changes: Partial<CrisisStep>) => {
+    updateProtocol(steps.map(step => step.id === id ? { ...step, ...changes } : step));
+  };
+
+  const moveStep = (index: number, delta: number) => updateProtocol(moveItem(steps, index, delta));
+
+  const updateContact = (id: string, changes: Partial<CrisisContact>) => {
+    updateCrisis({ contacts: contacts.map(c => c.id === id ? { ...c, ...changes } : c) });
+  };
+
+  return (
+    <Card>
+      <button onClick={() => setOpen(v => !v)} className="w-full flex items-center justify-between">
+        <h3 className="text-sm font-bold text-white flex items-center gap-2">
+          <BookOpen size={16} className="text-red-400"/> {t('crisis.plan.title')}
+        </h3>
+        <span className="text-xs text-slate-500">{open ? '▴' : '▾'}</span>
+      </button>
+
+      {open && (
+        <div className="mt-4 space-y-4">
+          <PlanListEditor
+            title={t('crisis.steps.warningSigns')}
+            items={crisisData.warningSigns}
+            onChange={(warningSigns) => updateCrisis({ warningSigns })}
+            placeholder={t('crisis.plan.warningSignsPlaceholder')}
+          />
+          <PlanListEditor
+            title={t('crisis.steps.strategies')}
+            items={crisisData.strategies}
+            onChange={(strategies) => updateCrisis({ strategies })}
+            placeholder={t('crisis.plan.strategiesPlaceholder')}
+          />
+          <PlanListEditor
+            title={t('crisis.steps.safePlaces')}
+            items={crisisData.safePlaces}
+            onChange={(safePlaces) => updateCrisis({ safePlaces })}
+            placeholder={t('crisis.plan.safePlacesPlaceholder')}
+          />
+
+          <div className="space-y-2">
+            <p className="text-xs font-bold text-slate-500 uppercase">{t('crisis.plan.contacts')}</p>
+            {contacts.map((contact, i) => (
+              <div key={contact.id} className="flex items-center gap-1.5">
+                <input
+                  value={contact.name}
+                  onChange={(e) => updateContact(contact.id, { name: e.target.value })}
+                  placeholder={t('crisis.plan.contactName')}
+                  className="flex-1 min-w-0 bg-slate-900/50 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:outline-none focus:border-red-500"
+                />
+                <input
+                  type="tel"
+                  value={contact.phone}
+                  onChange={(e) => updateContact(contact.id, { phone: e.target.value })}
+                  placeholder={t('crisis.plan.contactPhone')}
+                  className="w-28 bg-slate-900/50 border border-slate-700 rounded-lg px-2 py-1.5 text-xs font-mono text-white focus:outline-none focus:border-red-500"
+                />
+                <button onClick={() => updateCrisis({ contacts: moveItem(contacts, i, -1) })} disabled={i === 0} className="text-slate-500 hover:text-white disabled:opacity-30 p-0.5" title={t('common.moveUp')}><ChevronUp size={14} /></button>
+                <button onClick={() => updateCrisis({ contacts: moveItem(contacts, i, 1) })} disabled={i === contacts.length - 1} className="text-slate-500 hover:text-white disabled:opacity-30 p-0.5" title={t('common.moveDown')}><ChevronDown size={14} /></button>
+                <button onClick={() => updateCrisis({ contacts: contacts.filter(c => c.id !== contact.id) })} className="text-slate-600 hover:text-red-400 p-0.5" title={t('common.remove')}><X size={14} /></button>
+              </div>
+            ))}
+            <button
+              onClick={() => updateCrisis({ contacts: [...contacts, createContact()] })}
+              className="text-[10px] px-2 py-1 rounded-full border border-dashed border-slate-600 text-slate-400 hover:text-white"
+            >
+              {t('crisis.plan.addContact')}
+            </button>
+          </div>
+
+          <div className="space-y-1">
+            <p className="text-xs font-bold text-slate-500 uppercase">{t('crisis.plan.helplines')}</p>
+            {HELPLINES.map(line => (
+              <p key={line.number} className="text-xs text-slate-400"><span className="font-mono text-red-300">{line.number}</span> · {t(`crisis.helplines.${line.id}.label`)}</p>
+            ))}
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-xs font-bold text-slate-500 uppercase">{t('crisis.plan.protocol')}</p>
+            {steps.map((step, i) => (
+              <div key={step.id} className={`bg-black/20 border border-white/5 rounded-xl p-2 ${step.enabled ? '' : 'opacity-50'}`}>
+                <div className="flex items-center gap-2">
+                  <input type="checkbox" checked={step.enabled} onChange={(e) => updateStep(step.id, { enabled: e.target.checked })} className="accent-red-500" />
+                  <span className="text-xs text-white flex-1">{t(`crisis.steps.${step.type}`)}</span>
+                  <button onClick={() => moveStep(i, -1)} disabled={i === 0} className="text-slate-500 hover:text-white disabled:opacity-30 p-0.5" title={t('common.moveUp')}><ChevronUp size={14} /></button>
+                  <button onClick={() => moveStep(i, 1)} disabled={i === steps.length - 1} className="text-slate-500 hover:text-white disabled:opacity-30 p-0.5" title={t('common.moveDown')}><ChevronDown size={14} /></button>
+                  <button onClick={() => updateProtocol(steps.filter(s => s.id !== step.id))} className="text-slate-600 hover:text-red-400 p-0.5" title={t('common.remove')}><X size={14} /></button>
+                </div>
+                {step.type === 'message' && (
+                  <textarea
+                    value={step.text || ""}
+                    onChange={(e) => updateStep(step.id, { text: e.target.value })}
+                    rows={2}
+                    placeholder={t('crisis.defaultMessage')}
+                    className="mt-2 w-full bg-slate-900/50 border border-slate-700 rounded-lg px-2 py-1 text-xs text-white focus:outline-none focus:border-red-500"
+                  />
+                )}
+                {step.type === 'breathing' && (
+                  <label className="mt-2 flex items-center justify-between text-xs text-slate-400">
+                    {t('crisis.plan.cycles')}
+                    <input
+                      type="number" min={1} max={20}
+                      value={step.cycles || 4}
+                      onChange={(e) => updateStep(step.id, { cycles: Math.min(Math.max(parseInt(e.target.value) || 1, 1), 20) })}
+                      className="w-14 bg-slate-900/50 border border-slate-700 rounded-lg px-2 py-0.5 text-right font-mono text-white"
+                    />
+                  </label>
+                )}
+              </div>
+            ))}
+            <div className="flex flex-wrap gap-1.5 pt-1">
+              {CRISIS_STEP_TYPES.map(type => (
+                <button
+                  key={type}
+                  onClick={() => updateProtocol([...steps, createStep(type)])}
+                  className="text-[10px] px-2 py-1 rounded-full border border-dashed border-slate-600 text-slate-400 hover:text-white"
+                >
+                  + {t(`crisis.steps.${type}`)}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+};
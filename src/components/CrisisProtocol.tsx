@@ -0,0 +1,350 @@
+// --- CRISIS PROTOCOL ---
+
+import { useState, useEffect, useRef } from 'react';
+import { AlertTriangle, Phone, MessageSquare } from 'lucide-react';
+import { type Goal } from '../goals';
+import {
+  HELPLINES, BREATHING_PHASES, GROUNDING_PROMPTS, phoneHref,
+  type CrisisStep, type CrisisContact, type CrisisPlan, type CrisisSession
+} from '../crisis';
+import { useI18n } from '../hooks/useI18n';
+import { Card } from './ui';
+import { CARABINERS } from './LogEntries';
+
+const BREATHING_CYCLE_SECONDS = BREATHING_PHASES.reduce((sum, p) => sum + p.seconds, 0);
+
+const RatingScale = ({ value, onChange }: { value: number | null, onChange: (v: number) => void }) => {
+  const { t } = useI18n();
+  return (
+    <div>
+      <div className="grid grid-cols-11 gap-1">
+        {Array.from({ length: 11 }, (_, n) => (
+          <button
+            key={n}
+            onClick={() => onChange(n)}
+            className={`py-2 rounded text-xs font-mono font-bold transition-colors ${value === n ? 'bg-red-500 text-white' : 'bg-black/40 text-slate-400'}`}
+          >
+            {n}
+          </button>
+        ))}
+      </div>
+      <div className="flex justify-between text-[10px] text-slate-500 mt-1">
+        <span>{t('crisis.calm')}</span><span>{t('crisis.overwhelmed')}</span>
+      </div>
+    </div>
+  );
+};
+
+const BreathingTimer = ({ cycles }: { cycles: number }) => {
+  const { t } = useI18n();
+  const [running, setRunning] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const total = cycles * BREATHING_CYCLE_SECONDS;
+  const done = elapsed >= total;
+
+  useEffect(() => {
+    if (!running || done) return;
+    const timer = setTimeout(() => setElapsed(e => e + 1), 1000);
+    return () => clearTimeout(timer);
+  }, [running, done, elapsed]);
+
+  // Phase courante et secondes restantes dans cette phase
+  let offset = elapsed % BREATHING_CYCLE_SECONDS;
+  let phase = BREATHING_PHASES[0];
+  for (const p of BREATHING_PHASES) {
+    phase = p;
+    if (offset < p.seconds) break;
+    offset -= p.seconds;
+  }
+  const scale = running && !done ? phase.scale : 0.5;
+
+  return (
+    <div className="flex flex-col items-center py-4">
+      <div className="w-36 h-36 flex items-center justify-center">
+        <div
+          className="w-full h-full rounded-full bg-sky-500/30 border-2 border-sky-400 flex items-center justify-center ease-in-out"
+          style={{ transform: `scale(${scale})`, transition: `transform ${phase.seconds}s` }}
+        >
+          <span className="text-white font-bold" style={{ transform: `scale(${1 / scale})` }}>
+            {done ? "✓" : running ? t(`crisis.breathing.${phase.id}`) : ""}
+          </span>
+        </div>
+      </div>
+      {!running ? (
+        <button onClick={() => setRunning(true)} className="mt-3 bg-sky-600 hover:bg-sky-500 text-white text-sm font-bold px-4 py-2 rounded-lg">
+          {t('crisis.breathing.start', { cycles })}
+        </button>
+      ) : (
+        <p className="mt-3 text-xs font-mono text-slate-400">
+          {done
+            ? t('crisis.breathing.done')
+            : t('crisis.breathing.progress', { seconds: phase.seconds - offset, cycle: Math.floor(elapsed / BREATHING_CYCLE_SECONDS) + 1, cycles })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const GroundingStep = () => {
+  const { t } = useI18n();
+  const [checked, setChecked] = useState<number[]>([]);
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-slate-400">{t('crisis.grounding.intro')}</p>
+      {GROUNDING_PROMPTS.map(({ count, sense }) => (
+        <button
+          key={count}
+          onClick={() => setChecked(prev => prev.includes(count) ? prev.filter(c => c !== count) : [...prev, count])}
+          className={`w-full text-left p-2 rounded-lg border text-sm flex gap-3 items-center transition-colors ${checked.includes(count) ? 'border-emerald-500/50 text-emerald-300 bg-emerald-900/20' : 'border-slate-700 text-white bg-black/30'}`}
+        >
+          <span className="font-mono font-black text-lg w-6 text-center">{count}</span> {t(`crisis.grounding.${sense}`)}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+const CallButtons = ({ phone, sms = true }: { phone: string, sms?: boolean }) => {
+  const { t } = useI18n();
+  return (
+    <div className="flex gap-1.5 shrink-0">
+      <a href={phoneHref('tel', phone)} className="bg-emerald-600 hover:bg-emerald-500 text-white text-xs font-bold px-3 py-2 rounded-lg flex items-center gap-1">
+        <Phone size={14} /> {t('crisis.call')}
+      </a>
+      {sms && (
+        <a href={phoneHref('sms', phone)} className="bg-slate-700 hover:bg-slate-600 text-white text-xs font-bold px-3 py-2 rounded-lg flex items-center gap-1" title={t('crisis.message')}>
+          <MessageSquare size={14} />
+        </a>
+      )}
+    </div>
+  );
+};
+
+const ContactsStep = ({ contacts }: { contacts: CrisisContact[] }) => {
+  const { t } = useI18n();
+  const reachable = contacts.filter(c => c.name.trim() || c.phone.trim());
+  if (!reachable.length) {
+    return <p className="text-sm text-slate-400 italic">{t('crisis.contactsEmpty')}</p>;
+  }
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-slate-400">{t('crisis.contactsIntro')}</p>
+      {reachable.map((contact, i) => (
+        <div key={contact.id} className="flex items-center gap-3 bg-black/30 border border-slate-700 rounded-lg p-2">
+          <span className="font-mono font-black text-slate-500 w-4 text-center">{i + 1}</span>
+          <span className="flex-1 text-white font-bold truncate">{contact.name || contact.phone}</span>
+          {contact.phone && <CallButtons phone={contact.phone} />}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const HelplinesStep = () => {
+  const { t } = useI18n();
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-slate-400">{t('crisis.helplinesIntro')}</p>
+      {HELPLINES.map(line => (
+        <div key={line.number} className="flex items-center gap-3 bg-black/30 border border-slate-700 rounded-lg p-2">
+          <div className="flex-1 min-w-0">
+            <p className="text-white font-bold text-sm">{t(`crisis.helplines.${line.id}.label`)} <span className="font-mono text-red-300">{line.number}</span></p>
+            <p className="text-[10px] text-slate-500">{t(`crisis.helplines.${line.id}.detail`)}</p>
+          </div>
+          {line.sms ? (
+            <a href={phoneHref('sms', line.number)} className="bg-slate-700 hover:bg-slate-600 text-white text-xs font-bold px-3 py-2 rounded-lg flex items-center gap-1 shrink-0">
+              <MessageSquare size={14} /> {t('crisis.sms')}
+            </a>
+          ) : <CallButtons phone={line.number} sms={false} />}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Liste du plan de crise ; `checkable` pour cocher ce qu'on reconnaît / a essayé
+const PlanListStep = ({ intro, items, empty, checkable = false }: { intro: string, items: string[], empty: string, checkable?: boolean }) => {
+  const [checked, setChecked] = useState<number[]>([]);
+  if (!items.length) return <p className="text-sm text-slate-400 italic">{empty}</p>;
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-slate-400">{intro}</p>
+      {items.map((item, i) => (
+        <button
+          key={i}
+          disabled={!checkable}
+          onClick={() => setChecked(prev => prev.includes(i) ? prev.filter(c => c !== i) : [...prev, i])}
+          className={`w-full text-left p-2 rounded-lg border text-sm font-bold transition-colors ${checked.includes(i) ? 'border-emerald-500/50 text-emerald-300 bg-emerald-900/20' : 'border-slate-700 text-white bg-black/30'}`}
+        >
+          {item}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+const CrisisStepView = ({ step, crisisData, goal }: { step: CrisisStep, crisisData: CrisisPlan, goal: Goal }) => {
+  const { t } = useI18n();
+  switch (step.type) {
+    case 'breathing':
+      return <BreathingTimer cycles={step.cycles || 4} />;
+    case 'grounding':
+      return <GroundingStep />;
+    case 'warningSigns':
+      return (
+        <PlanListStep
+          checkable
+          intro={t('crisis.warningSignsIntro')}
+          items={crisisData.warningSigns}
+          empty={t('crisis.warningSignsEmpty')}
+        />
+      );
+    case 'strategies':
+      return (
+        <PlanListStep
+          checkable
+          intro={t('crisis.strategiesIntro')}
+          items={crisisData.strategies.length ? crisisData.strategies : [t('crisis.strategiesFallback')]}
+          empty=""
+        />
+      );
+    case 'safePlaces':
+      return (
+        <PlanListStep
+          intro={t('crisis.safePlacesIntro')}
+          items={crisisData.safePlaces}
+          empty={t('crisis.safePlacesEmpty')}
+        />
+      );
+    case 'contacts':
+      return <ContactsStep contacts={crisisData.contacts} />;
+    case 'helplines':
+      return <HelplinesStep />;
+    default: {
+      const carabiners = CARABINERS.map(c => goal[c.key]).filter(Boolean);
+      return (
+        <div className="bg-black/40 p-3 rounded border-l-2 border-red-500">
+          <p className="text-xs text-slate-400 mb-1">{t('crisis.execute')}</p>
+          <p className="text-white font-mono font-bold">{step.text || t('crisis.defaultMessage')}</p>
+          {goal.title && (
+            <p className="text-xs text-slate-400 mt-3">
+              {t('crisis.goal')} <span className="text-emerald-400 font-bold">{goal.title}</span>
+              {carabiners.length > 0 && <> · {t('crisis.goalCarabiners')} <span className="text-slate-200">{carabiners.join(' · ')}</span></>}
+            </p>
+          )}
+        </div>
+      );
+    }
+  }
+};
+
+export const CrisisProtocol = ({
+    crisisData,
+    goal,
+    onLog,
+    onClose
+}: {
+    crisisData: CrisisPlan,
+    goal: Goal,
+    onLog: (session: CrisisSession) => void,
+    onClose: () => void
+}) => {
+  const { t } = useI18n();
+  const [startedAt] = useState(() => new Date());
+  const [stage, setStage] = useState<'before' | 'after' | number>('before');
+  const [before, setBefore] = useState<number | null>(null);
+  const [after, setAfter] = useState<number | null>(null);
+
+  const steps = crisisData.protocol.filter(step => step.enabled);
+
+  const session = (completed: boolean): CrisisSession => ({
+    id: startedAt.getTime(),
+    startedAt: startedAt.toISOString(),
+    durationSec: Math.round((Date.now() - startedAt.getTime()) / 1000),
+    before,
+    after: completed ? after : null,
+    completed,
+  });
+
+  // Sortie sans Fermer ni Terminer (retour du navigateur, autre onglet, alerte) :
+  // la séance est tout de même enregistrée, comme interrompue
+  const ended = useRef(false);
+  const logInterrupted = useRef(() => {});
+  logInterrupted.current = () => onLog(session(false));
+  useEffect(() => {
+    const log = logInterrupted;
+    return () => {
+      if (!ended.current) log.current();
+    };
+  }, []);
+
+  const finish = (completed: boolean) => {
+    ended.current = true;
+    onLog(session(completed));
+    onClose();
+  };
+
+  const next = () => {
+    if (stage === 'before') setStage(steps.length ? 0 : 'after');
+    else if (typeof stage === 'number') setStage(stage + 1 < steps.length ? stage + 1 : 'after');
+  };
+
+  const previous = () => {
+    if (typeof stage === 'number') setStage(stage > 0 ? stage - 1 : 'before');
+    else if (stage === 'after') setStage(steps.length ? steps.length - 1 : 'before');
+  };
+
+  return (
+    <Card className="border-red-500/50 bg-red-950/30 animate-in zoom-in duration-300 relative">
+      <button onClick={() => finish(false)} className="absolute top-4 right-4 text-xs text-slate-400 underline">{t('common.close')}</button>
+      <h3 className="font-bold text-red-400 flex items-center gap-2 mb-1">
+        <AlertTriangle size={18}/> {t('crisis.survivalMode')}
+      </h3>
+      <div className="flex gap-1 mb-4">
+        {steps.map((step, i) => (
+          <div key={step.id} className={`h-1 flex-1 rounded-full ${typeof stage === 'number' && i <= stage ? 'bg-red-500' : stage === 'after' ? 'bg-red-500' : 'bg-slate-700'}`}></div>
+        ))}
+      </div>
+
+      <div className="min-h-[10rem]">
+        {stage === 'before' && (
+          <div>
+            <p className="text-white font-bold mb-3">{t('crisis.before')}</p>
+            <RatingScale value={before} onChange={setBefore} />
+          </div>
+        )}
+        {typeof stage === 'number' && steps[stage] && (
+          <div>
+            <p className="text-[10px] font-bold text-red-400 uppercase mb-2">
+              {t('crisis.step', { index: stage + 1, total: steps.length, label: t(`crisis.steps.${steps[stage].type}`) })}
+            </p>
+            <CrisisStepView step={steps[stage]} crisisData={crisisData} goal={goal} />
+          </div>
+        )}
+        {stage === 'after' && (
+          <div>
+            <p className="text-white font-bold mb-3">{t('crisis.after')}</p>
+            <RatingScale value={after} onChange={setAfter} />
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-between items-center mt-4">
+        {stage !== 'before' ? (
+          <button onClick={previous} className="text-xs text-slate-400 underline">{t('crisis.previous')}</button>
+        ) : <span />}
+        {stage === 'after' ? (
+          <button onClick={() => finish(true)} className="bg-emerald-600 hover:bg-emerald-500 text-white text-sm font-bold px-4 py-2 rounded-lg">{t('crisis.finish')}</button>
+        ) : (
+          <button onClick={next} className="bg-red-600 hover:bg-red-500 text-white text-sm font-bold px-4 py-2 rounded-lg">
+            {stage === 'before' && before === null ? t('crisis.skip') : t('crisis.next')}
+          </button>
+        )}
+      </div>
+
+      <p className="text-[10px] text-slate-500 text-center mt-4">
+        {t('crisis.immediateDanger')} <a href={phoneHref('tel', HELPLINES[0].number)} className="text-red-300 font-bold underline">{HELPLINES[0].number}</a> · <a href={phoneHref('tel', '112')} className="text-red-300 font-bold underline">112</a>
+      </p>
+    </Card>
+  );
+};
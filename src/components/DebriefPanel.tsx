@@ -0,0 +1,187 @@
+// --- WEEKLY DEBRIEF PANEL ---
+
+import { useState, useMemo } from 'react';
+import { Printer, ChevronLeft, ChevronRight } from 'lucide-react';
+import { buildWeeklyDebrief, type DebriefInput, type RadarAverages } from '../debrief';
+import { addDays, toDayKey, weekStartKey, weekdayInitials } from '../dates';
+import { sensorLabel } from '../radar';
+import { type RadarSensor } from '../types';
+import { useI18n } from '../hooks/useI18n';
+import { Header, Card, Stat } from './ui';
+import { CARABINERS } from './LogEntries';
+import { formatDayKey } from './MatrixTrail';
+
+// "+3" / "-1.5" ; "—" sans point de comparaison
+const formatDelta = (current: number | null | undefined, previous: number | null | undefined, digits = 0) => {
+  if (current === null || current === undefined || previous === null || previous === undefined) return "—";
+  const delta = current - previous;
+  const rounded = delta.toFixed(digits);
+  return Number(rounded) > 0 ? `+${rounded}` : rounded;
+};
+
+export const DebriefPanel = ({
+    input,
+    sensors,
+    onClose
+}: {
+    input: DebriefInput,
+    sensors: RadarSensor[],
+    onClose: () => void
+}) => {
+  const { t, locale } = useI18n();
+  const thisWeek = weekStartKey(toDayKey());
+  const [weekStart, setWeekStart] = useState(thisWeek);
+
+  const debrief = useMemo(() => buildWeeklyDebrief(input, weekStart), [input, weekStart]);
+  const { current, previous } = debrief.radar;
+
+  // Axes fixes, puis capteurs actuels ; un capteur supprimé depuis n'apparaît plus
+  const radarRows = [
+    { id: 'inner', label: t('radar.axis.inner'), pick: (r: RadarAverages | null) => r?.inner },
+    { id: 'fog', label: t('radar.axis.fog'), pick: (r: RadarAverages | null) => r?.fog },
+    ...sensors.map(sensor => ({ id: sensor.id, label: sensorLabel(sensor, t), pick: (r: RadarAverages | null) => r?.sensors[sensor.id] })),
+    { id: 'noise', label: t('debrief.noise'), pick: (r: RadarAverages | null) => r?.noise },
+  ];
+  const { start, end } = debrief.scores;
+  const initials = weekdayInitials(locale);
+  const reliefValue = debrief.crisis.averageRelief;
+
+  return (
+    <div className="print-report absolute inset-0 z-50 bg-slate-900 overflow-y-auto p-6 pt-12 space-y-4 animate-in fade-in duration-300">
+      <button onClick={onClose} className="absolute top-4 right-6 text-xs text-slate-400 underline print:hidden">{t('common.close')}</button>
+      <Header title={t('debrief.title')} subtitle={t('debrief.subtitle')} />
+
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-1">
+          <button onClick={() => setWeekStart(addDays(weekStart, -7))} className="text-slate-400 hover:text-white p-1 print:hidden" title={t('debrief.previousWeek')}><ChevronLeft size={16} /></button>
+          <span className="text-xs font-bold text-white">
+            {t('debrief.week', { from: formatDayKey(debrief.weekStart, locale), to: formatDayKey(debrief.weekEnd, locale) })}
+          </span>
+          <button onClick={() => setWeekStart(addDays(weekStart, 7))} disabled={weekStart >= thisWeek} className="text-slate-400 hover:text-white disabled:opacity-30 p-1 print:hidden" title={t('debrief.nextWeek')}><ChevronRight size={16} /></button>
+        </div>
+        <button onClick={() => window.print()} className="bg-slate-700 hover:bg-slate-600 text-white text-xs font-bold px-3 py-1.5 rounded-lg flex items-center gap-2 transition-colors print:hidden">
+          <Printer size={14} /> {t('debrief.print')}
+        </button>
+      </div>
+      <p className="text-[10px] text-slate-500 print:hidden">{t('debrief.printHint')}</p>
+
+      <Card>
+        <h3 className="text-sm font-bold text-white mb-3">{t('debrief.logs')}</h3>
+        <p className="text-xs text-slate-400 mb-3">{t('debrief.logsSummary', { count: debrief.entryCount, days: debrief.activeDays })}</p>
+        <div className="space-y-2">
+          {debrief.days.map(({ day, entries }) => (
+            <div key={day} className="text-xs">
+              <div className={`font-bold ${entries.length ? 'text-slate-300' : 'text-slate-600'}`}>{formatDayKey(day, locale)}</div>
+              {entries.length === 0 ? (
+                <p className="pl-3 text-[10px] text-slate-600 italic">{t('debrief.noEntry')}</p>
+              ) : (
+                <ul className="pl-3 space-y-0.5">
+                  {entries.map(entry => {
+                    const carabiner = CARABINERS.find(c => c.key === entry.category);
+                    return (
+                      <li key={entry.id} className="text-slate-200 flex items-center gap-2">
+                        <span>+1% {entry.domain}</span>
+                        {carabiner && <carabiner.icon size={12} className={carabiner.text} aria-label={t(`carabiners.${carabiner.key}`)} />}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      </Card>
+
+      <Card>
+        <h3 className="text-sm font-bold text-white mb-3">{t('debrief.radar')}</h3>
+        {current === null ? (
+          <p className="text-xs text-slate-500 italic">{t('debrief.noRadar')}</p>
+        ) : (
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-[9px] text-slate-500 uppercase">
+                <th className="text-left font-normal pb-1" />
+                <th className="text-right font-normal pb-1">{t('debrief.thisWeek')}</th>
+                <th className="text-right font-normal pb-1">{t('debrief.lastWeek')}</th>
+                <th className="text-right font-normal pb-1">{t('debrief.change')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {radarRows.map(row => {
+                const value = row.pick(current);
+                const before = row.pick(previous);
+                return (
+                  <tr key={row.id}>
+                    <td className="text-slate-400 py-0.5">{row.label}</td>
+                    <td className="text-right font-mono text-white">{value === undefined ? "—" : Math.round(value)}</td>
+                    <td className="text-right font-mono text-slate-400">{before === undefined ? "—" : Math.round(before)}</td>
+                    <td className="text-right font-mono text-slate-300">{formatDelta(value, before)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+        <p className="mt-3 text-[10px] text-slate-500">{t('debrief.readings', { count: current?.readings ?? 0 })}</p>
+      </Card>
+
+      <Card>
+        <h3 className="text-sm font-bold text-white mb-3">{t('debrief.scores')}</h3>
+        <div className="grid grid-cols-2 gap-2">
+          <Stat label={t('debrief.mastery')} value={end ? end.x.toFixed(1) : "—"} />
+          <Stat label={t('debrief.impact')} value={end ? end.y.toFixed(1) : "—"} />
+          <Stat label={t('debrief.masteryChange')} value={formatDelta(end?.x, start?.x, 1)} />
+          <Stat label={t('debrief.impactChange')} value={formatDelta(end?.y, start?.y, 1)} />
+        </div>
+      </Card>
+
+      <Card>
+        <h3 className="text-sm font-bold text-white mb-3">{t('debrief.carabiners')}</h3>
+        {debrief.carabiners.length === 0 ? (
+          <p className="text-xs text-slate-500 italic">{t('debrief.noCarabiners')}</p>
+        ) : (
+          <div className="space-y-3">
+            {debrief.carabiners.map(goal => (
+              <div key={goal.goalId} className="text-xs">
+                <div className="font-bold text-slate-300 mb-1">{goal.title || t('common.untitled')}</div>
+                {goal.rows.map(row => (
+                  <div key={row.key} className="flex items-center gap-2">
+                    <span className="flex-1 min-w-0 truncate text-slate-400">{row.label}</span>
+                    <span className="flex gap-0.5">
+                      {row.grid.map((checked, i) => (
+                        <span key={i} className={`w-4 h-4 rounded text-[8px] flex items-center justify-center border ${checked ? 'print-bar bg-emerald-500 border-emerald-500 text-white' : 'bg-slate-800 border-slate-700 text-slate-600'}`}>{initials[i]}</span>
+                      ))}
+                    </span>
+                    <span className="w-8 text-right font-mono text-white">{row.checkedDays}/7</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="mt-3 grid grid-cols-3 gap-2">
+          {CARABINERS.map(c => <Stat key={c.key} label={t(`carabiners.${c.key}`)} value={debrief.tagged[c.key]} />)}
+        </div>
+        <p className="mt-2 text-[10px] text-slate-500">{t('debrief.taggedHint')}</p>
+      </Card>
+
+      <Card>
+        <h3 className="text-sm font-bold text-white mb-3">{t('debrief.crisis')}</h3>
+        <div className="grid grid-cols-2 gap-2">
+          <Stat label={t('debrief.sessions')} value={debrief.crisis.sessions} />
+          <Stat label={t('debrief.completed')} value={`${debrief.crisis.completed}/${debrief.crisis.sessions}`} />
+          <Stat label={t('debrief.episodes')} value={debrief.crisis.episodes} />
+          <Stat
+            label={t('cohort.relief')}
+            value={reliefValue === null ? "—" : `${reliefValue >= 0 ? '-' : '+'}${Math.abs(reliefValue).toFixed(1)}`}
+          />
+        </div>
+        {debrief.crisis.sosFromAlerts > 0 && (
+          <p className="mt-2 text-[10px] text-slate-500">{t('debrief.sosFromAlerts', { count: debrief.crisis.sosFromAlerts })}</p>
+        )}
+      </Card>
+
+      <p className="text-[10px] text-slate-500">{t('debrief.privacy')}</p>
+    </div>
+  );
+};
@@ -0,0 +1,60 @@
+// --- FOG EPISODES ---
+// Passages en brouillard critique (voir alerts.ts), du plus récent au plus ancien
+
+import { useState } from 'react';
+import { CloudFog } from 'lucide-react';
+import { type FogEpisode } from '../alerts';
+import { dateLocale } from '../i18n';
+import { sensorLabel } from '../radar';
+import { useI18n } from '../hooks/useI18n';
+import { Card } from './ui';
+
+const VISIBLE_EPISODES = 3;
+
+export const FogEpisodes = ({ episodes }: { episodes: FogEpisode[] }) => {
+  const { t, locale } = useI18n();
+  const [showAll, setShowAll] = useState(false);
+
+  if (episodes.length === 0) return null;
+
+  const sorted = [...episodes].sort((a, b) => b.id - a.id);
+  const visible = showAll ? sorted : sorted.slice(0, VISIBLE_EPISODES);
+  const formatTime = (iso: string) =>
+    new Date(iso).toLocaleString(dateLocale(locale), { dateStyle: 'short', timeStyle: 'short' });
+
+  return (
+    <Card>
+      <h3 className="text-sm font-bold text-white flex items-center gap-2 mb-3">
+        <CloudFog size={16} className="text-red-400"/> {t('alerts.episodes.title')}
+      </h3>
+      <div className="space-y-2">
+        {visible.map(episode => (
+          <div key={episode.id} className="bg-black/20 border border-white/5 rounded-xl p-2 text-xs">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-slate-300">
+                {formatTime(episode.startedAt)}
+                {' → '}
+                {episode.endedAt ? formatTime(episode.endedAt) : <span className="text-red-400 font-bold">{t('alerts.episodes.ongoing')}</span>}
+              </span>
+              {episode.sosAt && <span className="text-[10px] font-bold text-red-300 bg-red-950/60 px-1.5 py-0.5 rounded">{t('alerts.episodes.sos')}</span>}
+            </div>
+            {/* Relevé au moment du basculement, puis le pic s'il est plus haut */}
+            <p className="mt-1 text-[10px] text-slate-500 font-mono">
+              {[
+                `${t('radar.axis.fog')} ${episode.snapshot.fog}%`,
+                `${t('radar.axis.inner')} ${episode.snapshot.inner}%`,
+                ...episode.snapshot.sensors.map(s => `${sensorLabel(s, t)} ${s.value}%`),
+                ...(episode.peakFog > episode.snapshot.fog ? [t('alerts.episodes.peak', { value: episode.peakFog })] : []),
+              ].join(' · ')}
+            </p>
+          </div>
+        ))}
+      </div>
+      {sorted.length > VISIBLE_EPISODES && (
+        <button onClick={() => setShowAll(v => !v)} className="mt-2 text-[10px] text-slate-500 underline">
+          {showAll ? t('alerts.episodes.showLess') : t('alerts.episodes.showAll', { count: sorted.length })}
+        </button>
+      )}
+    </Card>
+  );
+};
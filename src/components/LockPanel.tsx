@@ -0,0 +1,101 @@
+// --- LOCK PANEL (code & verrouillage automatique) ---
+
+import { useState } from 'react';
+import { Lock } from 'lucide-react';
+import { MIN_SECRET_LENGTH, AUTO_LOCK_CHOICES } from '../lock';
+import { type AppLock } from '../hooks/useAppLock';
+import { useI18n } from '../hooks/useI18n';
+import { Header, Card } from './ui';
+
+const SecretForm = ({ submitLabel, onSubmit }: { submitLabel: string, onSubmit: (secret: string) => Promise<void> }) => {
+  const { t } = useI18n();
+  const [secret, setSecret] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const tooShort = secret.length < MIN_SECRET_LENGTH;
+  const mismatch = confirm.length > 0 && confirm !== secret;
+
+  const submit = async () => {
+    setBusy(true);
+    try {
+      await onSubmit(secret);
+      setSecret("");
+      setConfirm("");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputClass = "w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white focus:border-emerald-500 outline-none";
+
+  return (
+    <div className="space-y-2">
+      <input type="password" autoComplete="new-password" value={secret} onChange={(e) => setSecret(e.target.value)} placeholder={t('lock.newSecret')} className={inputClass} />
+      <input type="password" autoComplete="new-password" value={confirm} onChange={(e) => setConfirm(e.target.value)} placeholder={t('lock.confirmSecret')} className={inputClass} />
+      {secret.length > 0 && tooShort && <p className="text-[10px] text-orange-300">{t('lock.tooShort', { min: MIN_SECRET_LENGTH })}</p>}
+      {mismatch && <p className="text-[10px] text-orange-300">{t('lock.mismatch')}</p>}
+      <button
+        onClick={submit}
+        disabled={tooShort || confirm !== secret || busy}
+        className="w-full bg-emerald-600 hover:bg-emerald-500 disabled:opacity-40 text-white text-sm font-bold py-2 rounded-lg transition-colors"
+      >
+        {busy ? t('lock.encrypting') : submitLabel}
+      </button>
+    </div>
+  );
+};
+
+export const LockPanel = ({ appLock, onClose }: { appLock: AppLock, onClose: () => void }) => {
+  const { t } = useI18n();
+
+  const disable = () => {
+    if (window.confirm(t('lock.confirmDisable'))) appLock.disable();
+  };
+
+  return (
+    <div className="absolute inset-0 z-50 bg-slate-900 overflow-y-auto p-6 pt-12 space-y-4 animate-in fade-in duration-300">
+      <button onClick={onClose} className="absolute top-4 right-6 text-xs text-slate-400 underline">{t('common.close')}</button>
+      <Header title={t('lock.title')} subtitle={t('lock.subtitle')} />
+
+      {!appLock.enabled ? (
+        <Card>
+          <h3 className="text-sm font-bold text-white mb-1">{t('lock.enable')}</h3>
+          <p className="text-xs text-slate-400 mb-2">{t('lock.enableHint')}</p>
+          <p className="text-xs text-orange-300 mb-4">{t('lock.noRecovery')}</p>
+          <SecretForm submitLabel={t('lock.enable')} onSubmit={appLock.enable} />
+        </Card>
+      ) : (
+        <>
+          <Card>
+            <button onClick={appLock.lock} className="w-full bg-slate-700 hover:bg-slate-600 text-white text-sm font-bold py-2 rounded-lg flex items-center justify-center gap-2 transition-colors">
+              <Lock size={16} /> {t('lock.lockNow')}
+            </button>
+            <label className="flex items-center justify-between gap-3 mt-4 text-xs text-slate-300">
+              {t('lock.autoLock')}
+              <select
+                value={appLock.autoLockMinutes ?? 0}
+                onChange={(e) => appLock.setAutoLock(Number(e.target.value))}
+                className="bg-slate-900 border border-slate-700 rounded-lg px-2 py-1 text-white"
+              >
+                {AUTO_LOCK_CHOICES.map(minutes => (
+                  <option key={minutes} value={minutes}>
+                    {minutes ? t('lock.afterMinutes', { count: minutes }) : t('lock.never')}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </Card>
+
+          <Card>
+            <h3 className="text-sm font-bold text-white mb-3">{t('lock.change')}</h3>
+            <SecretForm submitLabel={t('lock.change')} onSubmit={appLock.enable} />
+          </Card>
+
+          <button onClick={disable} className="w-full text-xs text-red-400 underline">{t('lock.disable')}</button>
+        </>
+      )}
+      <p className="text-[10px] text-slate-500">{t('lock.scope')}</p>
+    </div>
+  );
+};
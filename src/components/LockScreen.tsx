@@ -0,0 +1,100 @@
+// --- LOCK SCREEN ---
+// Seul écran affiché tant que l'app est verrouillée. Le SOS reste accessible,
+// sans rien de personnel : le plan de crise et le journal sont chiffrés.
+
+import { useState } from 'react';
+import { Lock, ShieldAlert } from 'lucide-react';
+import { publicCrisisPlan } from '../crisis';
+import { EMPTY_GOAL } from '../goals';
+import { useI18n } from '../hooks/useI18n';
+import { useRoute } from '../hooks/useRoute';
+import { CrisisProtocol } from './CrisisProtocol';
+
+export const LockScreen = ({
+    onUnlock,
+    onReset
+}: {
+    onUnlock: (secret: string) => Promise<void>,
+    onReset: () => void
+}) => {
+  const { t } = useI18n();
+  const { route, navigate, leave } = useRoute();
+  const [secret, setSecret] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(false);
+  const [plan] = useState(publicCrisisPlan);
+
+  const submit = async () => {
+    if (!secret || busy) return;
+    setBusy(true);
+    setError(false);
+    try {
+      await onUnlock(secret);
+    } catch (err) {
+      setError(true);
+      setSecret("");
+      setBusy(false);
+    }
+  };
+
+  const forgot = () => {
+    if (window.confirm(t('lock.confirmReset'))) onReset();
+  };
+
+  return (
+    <div className="min-h-dvh bg-slate-900 font-sans flex flex-col items-center justify-center gap-6 p-6">
+      {route.crisis ? (
+        <div className="w-full max-w-sm">
+          {/* Séance non journalisée : le journal SOS est chiffré lui aussi */}
+          <CrisisProtocol
+            crisisData={plan}
+            goal={EMPTY_GOAL}
+            onLog={() => {}}
+            onClose={() => leave({ ...route, crisis: false })}
+          />
+          <p className="mt-3 text-[10px] text-slate-500 text-center">{t('lock.sosLimited')}</p>
+        </div>
+      ) : (
+        <>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              submit();
+            }}
+            className="w-full max-w-xs text-center space-y-4"
+          >
+            <Lock size={32} className="mx-auto text-emerald-400" />
+            <h1 className="text-xl font-black text-white">{t('lock.locked')}</h1>
+            <input
+              type="password"
+              autoComplete="current-password"
+              autoFocus
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              placeholder={t('lock.secretPlaceholder')}
+              aria-label={t('lock.secret')}
+              className="w-full bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-center text-lg tracking-widest text-white focus:border-emerald-500 outline-none"
+            />
+            {error && <p className="text-xs text-red-400">{t('lock.wrongSecret')}</p>}
+            <button
+              type="submit"
+              disabled={!secret || busy}
+              className="w-full bg-emerald-600 hover:bg-emerald-500 disabled:opacity-40 text-white text-sm font-bold py-2 rounded-lg transition-colors"
+            >
+              {busy ? t('lock.unlocking') : t('lock.unlock')}
+            </button>
+            <button type="button" onClick={forgot} className="text-[10px] text-slate-500 underline">{t('lock.forgot')}</button>
+          </form>
+
+          <button
+            onClick={() => navigate({ tab: 'cockpit', crisis: true, panel: null })}
+            className="w-full max-w-xs py-4 bg-gradient-to-b from-red-900 to-red-950 rounded-2xl border border-red-800/50 active:scale-95 transition-all flex items-center justify-center gap-3"
+          >
+            <ShieldAlert size={20} className="text-red-300" />
+            <span className="text-lg font-black text-red-100 tracking-wider">{t('crisis.sos')}</span>
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
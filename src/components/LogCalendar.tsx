@@ -0,0 +1,85 @@
+// --- LOG CALENDAR ---
+
+import { useState, useMemo } from 'react';
+import { toDayKey, fromDayKey, isoToDayKey, weekdayInitials, formatMonth } from '../dates';
+import { type LogEntry } from '../types';
+import { useI18n } from '../hooks/useI18n';
+
+// Intensité de la case selon le nombre d'entrées du jour
+const heatClass = (count: number) => {
+  if (count === 0) return 'bg-slate-900 text-slate-600';
+  if (count === 1) return 'bg-sky-900 text-sky-200';
+  if (count === 2) return 'bg-sky-700 text-white';
+  return 'bg-sky-500 text-white';
+};
+
+export const LogCalendar = ({
+    logs,
+    selectedDay,
+    onSelectDay
+}: {
+    logs: LogEntry[],
+    selectedDay: string | null,
+    onSelectDay: (day: string | null) => void
+}) => {
+  const { t, locale } = useI18n();
+  const initials = useMemo(() => weekdayInitials(locale), [locale]);
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+
+  const countsByDay = useMemo(() => {
+    const counts = new Map<string, number>();
+    logs.forEach(log => {
+      const day = isoToDayKey(log.date);
+      if (day) counts.set(day, (counts.get(day) || 0) + 1);
+    });
+    return counts;
+  }, [logs]);
+
+  const cells = useMemo(() => {
+    const leading = (month.getDay() + 6) % 7;
+    const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+    return [
+      ...Array(leading).fill(null),
+      ...Array.from({ length: daysInMonth }, (_, i) => toDayKey(new Date(month.getFullYear(), month.getMonth(), i + 1))),
+    ];
+  }, [month]);
+
+  const shiftMonth = (delta: number) => {
+    setMonth(prev => new Date(prev.getFullYear(), prev.getMonth() + delta, 1));
+    onSelectDay(null);
+  };
+
+  const today = toDayKey();
+  const activeDays = cells.filter(day => day && countsByDay.has(day)).length;
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <button onClick={() => shiftMonth(-1)} className="text-slate-500 hover:text-white px-2">‹</button>
+        <div className="text-xs font-bold text-slate-300 capitalize">
+          {formatMonth(month, locale)}
+          <span className="ml-2 font-mono text-slate-500">{t('log.activeDays', { count: activeDays })}</span>
+        </div>
+        <button onClick={() => shiftMonth(1)} className="text-slate-500 hover:text-white px-2">›</button>
+      </div>
+      <div className="grid grid-cols-7 gap-1 text-center">
+        {initials.map((d, i) => (
+          <div key={i} className="text-[9px] font-bold text-slate-600">{d}</div>
+        ))}
+        {cells.map((day, i) => day === null ? <div key={`pad-${i}`} /> : (
+          <button
+            key={day}
+            onClick={() => onSelectDay(selectedDay === day ? null : day)}
+            title={t('log.entries', { count: countsByDay.get(day) || 0 })}
+            className={`aspect-square rounded text-[10px] font-mono ${heatClass(countsByDay.get(day) || 0)} ${selectedDay === day ? 'ring-2 ring-emerald-400' : day === today ? 'ring-1 ring-slate-500' : ''}`}
+          >
+            {fromDayKey(day).getDate()}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
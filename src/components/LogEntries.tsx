@@ -0,0 +1,99 @@
+// --- LOG ENTRIES ---
+
+import { useState } from 'react';
+import { Brain, Dumbbell, Coffee, Pencil, X } from 'lucide-react';
+import { formatLogDay, formatLogDateTime } from '../dates';
+import { type CarabinerKey, type LogEntry } from '../types';
+import { useI18n } from '../hooks/useI18n';
+
+export const UNDO_DELAY_MS = 6000;
+
+// Libellés : carabiners.<key>
+export const CARABINERS: { key: CarabinerKey, icon: typeof Brain, text: string, bg: string }[] = [
+  { key: 'carb_cognitive', icon: Brain, text: 'text-purple-400', bg: 'bg-purple-500/20' },
+  { key: 'carb_physical', icon: Dumbbell, text: 'text-orange-400', bg: 'bg-orange-500/20' },
+  { key: 'carb_recovery', icon: Coffee, text: 'text-blue-400', bg: 'bg-blue-500/20' },
+];
+
+export const CategoryPicker = ({ value, onChange }: { value?: CarabinerKey, onChange: (v?: CarabinerKey) => void }) => {
+  const { t } = useI18n();
+  return (
+    <div className="flex gap-1">
+      {CARABINERS.map(c => (
+        <button
+          key={c.key}
+          onClick={() => onChange(value === c.key ? undefined : c.key)}
+          title={t(`carabiners.${c.key}`)}
+          className={`p-1.5 rounded-lg transition-colors ${value === c.key ? `${c.bg} ${c.text}` : 'text-slate-600 hover:text-slate-400'}`}
+        >
+          <c.icon size={14} />
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export const LogRow = ({
+    log,
+    onSave,
+    onDelete
+}: {
+    log: LogEntry,
+    onSave: (changes: Partial<LogEntry>) => void,
+    onDelete: () => void
+}) => {
+  const { t, locale } = useI18n();
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(log.domain);
+  const [draftCategory, setDraftCategory] = useState<CarabinerKey | undefined>(log.category);
+
+  const carabiner = CARABINERS.find(c => c.key === log.category);
+
+  const startEdit = () => {
+    setDraft(log.domain);
+    setDraftCategory(log.category);
+    setEditing(true);
+  };
+
+  const save = () => {
+    if (!draft.trim()) return;
+    onSave({ domain: draft.trim(), category: draftCategory });
+    setEditing(false);
+  };
+
+  if (editing) {
+    return (
+      <div className="text-xs border-b border-slate-700/50 pb-2 last:border-0 space-y-2">
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+          autoFocus
+          className="w-full bg-slate-900 border border-sky-500 rounded-lg px-2 py-1 text-white outline-none"
+        />
+        <div className="flex items-center justify-between">
+          <CategoryPicker value={draftCategory} onChange={setDraftCategory} />
+          <div className="flex gap-3">
+            <button onClick={() => setEditing(false)} className="text-slate-500 underline">{t('common.cancel')}</button>
+            <button onClick={save} className="text-sky-400 font-bold">{t('common.ok')}</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="text-xs flex items-center gap-3 text-slate-300 border-b border-slate-700/50 pb-2 last:border-0 group">
+      <span className="font-mono text-slate-500 shrink-0 w-20" title={formatLogDateTime(log.date, locale)}>{formatLogDay(log.date, locale)}</span>
+      {carabiner && <carabiner.icon size={12} className={`${carabiner.text} shrink-0`} />}
+      <span className="truncate flex-1">{log.domain}</span>
+      <button onClick={startEdit} className="text-slate-600 hover:text-sky-400 shrink-0" title={t('common.edit')}>
+        <Pencil size={12} />
+      </button>
+      <button onClick={onDelete} className="text-slate-600 hover:text-red-400 shrink-0" title={t('common.delete')}>
+        <X size={12} />
+      </button>
+    </div>
+  );
+};
@@ -0,0 +1,73 @@
+// --- MATRIX TRAJECTORY ---
+
+import { useState } from 'react';
+import { Flag } from 'lucide-react';
+import { fromDayKey, formatLogDay } from '../dates';
+import { type Locale } from '../i18n';
+import { type TrajectoryPoint } from '../types';
+import { useI18n } from '../hooks/useI18n';
+
+// Nombre de jours de trajectoire affichés sur la matrice
+export const TRAJECTORY_DAYS = 30;
+
+// Position en % dans la matrice, gardée à l'écart des bords
+export const toMatrixPercent = (v: number) => Math.min(Math.max(v * 10, 5), 95);
+
+export const formatDayKey = (day: string, locale: Locale) => formatLogDay(fromDayKey(day).toISOString(), locale);
+
+export const MatrixTrail = ({ points, firstInZone }: { points: TrajectoryPoint[], firstInZone: TrajectoryPoint | null }) => {
+  const { t, locale } = useI18n();
+  const [hovered, setHovered] = useState<TrajectoryPoint | null>(null);
+
+  if (points.length === 0) return null;
+
+  return (
+    <>
+      <svg className="absolute inset-0 w-full h-full overflow-visible" viewBox="0 0 100 100" preserveAspectRatio="none">
+        {points.slice(1).map((p, i) => (
+          <line
+            key={p.date}
+            x1={toMatrixPercent(points[i].x)} y1={100 - toMatrixPercent(points[i].y)}
+            x2={toMatrixPercent(p.x)} y2={100 - toMatrixPercent(p.y)}
+            stroke="#38bdf8"
+            strokeWidth={1.5}
+            strokeOpacity={0.1 + 0.6 * ((i + 1) / points.length)}
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+        {points.map((p, i) => (
+          <circle
+            key={p.date}
+            cx={toMatrixPercent(p.x)} cy={100 - toMatrixPercent(p.y)}
+            r={1.6}
+            fill="#38bdf8"
+            fillOpacity={0.15 + 0.6 * ((i + 1) / points.length)}
+            className="cursor-pointer"
+            onMouseEnter={() => setHovered(p)}
+            onMouseLeave={() => setHovered(null)}
+            onClick={() => setHovered(hovered === p ? null : p)}
+          />
+        ))}
+      </svg>
+
+      {firstInZone && (
+        <div
+          className="absolute -ml-1.5 -mb-1.5 text-emerald-400 pointer-events-none"
+          style={{ left: `${toMatrixPercent(firstInZone.x)}%`, bottom: `${toMatrixPercent(firstInZone.y)}%` }}
+          title={t('mission.firstInZone', { date: formatDayKey(firstInZone.date, locale) })}
+        >
+          <Flag size={12} />
+        </div>
+      )}
+
+      {hovered && (
+        <div
+          className="absolute z-10 -translate-x-1/2 mb-3 bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-[10px] font-mono text-slate-200 whitespace-nowrap pointer-events-none"
+          style={{ left: `${toMatrixPercent(hovered.x)}%`, bottom: `${toMatrixPercent(hovered.y)}%` }}
+        >
+          {formatDayKey(hovered.date, locale)} · X {hovered.x.toFixed(1)} · Y {hovered.y.toFixed(1)}
+        </div>
+      )}
+    </>
+  );
+};
@@ -0,0 +1,143 @@
+// --- RADAR HISTORY ---
+
+import { useState, useMemo } from 'react';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid } from 'recharts';
+import { History } from 'lucide-react';
+import { pad2, toDayKey, fromDayKey, weekStartKey } from '../dates';
+import { type Translator } from '../i18n';
+import { sensorLabel } from '../radar';
+import { type RadarSensor, type RadarSnapshot } from '../types';
+import { useI18n } from '../hooks/useI18n';
+import { Card } from './ui';
+
+type TrendPeriod = 'days' | 'weeks';
+
+type TrendSeries = { key: string, label: string, color: string };
+
+// Couleurs des capteurs, dans leur ordre d'affichage
+const SENSOR_COLORS = ['#f87171', '#fb923c', '#facc15', '#c084fc', '#f472b6', '#a3e635', '#2dd4bf', '#e879f9'];
+
+// Brouillard et moi intérieur, puis les capteurs configurés aujourd'hui
+const trendSeries = (sensors: RadarSensor[], t: Translator): TrendSeries[] => [
+  { key: 'fog', label: t('radar.axis.fog'), color: '#94a3b8' },
+  { key: 'inner', label: t('radar.axis.inner'), color: '#38bdf8' },
+  ...sensors.map((sensor, i) => ({
+    key: sensor.id,
+    label: sensorLabel(sensor, t),
+    color: SENSOR_COLORS[i % SENSOR_COLORS.length],
+  })),
+];
+
+// Valeur d'une série dans un calibrage ; absente si le capteur n'existait pas encore
+const seriesValue = (snapshot: RadarSnapshot, key: string) => {
+  if (key === 'fog' || key === 'inner') return snapshot[key];
+  const sensor = snapshot.sensors.find(s => s.id === key);
+  return sensor ? sensor.value : undefined;
+};
+
+const TREND_PERIODS: TrendPeriod[] = ['days', 'weeks'];
+
+// Fenêtre affichée : 30 jours ou 12 semaines
+const TREND_WINDOW = { days: 30, weeks: 12 };
+
+// Un point par jour (dernier calibrage du jour) ou par semaine (moyenne)
+const aggregateRadarHistory = (history: RadarSnapshot[], series: TrendSeries[], period: TrendPeriod, t: Translator) => {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - (period === 'days' ? TREND_WINDOW.days : TREND_WINDOW.weeks * 7));
+  const cutoffKey = toDayKey(cutoff);
+
+  const buckets = new Map<string, RadarSnapshot[]>();
+  history
+    .filter(s => s.date > cutoffKey)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach(s => {
+      const bucket = period === 'days' ? s.date : weekStartKey(s.date);
+      buckets.set(bucket, [...(buckets.get(bucket) || []), s]);
+    });
+
+  return Array.from(buckets.entries()).map(([bucket, snapshots]) => {
+    const d = fromDayKey(bucket);
+    const date = `${pad2(d.getDate())}/${pad2(d.getMonth() + 1)}`;
+    const point: { [k: string]: number | string } = {
+      label: period === 'weeks' ? t('radar.trend.week', { date }) : date
+    };
+    series.forEach(({ key }) => {
+      const values = snapshots.map(s => seriesValue(s, key)).filter((v): v is number => v !== undefined);
+      if (values.length) point[key] = Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+    });
+    return point;
+  });
+};
+
+export const RadarTrend = ({ history, sensors }: { history: RadarSnapshot[], sensors: RadarSensor[] }) => {
+  const { t } = useI18n();
+  const [period, setPeriod] = useState<TrendPeriod>('days');
+  const [hidden, setHidden] = useState<string[]>([]);
+
+  const series = useMemo(() => trendSeries(sensors, t), [sensors, t]);
+  const trendData = useMemo(() => aggregateRadarHistory(history, series, period, t), [history, series, period, t]);
+
+  const toggleSeries = (key: string) => {
+    setHidden(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+  };
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-bold text-white flex items-center gap-2">
+          <History size={16} className="text-sky-400"/> {t('radar.trend.title')}
+        </h3>
+        <div className="flex bg-slate-900 rounded-lg p-0.5 text-[10px] font-bold">
+          {TREND_PERIODS.map(id => (
+            <button
+              key={id}
+              onClick={() => setPeriod(id)}
+              className={`px-2 py-1 rounded-md transition-colors ${period === id ? 'bg-slate-700 text-white' : 'text-slate-500'}`}
+            >
+              {t(`radar.trend.${id}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {trendData.length < 2 ? (
+        <p className="text-xs text-slate-500 italic text-center py-6">{t('radar.trend.empty')}</p>
+      ) : (
+        <div className="h-44 -ml-4">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={trendData}>
+              <CartesianGrid stroke="#334155" strokeDasharray="3 3" />
+              <XAxis dataKey="label" tick={{ fill: '#64748b', fontSize: 9 }} />
+              <YAxis domain={[0, 100]} tick={{ fill: '#64748b', fontSize: 9 }} width={32} />
+              {series.filter(s => !hidden.includes(s.key)).map(s => (
+                <Line
+                  key={s.key}
+                  type="monotone"
+                  dataKey={s.key}
+                  name={s.label}
+                  stroke={s.color}
+                  strokeWidth={s.key === 'fog' ? 2.5 : 1.5}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-1.5 mt-3">
+        {series.map(s => (
+          <button
+            key={s.key}
+            onClick={() => toggleSeries(s.key)}
+            className={`text-[10px] px-2 py-0.5 rounded-full border border-slate-700 flex items-center gap-1 ${hidden.includes(s.key) ? 'opacity-40' : ''}`}
+          >
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: s.color }}></span>
+            <span className="text-slate-300">{s.label}</span>
+          </button>
+        ))}
+      </div>
+    </Card>
+  );
+};
@@ -0,0 +1,99 @@
+// --- REMINDERS PANEL ---
+
+import { useState } from 'react';
+import { X } from 'lucide-react';
+import { type ReminderSettings } from '../reminders';
+import {
+  notificationStatus, requestNotificationPermission, canScheduleNotifications,
+  type NotificationStatus
+} from '../notifier';
+import { useI18n } from '../hooks/useI18n';
+import { Header, Card, NumberField, Toggle, TimeInput } from './ui';
+
+export const RemindersPanel = ({
+    settings,
+    onChange,
+    onClose
+}: {
+    settings: ReminderSettings,
+    onChange: (settings: ReminderSettings) => void,
+    onClose: () => void
+}) => {
+  const { t } = useI18n();
+  const [status, setStatus] = useState<NotificationStatus>(() => notificationStatus());
+  const update = (changes: Partial<ReminderSettings>) => onChange({ ...settings, ...changes });
+
+  const setCheckInTime = (index: number, time: string) => {
+    update({ checkInTimes: settings.checkInTimes.map((t, i) => (i === index ? time : t)) });
+  };
+
+  const askPermission = async () => {
+    const result = await requestNotificationPermission();
+    setStatus(result);
+    update({ systemNotifications: result === 'granted' });
+  };
+
+  return (
+    <div className="absolute inset-0 z-50 bg-slate-900 overflow-y-auto p-6 pt-12 space-y-4 animate-in fade-in duration-300">
+      <button onClick={onClose} className="absolute top-4 right-6 text-xs text-slate-400 underline">{t('common.close')}</button>
+      <Header title={t('reminders.title')} subtitle={t('reminders.subtitle')} />
+
+      <Card>
+        <Toggle label={t('reminders.enable')} checked={settings.enabled} onChange={(enabled) => update({ enabled })} />
+        <p className="text-[10px] text-slate-500">{t('reminders.localOnly')}</p>
+      </Card>
+
+      <div className={`space-y-4 ${settings.enabled ? '' : 'opacity-40 pointer-events-none'}`}>
+        <Card>
+          <h3 className="text-sm font-bold text-white mb-3">{t('reminders.checkIn')}</h3>
+          {settings.checkInTimes.map((time, i) => (
+            <div key={i} className="flex items-center gap-2 mb-2">
+              <TimeInput value={time} onChange={(v) => setCheckInTime(i, v)} />
+              <button onClick={() => update({ checkInTimes: settings.checkInTimes.filter((_, j) => j !== i) })} className="text-slate-600 hover:text-red-400 p-0.5" title={t('reminders.removeTime')}><X size={14} /></button>
+            </div>
+          ))}
+          <button
+            onClick={() => update({ checkInTimes: [...settings.checkInTimes, "08:00"] })}
+            className="text-[10px] px-2 py-1 rounded-full border border-dashed border-slate-600 text-slate-400 hover:text-white"
+          >
+            {t('reminders.addTime')}
+          </button>
+          <p className="text-[10px] text-slate-500 mt-2">{t('reminders.checkInHint')}</p>
+        </Card>
+
+        <Card>
+          <h3 className="text-sm font-bold text-white mb-3">{t('reminders.streak')}</h3>
+          <Toggle label={t('reminders.streakToggle')} checked={settings.streakNudge} onChange={(streakNudge) => update({ streakNudge })} />
+          <div className="flex items-center justify-between text-xs">
+            <span className="text-slate-400">{t('reminders.streakFrom')}</span>
+            <TimeInput value={settings.streakTime} onChange={(streakTime) => update({ streakTime })} />
+          </div>
+        </Card>
+
+        <Card>
+          <h3 className="text-sm font-bold text-white mb-3">{t('reminders.deadline')}</h3>
+          <Toggle label={t('reminders.deadlineToggle')} checked={settings.deadlineWarning} onChange={(deadlineWarning) => update({ deadlineWarning })} />
+          <NumberField label={t('reminders.deadlineDays')} value={settings.deadlineDays} onChange={(deadlineDays) => update({ deadlineDays })} min={0} max={60} />
+        </Card>
+
+        <Card>
+          <h3 className="text-sm font-bold text-white mb-2">{t('reminders.notifications')}</h3>
+          <p className="text-[10px] text-slate-400 mb-3">{t(`reminders.status.${status}`)}</p>
+          {status === 'default' && (
+            <button onClick={askPermission} className="w-full bg-emerald-600 hover:bg-emerald-500 text-white text-sm font-bold py-2 rounded-lg">
+              {t('reminders.allow')}
+            </button>
+          )}
+          {status === 'granted' && (
+            <>
+              <Toggle label={t('reminders.useSystem')} checked={settings.systemNotifications} onChange={(systemNotifications) => update({ systemNotifications })} />
+              {!canScheduleNotifications() && (
+                <p className="text-[10px] text-slate-500">{t('reminders.noSchedule')}</p>
+              )}
+            </>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
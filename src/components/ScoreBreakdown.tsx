@@ -0,0 +1,68 @@
+// --- SCORE BREAKDOWN ---
+
+import { Zap } from 'lucide-react';
+import { type Translator } from '../i18n';
+import {
+  type ScoringConfig, type Factor, type Suggestion, type MatrixExplanation
+} from '../scoring';
+import { useI18n } from '../hooks/useI18n';
+import { Card } from './ui';
+
+// Libellés des facteurs : score.factors.<key>
+const suggestionText = (s: Suggestion, scoring: ScoringConfig, t: Translator) => {
+  switch (s.key) {
+    case 'goal':
+      return t('score.suggestions.goal', { min: scoring.goalMinLength });
+    default:
+      return t(`score.suggestions.${s.key}`, { from: s.from, to: s.to });
+  }
+};
+
+const FactorRow = ({ factor, barClass }: { factor: Factor, barClass: string }) => {
+  const { t } = useI18n();
+  return (
+    <div className="mb-2">
+      <div className="flex justify-between text-xs mb-1">
+        <span className="text-slate-400">{t(`score.factors.${factor.key}`)}</span>
+        <span className="font-mono text-slate-200">
+          +{factor.contribution.toFixed(1)}<span className="text-slate-500"> / {factor.max.toFixed(1)}</span>
+        </span>
+      </div>
+      {/* Largeur de la piste = poids du facteur dans l'axe */}
+      <div className="h-1.5 bg-slate-900 rounded-full" style={{ width: `${factor.share * 100}%` }}>
+        <div className={`h-full rounded-full ${barClass}`} style={{ width: `${factor.max === 0 ? 0 : (factor.contribution / factor.max) * 100}%` }}></div>
+      </div>
+    </div>
+  );
+};
+
+export const ScoreBreakdown = ({ explanation, scoring }: { explanation: MatrixExplanation, scoring: ScoringConfig }) => {
+  const { t } = useI18n();
+  return (
+    <Card>
+      <h3 className="text-sm font-bold text-white mb-3">{t('score.breakdown')}</h3>
+
+      <div className="text-[10px] font-bold text-purple-400 uppercase mb-2">{t('score.mastery')} · {explanation.x.toFixed(1)}</div>
+      {explanation.mastery.map(f => <FactorRow key={f.key} factor={f} barClass="bg-purple-500" />)}
+
+      <div className="text-[10px] font-bold text-sky-400 uppercase mt-4 mb-2">{t('score.impact')} · {explanation.y.toFixed(1)}</div>
+      {explanation.impact.map(f => <FactorRow key={f.key} factor={f} barClass="bg-sky-500" />)}
+
+      <div className="mt-4 bg-black/20 p-3 rounded-xl border border-white/5">
+        <div className="text-[10px] font-bold text-emerald-400 uppercase mb-2 flex items-center gap-1">
+          <Zap size={12} /> {t('score.target')}
+        </div>
+        {explanation.authorized ? (
+          <p className="text-xs text-slate-300">{t('score.inZone')}</p>
+        ) : (
+          <ul className="space-y-1 text-xs text-slate-300 list-disc pl-4">
+            {explanation.suggestions.map(sug => <li key={`${sug.axis}-${sug.key}`}>{suggestionText(sug, scoring, t)}</li>)}
+            {explanation.unreachable && (
+              <li className="text-orange-300">{t('score.unreachable')}</li>
+            )}
+          </ul>
+        )}
+      </div>
+    </Card>
+  );
+};
@@ -0,0 +1,90 @@
+// --- SCORING SETTINGS PANEL ---
+
+import { DEFAULT_SCORING_CONFIG, type ScoringConfig } from '../scoring';
+import { useI18n } from '../hooks/useI18n';
+import { Header, Card, SliderControl, NumberField } from './ui';
+
+const WEIGHT_FIELDS: { group: 'mastery' | 'impact', key: string }[] = [
+  { group: 'mastery', key: 'inner' },
+  { group: 'mastery', key: 'clarity' },
+  { group: 'mastery', key: 'calm' },
+  { group: 'impact', key: 'carabiners' },
+  { group: 'impact', key: 'goal' },
+  { group: 'impact', key: 'activity' },
+];
+
+// Titres : score.mastery / score.impact
+const WEIGHT_GROUPS: ('mastery' | 'impact')[] = ['mastery', 'impact'];
+
+export const ScoringPanel = ({
+    config,
+    onChange,
+    onClose
+}: {
+    config: ScoringConfig,
+    onChange: (config: ScoringConfig) => void,
+    onClose: () => void
+}) => {
+  const { t } = useI18n();
+  // Poids d'un groupe, indexés par clé de facteur
+  const weightsOf = (group: 'mastery' | 'impact'): { [key: string]: number } => config[group];
+
+  const setWeight = (group: 'mastery' | 'impact', key: string, percent: number) => {
+    onChange({ ...config, [group]: { ...config[group], [key]: percent / 100 } });
+  };
+
+  const share = (group: 'mastery' | 'impact', key: string) => {
+    const total = Object.values(config[group]).reduce((sum, w) => sum + w, 0);
+    return total === 0 ? 0 : Math.round((weightsOf(group)[key] / total) * 100);
+  };
+
+  const resetDefaults = () => {
+    if (window.confirm(t('scoring.confirmReset'))) onChange(DEFAULT_SCORING_CONFIG);
+  };
+
+  return (
+    <div className="absolute inset-0 z-50 bg-slate-900 overflow-y-auto p-6 pt-12 space-y-4 animate-in fade-in duration-300">
+      <button onClick={onClose} className="absolute top-4 right-6 text-xs text-slate-400 underline">{t('common.close')}</button>
+      <Header title={t('scoring.title')} subtitle={t('scoring.subtitle')} />
+
+      {WEIGHT_GROUPS.map(group => (
+        <Card key={group}>
+          <h3 className="text-sm font-bold text-white mb-3">{t(`score.${group}`)}</h3>
+          {WEIGHT_FIELDS.filter(f => f.group === group).map(f => (
+            <SliderControl
+              key={f.key}
+              label={t('scoring.share', { label: t(`score.factors.${f.key}`), share: share(group, f.key) })}
+              value={Math.round(weightsOf(group)[f.key] * 100)}
+              onChange={(v) => setWeight(group, f.key, v)}
+              colorClass={group === 'mastery' ? 'accent-purple-500' : 'accent-sky-500'}
+            />
+          ))}
+        </Card>
+      ))}
+
+      <Card>
+        <h3 className="text-sm font-bold text-white mb-3">{t('scoring.thresholds')}</h3>
+        <NumberField
+          label={t('scoring.goalMinLength')}
+          value={config.goalMinLength}
+          min={1} max={50}
+          onChange={(v) => onChange({ ...config, goalMinLength: Math.round(v) })}
+        />
+        <NumberField
+          label={t('scoring.flightX')}
+          value={config.flightThreshold.x}
+          min={0} max={10} step={0.5}
+          onChange={(v) => onChange({ ...config, flightThreshold: { ...config.flightThreshold, x: v } })}
+        />
+        <NumberField
+          label={t('scoring.flightY')}
+          value={config.flightThreshold.y}
+          min={0} max={10} step={0.5}
+          onChange={(v) => onChange({ ...config, flightThreshold: { ...config.flightThreshold, y: v } })}
+        />
+      </Card>
+
+      <button onClick={resetDefaults} className="w-full text-xs text-slate-400 underline py-2">{t('scoring.reset')}</button>
+    </div>
+  );
+};
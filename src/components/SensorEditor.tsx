@@ -0,0 +1,77 @@
+// --- RADAR SENSOR EDITOR ---
+
+import { useState } from 'react';
+import { SlidersHorizontal, Plus, X, ChevronUp, ChevronDown } from 'lucide-react';
+import { MAX_SENSORS, DEFAULT_SENSOR_IDS, createSensor, updateSensor, sensorLabel } from '../radar';
+import { moveItem } from '../lists';
+import { type RadarSensor } from '../types';
+import { useI18n } from '../hooks/useI18n';
+
+export const SensorEditor = ({
+    sensors,
+    onChange
+}: {
+    sensors: RadarSensor[],
+    onChange: (sensors: RadarSensor[]) => void
+}) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState("");
+  const full = sensors.length >= MAX_SENSORS;
+
+  const add = () => {
+    if (!draft.trim() || full) return;
+    onChange([...sensors, createSensor(draft.trim())]);
+    setDraft("");
+  };
+
+  const remove = (sensor: RadarSensor) => {
+    if (window.confirm(t('radar.sensors.confirmRemove', { name: sensorLabel(sensor, t) }))) {
+      onChange(sensors.filter(s => s.id !== sensor.id));
+    }
+  };
+
+  return (
+    <div className="pt-2 border-t border-white/5">
+      <button onClick={() => setOpen(v => !v)} className="w-full flex items-center justify-between text-xs text-slate-400 hover:text-white">
+        <span className="flex items-center gap-2"><SlidersHorizontal size={12} /> {t('radar.sensors.edit')}</span>
+        <span className="text-slate-500">{open ? '▴' : '▾'}</span>
+      </button>
+
+      {open && (
+        <div className="mt-3 space-y-1.5">
+          {sensors.map((sensor, i) => (
+            <div key={sensor.id} className="flex items-center gap-1.5">
+              <input
+                value={sensor.label}
+                onChange={(e) => onChange(updateSensor(sensors, sensor.id, { label: e.target.value }))}
+                placeholder={DEFAULT_SENSOR_IDS.includes(sensor.id) ? t(`radar.axis.${sensor.id}`) : t('radar.sensors.unnamed')}
+                aria-label={t('radar.sensors.rename')}
+                className="flex-1 min-w-0 bg-slate-900/50 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:outline-none focus:border-sky-500"
+              />
+              <button onClick={() => onChange(moveItem(sensors, i, -1))} disabled={i === 0} className="text-slate-500 hover:text-white disabled:opacity-30 p-0.5" title={t('common.moveUp')}><ChevronUp size={14} /></button>
+              <button onClick={() => onChange(moveItem(sensors, i, 1))} disabled={i === sensors.length - 1} className="text-slate-500 hover:text-white disabled:opacity-30 p-0.5" title={t('common.moveDown')}><ChevronDown size={14} /></button>
+              <button onClick={() => remove(sensor)} className="text-slate-600 hover:text-red-400 p-0.5" title={t('common.remove')}><X size={14} /></button>
+            </div>
+          ))}
+          {sensors.length === 0 && <p className="text-[10px] text-slate-500 italic">{t('radar.sensors.empty')}</p>}
+
+          {full ? (
+            <p className="text-[10px] text-slate-500">{t('radar.sensors.max', { count: MAX_SENSORS })}</p>
+          ) : (
+            <div className="flex gap-1.5 pt-1">
+              <input
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && add()}
+                placeholder={t('radar.sensors.placeholder')}
+                className="flex-1 bg-slate-900/50 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:outline-none focus:border-sky-500"
+              />
+              <button onClick={add} className="bg-slate-700 hover:bg-slate-600 text-white rounded-lg px-2" title={t('radar.sensors.add')}><Plus size={14} /></button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
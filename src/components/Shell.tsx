@@ -0,0 +1,117 @@
+// --- APP SHELL ---
+//
+// Deux mises en page autour des mêmes pages : plein écran adaptatif (barre
+// d'onglets en bas sur téléphone, menu latéral et tableau de bord en colonnes
+// sur tablette et ordinateur), ou maquette de téléphone pour les démos (?demo).
+
+import React from 'react';
+import { Battery, Wifi, Signal, type LucideIcon } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+
+export type NavItem = {
+  id: string;
+  icon: LucideIcon;
+  label: string;
+  active: boolean;
+  onSelect: () => void;
+};
+
+type ShellProps = {
+  nav: NavItem[];
+  toolbar: React.ReactNode; // langue, sauvegarde, rappels, réglages, mode coach, verrou
+  overlay: React.ReactNode; // panneau ouvert, sinon null
+  children: React.ReactNode;
+};
+
+// Même adresse avec ou sans ?demo : la page affichée est conservée
+const demoHref = (enabled: boolean) =>
+  `${window.location.pathname}${enabled ? '?demo' : ''}${window.location.hash}`;
+
+export const Shell = ({ nav, toolbar, overlay, children }: ShellProps) => {
+  const { t } = useI18n();
+  // Impression avec un panneau ouvert (rapport de cohorte) : le panneau seul
+  const printHidden = overlay ? 'print:hidden' : '';
+  return (
+    <div className="dashboard min-h-dvh bg-slate-900 font-sans md:flex">
+      <nav className="fixed bottom-0 inset-x-0 z-40 flex justify-around items-end bg-slate-900/95 backdrop-blur-md border-t border-slate-800 pt-3 pb-[max(env(safe-area-inset-bottom),1rem)] md:sticky md:top-0 md:h-dvh md:w-56 md:shrink-0 md:flex-col md:justify-start md:items-stretch md:gap-1 md:border-t-0 md:border-r md:px-3 md:pt-[max(env(safe-area-inset-top),1.5rem)] md:pb-6 print:hidden">
+        <div className="hidden md:block px-3 mb-6 text-lg font-black tracking-widest text-emerald-400">PILOT</div>
+        {nav.map(item => (
+          <button
+            key={item.id}
+            onClick={item.onSelect}
+            className={`flex flex-col items-center gap-1 transition-colors md:flex-row md:gap-3 md:px-3 md:py-2 md:rounded-xl ${item.active ? 'text-emerald-400 md:bg-slate-800' : 'text-slate-600 md:text-slate-400 hover:text-white'}`}
+          >
+            <item.icon size={24} strokeWidth={item.active ? 2.5 : 2} />
+            <span className="text-[10px] font-medium md:text-sm">{item.label}</span>
+          </button>
+        ))}
+        <a href={demoHref(true)} className="hidden md:block mt-auto px-3 text-[10px] text-slate-600 hover:text-slate-400 underline">
+          {t('app.demoMode')}
+        </a>
+      </nav>
+
+      <div className={`flex-1 min-w-0 ${printHidden}`}>
+        <header className="sticky top-0 z-30 flex justify-end items-center gap-2 bg-slate-900/95 backdrop-blur-md text-white px-6 pt-[max(env(safe-area-inset-top),0.75rem)] pb-2">
+          {toolbar}
+        </header>
+        <main className="max-w-2xl lg:max-w-6xl mx-auto px-6 pb-32 md:pb-10">
+          {children}
+        </main>
+      </div>
+
+      {/* Panneaux : plein écran sur téléphone, tiroir à droite sur grand écran */}
+      {overlay && (
+        <div className="fixed inset-0 z-50 md:left-auto md:w-[28rem] md:border-l md:border-slate-800 md:shadow-2xl print:static print:w-auto print:border-0 print:shadow-none">
+          {overlay}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Maquette d'origine : cadre de téléphone, encoche et fausse barre d'état
+export const DemoShell = ({ nav, toolbar, overlay, children }: ShellProps) => {
+  const { t } = useI18n();
+  return (
+    <div className="min-h-screen bg-black flex flex-col items-center justify-center font-sans p-4 sm:p-8">
+      <div className="w-full max-w-sm h-[850px] bg-slate-900 rounded-[3rem] border-8 border-slate-800 shadow-2xl relative overflow-hidden flex flex-col">
+
+        {/* Header UI */}
+        <div className="absolute top-0 left-1/2 -translate-x-1/2 w-32 h-7 bg-black rounded-b-2xl z-50"></div>
+        <div className="px-6 pt-3 pb-2 flex justify-between items-center text-white z-40 bg-slate-900">
+          <div className="text-xs font-medium w-12 text-center pl-2">09:41</div>
+          <div className="flex gap-2 items-center pr-2">
+            {toolbar}
+            <Signal size={14} /> <Wifi size={14} /> <Battery size={16} />
+          </div>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto overflow-x-hidden p-6 pb-24 scrollbar-hide">
+          {children}
+        </div>
+
+        {/* Tab Bar */}
+        <div className="absolute bottom-0 w-full bg-slate-900/95 backdrop-blur-md border-t border-slate-800 pb-8 pt-4 px-6 flex justify-between items-end z-40">
+          {nav.map(item => (
+            <button
+              key={item.id}
+              onClick={item.onSelect}
+              className={`flex flex-col items-center gap-1 transition-all duration-300 ${item.active ? 'text-emerald-400 scale-110' : 'text-slate-600'}`}
+            >
+              <item.icon size={24} strokeWidth={item.active ? 2.5 : 2} />
+              <span className="text-[10px] font-medium">{item.label}</span>
+            </button>
+          ))}
+        </div>
+
+        {overlay}
+
+        <div className="absolute bottom-2 left-1/2 -translate-x-1/2 w-32 h-1 bg-slate-700 rounded-full z-50"></div>
+      </div>
+      <a href={demoHref(false)} className="mt-4 text-xs text-slate-500 hover:text-slate-300 underline">
+        {t('app.exitDemo')}
+      </a>
+    </div>
+  );
+};
@@ -0,0 +1,91 @@
+// --- UI PRIMITIVES ---
+
+import React from 'react';
+
+// Grand écran : les pages passent sur deux colonnes, le titre au-dessus des deux
+export const DASHBOARD_GRID = 'lg:dashboard:grid lg:dashboard:grid-cols-2 lg:dashboard:gap-6 lg:dashboard:space-y-0 lg:dashboard:items-start';
+
+export const Header = ({ title, subtitle }: { title: string, subtitle?: string }) => (
+  <div className="mb-6 pt-2 lg:dashboard:col-span-2">
+    <h2 className="text-xs font-bold text-slate-500 uppercase tracking-widest mb-1">{title}</h2>
+    {subtitle && <h1 className="text-2xl font-black text-white leading-tight">{subtitle}</h1>}
+  </div>
+);
+
+export const Card = ({ children, className = "" }: { children: React.ReactNode, className?: string }) => (
+  <div className={`bg-slate-800/50 backdrop-blur border border-slate-700/50 rounded-2xl p-5 shadow-lg ${className}`}>
+    {children}
+  </div>
+);
+
+// Chiffre clé d'un rapport (mode coach, débrief)
+export const Stat = ({ label, value }: { label: string, value: string | number }) => (
+  <div className="bg-slate-900 p-2 rounded-xl text-center">
+    <div className="text-[9px] text-slate-500 uppercase mb-0.5">{label}</div>
+    <div className="text-sm font-mono font-bold text-white">{value}</div>
+  </div>
+);
+
+export const SliderControl = ({ label, value, onChange, colorClass = "accent-emerald-500" }: { label: string, value: number, onChange: (v: number) => void, colorClass?: string }) => (
+  <div className="mb-3">
+    <div className="flex justify-between text-xs mb-1">
+      <span className="text-slate-400">{label}</span>
+      <span className="font-mono text-slate-200">{value}%</span>
+    </div>
+    <input 
+      type="range" 
+      min="0" 
+      max="100" 
+      value={value} 
+      onChange={(e) => onChange(parseInt(e.target.value))}
+      className={`w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer ${colorClass}`}
+    />
+  </div>
+);
+
+export const InputField = ({ label, value, onChange, placeholder, type = "text" }: { label: string, value: string, onChange: (v: string) => void, placeholder?: string, type?: string }) => (
+  <div className="mb-3">
+    <label className="block text-xs font-bold text-slate-500 mb-1 uppercase">{label}</label>
+    <input 
+      type={type} 
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={placeholder}
+      className="w-full bg-slate-900/50 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-sky-500 transition-colors placeholder:text-slate-600"
+    />
+  </div>
+);
+
+export const NumberField = ({ label, value, onChange, min, max, step = 1 }: { label: string, value: number, onChange: (v: number) => void, min: number, max: number, step?: number }) => (
+  <label className="flex items-center justify-between text-xs mb-2">
+    <span className="text-slate-400">{label}</span>
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(e) => {
+        const v = parseFloat(e.target.value);
+        if (!Number.isNaN(v)) onChange(Math.min(Math.max(v, min), max));
+      }}
+      className="w-16 bg-slate-900/50 border border-slate-700 rounded-lg px-2 py-1 text-right font-mono text-white focus:outline-none focus:border-sky-500"
+    />
+  </label>
+);
+
+export const Toggle = ({ label, checked, onChange }: { label: string, checked: boolean, onChange: (v: boolean) => void }) => (
+  <label className="flex items-center justify-between text-xs mb-2 cursor-pointer">
+    <span className="text-slate-300">{label}</span>
+    <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} className="accent-emerald-500 w-4 h-4" />
+  </label>
+);
+
+export const TimeInput = ({ value, onChange }: { value: string, onChange: (v: string) => void }) => (
+  <input
+    type="time"
+    value={value}
+    onChange={(e) => e.target.value && onChange(e.target.value)}
+    className="bg-slate-900/50 border border-slate-700 rounded-lg px-2 py-1 font-mono text-xs text-white focus:outline-none focus:border-emerald-500"
+  />
+);
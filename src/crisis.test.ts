@@ -0,0 +1,25 @@
+import { summarizeCrisisLog, phoneHref, createStep } from './crisis';
+
+const TODAY = '2024-03-20';
+
+const session = (startedAt: string, before: number | null, after: number | null) => ({
+  id: Date.parse(startedAt), startedAt, durationSec: 60, before, after, completed: after !== null,
+});
+
+test('counts sessions of the last 30 days and averages relief on rated ones', () => {
+  const stats = summarizeCrisisLog([
+    session('2024-03-19T10:00:00', 8, 4),
+    session('2024-03-01T10:00:00', 6, 4),
+    session('2024-03-02T10:00:00', 9, null),
+    session('2024-01-01T10:00:00', null, null),
+  ], TODAY);
+  expect(stats).toEqual({ last30Days: 3, total: 4, averageRelief: 3 });
+  expect(summarizeCrisisLog([], TODAY).averageRelief).toBeNull();
+});
+
+test('builds dialable links and fresh steps', () => {
+  expect(phoneHref('tel', '+33 6 12-34.56')).toBe('tel:+336123456');
+  const a = createStep('breathing');
+  expect(a).toMatchObject({ type: 'breathing', enabled: true, cycles: 4 });
+  expect(createStep('breathing').id).not.toBe(a.id);
+});
@@ -0,0 +1,161 @@
+// --- CRISIS PROTOCOL ---
+//
+// Le mode SOS déroule une suite d'étapes configurables. Le plan de crise
+// (contacts, stratégies, signes d'alerte, lieux sûrs) nourrit ces étapes ; les
+// numéros d'urgence sont intégrés à l'app. Chaque activation est journalisée
+// (début, durée, auto-évaluation avant/après) pour voir ensuite à quelle
+// fréquence le protocole a servi.
+
+import { toDayKey, addDays, isoToDayKey } from './dates';
+
+export type CrisisStepType =
+  | 'message'
+  | 'breathing'
+  | 'grounding'
+  | 'warningSigns'
+  | 'strategies'
+  | 'safePlaces'
+  | 'contacts'
+  | 'helplines';
+
+export type CrisisStep = {
+  id: string;
+  type: CrisisStepType;
+  enabled: boolean;
+  text?: string; // étape 'message'
+  cycles?: number; // étape 'breathing'
+};
+
+export type CrisisContact = {
+  id: string;
+  name: string;
+  phone: string;
+};
+
+export type CrisisPlan = {
+  contacts: CrisisContact[]; // dans l'ordre où les appeler
+  strategies: string[];
+  warningSigns: string[];
+  safePlaces: string[];
+  protocol: CrisisStep[];
+};
+
+export type CrisisSession = {
+  id: number;
+  startedAt: string; // ISO
+  durationSec: number;
+  before: number | null; // 0 (calme) .. 10 (submergé)
+  after: number | null;
+  completed: boolean;
+};
+
+// Ordre proposé dans l'éditeur ; libellés : clés crisis.steps.* des catalogues
+export const CRISIS_STEP_TYPES: CrisisStepType[] = [
+  'message',
+  'breathing',
+  'grounding',
+  'warningSigns',
+  'strategies',
+  'safePlaces',
+  'contacts',
+  'helplines',
+];
+
+// Étape 'message' sans texte : l'app affiche la consigne par défaut dans la
+// langue choisie (crisis.defaultMessage)
+export const DEFAULT_PROTOCOL: CrisisStep[] = [
+  { id: 'execute', type: 'message', enabled: true, text: "" },
+  { id: 'breathing', type: 'breathing', enabled: true, cycles: 4 },
+  { id: 'grounding', type: 'grounding', enabled: true },
+  { id: 'warningSigns', type: 'warningSigns', enabled: true },
+  { id: 'strategies', type: 'strategies', enabled: true },
+  { id: 'safePlaces', type: 'safePlaces', enabled: true },
+  { id: 'contacts', type: 'contacts', enabled: true },
+  { id: 'helplines', type: 'helplines', enabled: true },
+];
+
+// Consigne par défaut des versions précédentes, stockée en dur dans le plan
+export const LEGACY_DEFAULT_MESSAGE = "N'oublie pas ton objectif, ouvre ton sac et accroche toi à tes mousquetons.";
+
+// Numéros nationaux (France), toujours disponibles même sans plan rempli.
+// Libellés : crisis.helplines.<id>.label / .detail
+export const HELPLINES: { id: string, number: string, sms?: boolean }[] = [
+  { id: 'suicide', number: '3114' },
+  { id: 'samu', number: '15' },
+  { id: 'europe', number: '112' },
+  { id: 'sms', number: '114', sms: true },
+  { id: 'youth', number: '0800235236' },
+];
+
+// Respiration guidée : durées en secondes de chaque phase d'un cycle
+export const BREATHING_PHASES: { id: 'inhale' | 'hold' | 'exhale', seconds: number, scale: number }[] = [
+  { id: 'inhale', seconds: 4, scale: 1 },
+  { id: 'hold', seconds: 4, scale: 1 },
+  { id: 'exhale', seconds: 6, scale: 0.5 },
+];
+
+export const GROUNDING_PROMPTS: { count: number, sense: string }[] = [
+  { count: 5, sense: 'see' },
+  { count: 4, sense: 'touch' },
+  { count: 3, sense: 'hear' },
+  { count: 2, sense: 'smell' },
+  { count: 1, sense: 'taste' },
+];
+
+let idCounter = 0;
+
+const uniqueId = (prefix: string) => {
+  idCounter += 1;
+  return `${prefix}-${Date.now()}-${idCounter}`;
+};
+
+export const createStep = (type: CrisisStepType): CrisisStep => {
+  const step: CrisisStep = { id: uniqueId(type), type, enabled: true };
+  if (type === 'message') step.text = "";
+  if (type === 'breathing') step.cycles = 4;
+  return step;
+};
+
+export const createContact = (fields: Partial<CrisisContact> = {}): CrisisContact => ({
+  id: uniqueId('contact'),
+  name: "",
+  phone: "",
+  ...fields,
+});
+
+// App verrouillée : le plan personnel est chiffré, le SOS se limite aux étapes
+// sans contenu personnel (consigne par défaut, respiration, ancrage, numéros d'urgence)
+export const PUBLIC_STEP_TYPES: CrisisStepType[] = ['message', 'breathing', 'grounding', 'helplines'];
+
+export const publicCrisisPlan = (): CrisisPlan => ({
+  contacts: [],
+  strategies: [],
+  warningSigns: [],
+  safePlaces: [],
+  protocol: DEFAULT_PROTOCOL.filter(step => PUBLIC_STEP_TYPES.includes(step.type)).map(step => ({ ...step })),
+});
+
+// Nettoie un numéro pour un lien tel:/sms: (garde + et chiffres)
+export const phoneHref = (scheme: 'tel' | 'sms', phone: string) => `${scheme}:${phone.replace(/[^\d+]/g, '')}`;
+
+export type CrisisStats = {
+  last30Days: number;
+  total: number;
+  averageRelief: number | null; // baisse moyenne avant -> après, sur les sessions notées
+};
+
+export const summarizeCrisisLog = (sessions: CrisisSession[], today: string = toDayKey()): CrisisStats => {
+  const since = addDays(today, -29);
+  const recent = sessions.filter(s => {
+    const day = isoToDayKey(s.startedAt);
+    return day !== null && day >= since;
+  });
+  const rated = sessions.filter(s => s.before !== null && s.after !== null);
+  return {
+    last30Days: recent.length,
+    total: sessions.length,
+    averageRelief: rated.length === 0
+      ? null
+      : rated.reduce((sum, s) => sum + ((s.before || 0) - (s.after || 0)), 0) / rated.length,
+  };
+};
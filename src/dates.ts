@@ -0,0 +1,64 @@
+// --- DATES ---
+//
+// Les jours sont manipulés sous forme de clés locales "YYYY-MM-DD" ; les
+// horodatages (journal +1%) sont stockés en ISO et formatés à l'affichage,
+// dans la langue choisie.
+
+import { DEFAULT_LOCALE, dateLocale, type Locale } from './i18n';
+
+export const pad2 = (n: number) => String(n).padStart(2, '0');
+
+// Clé de jour locale : "2024-03-18"
+export const toDayKey = (d: Date = new Date()) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+
+export const fromDayKey = (key: string) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+export const addDays = (key: string, days: number) => {
+  const d = fromDayKey(key);
+  d.setDate(d.getDate() + days);
+  return toDayKey(d);
+};
+
+// Lundi de la semaine contenant ce jour
+export const weekStartKey = (key: string) => {
+  const d = fromDayKey(key);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return toDayKey(d);
+};
+
+// Forme ISO exigée avant de parser : V8 lit aussi d'anciens libellés ("Lun 4")
+// comme une date en 2001
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+export const isValidTimestamp = (iso: string) => ISO_TIMESTAMP.test(iso) && !Number.isNaN(new Date(iso).getTime());
+
+// Jour local d'un horodatage ISO (null si la date est illisible)
+export const isoToDayKey = (iso: string) => (isValidTimestamp(iso) ? toDayKey(new Date(iso)) : null);
+
+// "lun." -> "Lun" ; "Mon" reste "Mon"
+const shortWeekday = (d: Date, locale: Locale) => {
+  const name = d.toLocaleDateString(dateLocale(locale), { weekday: 'short' }).replace('.', '').toLowerCase();
+  return name.charAt(0).toUpperCase() + name.slice(1);
+};
+
+// Initiales des jours à partir du lundi (le 1er janvier 2024 en est un) :
+// L M M J V S D / M T W T F S S
+export const weekdayInitials = (locale: Locale = DEFAULT_LOCALE) =>
+  Array.from({ length: 7 }, (_, i) => new Date(2024, 0, 1 + i).toLocaleDateString(dateLocale(locale), { weekday: 'narrow' }));
+
+// "Lun 1 mars" / "Mon 1 Mar" ; les anciennes dates déjà formatées sont rendues telles quelles
+export const formatLogDay = (iso: string, locale: Locale = DEFAULT_LOCALE) => {
+  if (!isValidTimestamp(iso)) return iso;
+  const d = new Date(iso);
+  return `${shortWeekday(d, locale)} ${d.getDate()} ${d.toLocaleDateString(dateLocale(locale), { month: 'short' }).replace('.', '')}`;
+};
+
+export const formatLogDateTime = (iso: string, locale: Locale = DEFAULT_LOCALE) =>
+  isValidTimestamp(iso) ? new Date(iso).toLocaleString(dateLocale(locale), { dateStyle: 'full', timeStyle: 'short' }) : iso;
+
+// "mars 2024" / "March 2024"
+export const formatMonth = (d: Date, locale: Locale = DEFAULT_LOCALE) =>
+  d.toLocaleDateString(dateLocale(locale), { month: 'long', year: 'numeric' });
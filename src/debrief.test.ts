@@ -0,0 +1,68 @@
+import { buildWeeklyDebrief, type DebriefInput } from './debrief';
+import { EMPTY_GOAL } from './goals';
+
+// Dimanche : la semaine va du lundi 4 au dimanche 10 mars
+const TODAY = '2024-03-10';
+
+const at = (local: string) => new Date(local).toISOString();
+const reading = (date: string, fog: number, media: number) => ({ date, inner: 50, fog, sensors: [{ id: 'media', label: '', value: media }] });
+
+const input: DebriefInput = {
+  logs: [
+    { id: 1, date: at('2024-03-05T20:00:00'), domain: "Lu 10 pages", category: 'carb_cognitive' },
+    { id: 2, date: at('2024-03-05T08:00:00'), domain: "Marche" },
+    { id: 3, date: at('2024-03-09T12:00:00'), domain: "Sieste", category: 'carb_recovery' },
+    { id: 4, date: at('2024-03-01T12:00:00'), domain: "Semaine d'avant" },
+  ],
+  radarHistory: [reading('2024-03-04', 40, 20), reading('2024-03-06', 60, 40), reading('2024-02-28', 80, 10)],
+  trajectory: [
+    { date: '2024-03-02', x: 4, y: 3 },
+    { date: '2024-03-08', x: 6.5, y: 5 },
+    { date: '2024-03-06', x: 5, y: 4 },
+  ],
+  goals: [
+    { ...EMPTY_GOAL, id: 1, title: "Marathon", carb_physical: "Footing", checks: { '2024-03-04': ['carb_physical'], '2024-03-07': ['carb_physical'], '2024-02-29': ['carb_physical'] } },
+    { ...EMPTY_GOAL, id: 2, title: "Ancien", status: 'achieved', carb_physical: "Pompes" },
+  ],
+  crisisLog: [
+    { id: 1, startedAt: at('2024-03-07T22:00:00'), durationSec: 300, before: 8, after: 4, completed: true },
+    { id: 2, startedAt: at('2024-03-08T22:00:00'), durationSec: 60, before: 7, after: null, completed: false },
+    { id: 3, startedAt: at('2024-02-20T22:00:00'), durationSec: 60, before: 9, after: 2, completed: true },
+  ],
+  fogEpisodes: [
+    { id: 1, startedAt: at('2024-03-07T21:50:00'), endedAt: null, snapshot: { inner: 20, fog: 85, sensors: [] }, peakFog: 85, sosAt: at('2024-03-07T22:00:00') },
+  ],
+};
+
+test('groups the week\'s entries by day, Monday first', () => {
+  const debrief = buildWeeklyDebrief(input, TODAY);
+  expect(debrief.weekStart).toBe('2024-03-04');
+  expect(debrief.weekEnd).toBe('2024-03-10');
+  expect(debrief.days).toHaveLength(7);
+  expect(debrief.days[1].entries.map(e => e.domain)).toEqual(["Marche", "Lu 10 pages"]);
+  expect(debrief.entryCount).toBe(3);
+  expect(debrief.activeDays).toBe(2);
+  expect(debrief.tagged).toEqual({ carb_cognitive: 1, carb_physical: 0, carb_recovery: 1 });
+});
+
+test('compares radar and scores with the previous week', () => {
+  const debrief = buildWeeklyDebrief(input, TODAY);
+  expect(debrief.radar.current).toEqual({ readings: 2, inner: 50, fog: 50, noise: 30, sensors: { media: 30 } });
+  expect(debrief.radar.previous?.fog).toBe(80);
+  expect(debrief.scores).toEqual({ start: { x: 4, y: 3 }, end: { x: 6.5, y: 5 } });
+
+  // Semaine sans relevé ni point précédent
+  const first = buildWeeklyDebrief(input, '2024-02-20');
+  expect(first.radar.current).toBeNull();
+  expect(first.scores.start).toBeNull();
+});
+
+test('counts carabiner check-offs and crisis use within the week', () => {
+  const debrief = buildWeeklyDebrief(input, TODAY);
+  expect(debrief.carabiners).toEqual([{
+    goalId: 1,
+    title: "Marathon",
+    rows: [{ key: 'carb_physical', label: "Footing", checkedDays: 2, grid: [true, false, false, true, false, false, false] }],
+  }]);
+  expect(debrief.crisis).toEqual({ sessions: 2, completed: 1, averageRelief: 4, episodes: 1, sosFromAlerts: 1 });
+});
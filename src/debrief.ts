@@ -0,0 +1,139 @@
+// --- WEEKLY DEBRIEF ---
+//
+// Bilan d'une semaine (lundi -> dimanche) pour préparer une séance avec le
+// coach. Tout est calculé sur l'appareil à partir des données locales ;
+// l'impression et l'export PDF passent par le navigateur, sans réseau.
+
+import { addDays, isoToDayKey, toDayKey, weekStartKey } from './dates';
+import { CARABINER_KEYS, isChecked, isConfigured, type Goal } from './goals';
+import { externalNoise, type MatrixPosition } from './scoring';
+import { mean } from './metrics';
+import { type CrisisSession } from './crisis';
+import { type FogEpisode } from './alerts';
+import {
+  type CarabinerKey, type LogEntry, type RadarSnapshot, type TrajectoryPoint
+} from './types';
+
+export type DebriefInput = {
+  logs: LogEntry[];
+  radarHistory: RadarSnapshot[];
+  trajectory: TrajectoryPoint[];
+  goals: Goal[];
+  crisisLog: CrisisSession[];
+  fogEpisodes: FogEpisode[];
+};
+
+export type RadarAverages = {
+  readings: number; // jours calibrés
+  inner: number;
+  fog: number;
+  noise: number;
+  sensors: { [id: string]: number };
+};
+
+export type WeeklyDebrief = {
+  weekStart: string;
+  weekEnd: string;
+  days: { day: string, entries: LogEntry[] }[]; // lundi d'abord, entrées dans l'ordre
+  entryCount: number;
+  activeDays: number;
+  radar: { current: RadarAverages | null, previous: RadarAverages | null };
+  // Position à la fin de la semaine précédente, puis à la fin de celle-ci
+  scores: { start: MatrixPosition | null, end: MatrixPosition | null };
+  carabiners: {
+    goalId: number;
+    title: string;
+    rows: { key: CarabinerKey, label: string, checkedDays: number, grid: boolean[] }[];
+  }[];
+  tagged: Record<CarabinerKey, number>; // entrées +1% rattachées à un mousqueton
+  crisis: {
+    sessions: number;
+    completed: number;
+    averageRelief: number | null;
+    episodes: number; // passages en brouillard critique
+    sosFromAlerts: number;
+  };
+};
+
+const inWeek = (day: string | null, weekStart: string): day is string =>
+  day !== null && day >= weekStart && day <= addDays(weekStart, 6);
+
+export const averageRadar = (snapshots: RadarSnapshot[]): RadarAverages | null => {
+  if (snapshots.length === 0) return null;
+  const sensors: { [id: string]: number } = {};
+  const ids = Array.from(new Set(snapshots.flatMap(s => s.sensors.map(sensor => sensor.id))));
+  ids.forEach(id => {
+    sensors[id] = mean(snapshots.flatMap(s => s.sensors.filter(sensor => sensor.id === id).map(sensor => sensor.value)));
+  });
+  return {
+    readings: snapshots.length,
+    inner: mean(snapshots.map(s => s.inner)),
+    fog: mean(snapshots.map(s => s.fog)),
+    noise: mean(snapshots.map(s => externalNoise(s))),
+    sensors,
+  };
+};
+
+// Dernier point enregistré jusqu'à ce jour inclus
+const lastPointUntil = (trajectory: TrajectoryPoint[], day: string): MatrixPosition | null => {
+  const point = trajectory
+    .filter(p => p.date <= day)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .pop();
+  return point ? { x: point.x, y: point.y } : null;
+};
+
+export const buildWeeklyDebrief = (input: DebriefInput, day: string = toDayKey()): WeeklyDebrief => {
+  const weekStart = weekStartKey(day);
+  const weekEnd = addDays(weekStart, 6);
+  const previousStart = addDays(weekStart, -7);
+  const weekDays = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+
+  const entries = input.logs
+    .filter(log => inWeek(isoToDayKey(log.date), weekStart))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const days = weekDays.map(d => ({ day: d, entries: entries.filter(log => isoToDayKey(log.date) === d) }));
+
+  const tagged = { carb_cognitive: 0, carb_physical: 0, carb_recovery: 0 };
+  entries.forEach(log => { if (log.category) tagged[log.category] += 1; });
+
+  const carabiners = input.goals
+    .filter(goal => goal.status === 'active' && CARABINER_KEYS.some(key => isConfigured(goal, key)))
+    .map(goal => ({
+      goalId: goal.id,
+      title: goal.title,
+      rows: CARABINER_KEYS.filter(key => isConfigured(goal, key)).map(key => {
+        const grid = weekDays.map(d => isChecked(goal, key, d));
+        return { key, label: goal[key], checkedDays: grid.filter(Boolean).length, grid };
+      }),
+    }));
+
+  const sessions = input.crisisLog.filter(s => inWeek(isoToDayKey(s.startedAt), weekStart));
+  const rated = sessions.filter(s => s.before !== null && s.after !== null);
+  const episodes = input.fogEpisodes.filter(e => inWeek(isoToDayKey(e.startedAt), weekStart));
+
+  return {
+    weekStart,
+    weekEnd,
+    days,
+    entryCount: entries.length,
+    activeDays: days.filter(d => d.entries.length > 0).length,
+    radar: {
+      current: averageRadar(input.radarHistory.filter(s => inWeek(s.date, weekStart))),
+      previous: averageRadar(input.radarHistory.filter(s => inWeek(s.date, previousStart))),
+    },
+    scores: {
+      start: lastPointUntil(input.trajectory, addDays(weekStart, -1)),
+      end: lastPointUntil(input.trajectory, weekEnd),
+    },
+    carabiners,
+    tagged,
+    crisis: {
+      sessions: sessions.length,
+      completed: sessions.filter(s => s.completed).length,
+      averageRelief: rated.length ? mean(rated.map(s => (s.before as number) - (s.after as number))) : null,
+      episodes: episodes.length,
+      sosFromAlerts: episodes.filter(e => e.sosAt !== null).length,
+    },
+  };
+};
@@ -0,0 +1,30 @@
+import { EMPTY_GOAL, toggleCheck, isChecked, carabinerRate, carabinerCompletion } from './goals';
+
+const TODAY = '2024-03-10';
+
+test('checks and unchecks a carabiner for a given day', () => {
+  const once = toggleCheck({}, 'carb_physical', TODAY);
+  expect(once).toEqual({ [TODAY]: ['carb_physical'] });
+  expect(toggleCheck(toggleCheck(once, 'carb_recovery', TODAY), 'carb_physical', TODAY)).toEqual({ [TODAY]: ['carb_recovery'] });
+  // Un jour sans coche disparaît
+  expect(toggleCheck(once, 'carb_physical', TODAY)).toEqual({});
+});
+
+test('computes completion over the last days, configured carabiners only', () => {
+  const goal = {
+    ...EMPTY_GOAL,
+    carb_cognitive: "Lecture",
+    carb_physical: "Pompes",
+    checks: {
+      '2024-03-10': ['carb_cognitive' as const, 'carb_recovery' as const],
+      '2024-03-09': ['carb_cognitive' as const, 'carb_physical' as const],
+      '2024-03-01': ['carb_physical' as const],
+    },
+  };
+  expect(isChecked(goal, 'carb_cognitive', TODAY)).toBe(true);
+  expect(carabinerRate(goal, 'carb_cognitive', TODAY)).toBeCloseTo(2 / 7);
+  expect(carabinerRate(goal, 'carb_physical', TODAY, 10)).toBeCloseTo(2 / 10);
+  // Récupération cochée mais vide : ne compte pas
+  expect(carabinerCompletion(goal, TODAY)).toBeCloseTo((2 / 7 + 1 / 7) / 3);
+  expect(carabinerCompletion(EMPTY_GOAL, TODAY)).toBe(0);
+});
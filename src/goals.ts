@@ -0,0 +1,111 @@
+// --- SUMMIT GOALS ---
+//
+// Plusieurs objectifs peuvent tourner en parallèle ; chacun porte ses trois
+// mousquetons (cochés jour par jour), une échéance réelle (clé de jour) et un statut.
+
+import { toDayKey, fromDayKey, addDays } from './dates';
+import { DEFAULT_LOCALE, translate, type Locale } from './i18n';
+import { type CarabinerKey } from './types';
+
+export type GoalStatus = 'active' | 'achieved' | 'abandoned';
+
+export type Goal = {
+  id: number;
+  title: string;
+  deadline: string; // "YYYY-MM-DD" ou "" si pas d'échéance
+  status: GoalStatus;
+  carb_cognitive: string;
+  carb_physical: string;
+  carb_recovery: string;
+  checks: CarabinerChecks;
+};
+
+// Mousquetons cochés, par clé de jour ; les jours sans coche sont absents
+export type CarabinerChecks = { [day: string]: CarabinerKey[] };
+
+export type GoalsState = {
+  goals: Goal[];
+  selectedId: number | null;
+};
+
+// Libellés : clés goals.status.* des catalogues
+export const GOAL_STATUSES: GoalStatus[] = ['active', 'achieved', 'abandoned'];
+
+export const EMPTY_GOAL: Goal = {
+  id: 0,
+  title: "",
+  deadline: "",
+  status: 'active',
+  carb_cognitive: "",
+  carb_physical: "",
+  carb_recovery: "",
+  checks: {}
+};
+
+export const createGoal = (fields: Partial<Goal> = {}): Goal => ({
+  ...EMPTY_GOAL,
+  id: Date.now(),
+  ...fields,
+});
+
+// Objectif ciblé par le Topo et la Mission : le sélectionné, sinon le premier en cours
+export const getSelectedGoal = (state: GoalsState): Goal | null =>
+  state.goals.find(g => g.id === state.selectedId) ||
+  state.goals.find(g => g.status === 'active') ||
+  null;
+
+// Nombre de jours restants (négatif si l'échéance est passée), null sans échéance
+export const daysUntil = (deadline: string, today: string = toDayKey()) => {
+  if (!deadline) return null;
+  return Math.round((fromDayKey(deadline).getTime() - fromDayKey(today).getTime()) / 86400000);
+};
+
+export const formatCountdown = (deadline: string, today: string = toDayKey(), locale: Locale = DEFAULT_LOCALE) => {
+  const days = daysUntil(deadline, today);
+  if (days === null) return translate(locale, 'goals.countdown.none');
+  if (days === 0) return translate(locale, 'goals.countdown.today');
+  if (days > 0) return translate(locale, 'goals.countdown.left', { days });
+  return translate(locale, 'goals.countdown.overdue', { days: -days });
+};
+
+// --- CARABINER CHECK-OFF ---
+//
+// Chaque jour, le pilote coche les mousquetons qu'il a tenus. Seuls les
+// mousquetons configurés (texte non vide) comptent : un mousqueton vidé ne
+// rapporte plus rien, mais ses coches sont gardées s'il est réécrit.
+
+export const CARABINER_KEYS: CarabinerKey[] = ['carb_cognitive', 'carb_physical', 'carb_recovery'];
+
+// Fenêtre de la complétion comptée dans l'impact (Mission)
+export const CARABINER_WINDOW_DAYS = 7;
+
+export const isConfigured = (goal: Goal, key: CarabinerKey) => goal[key].trim().length > 0;
+
+export const isChecked = (goal: Goal, key: CarabinerKey, day: string) => (goal.checks[day] || []).includes(key);
+
+export const toggleCheck = (checks: CarabinerChecks, key: CarabinerKey, day: string): CarabinerChecks => {
+  const current = checks[day] || [];
+  const next = current.includes(key) ? current.filter(k => k !== key) : [...current, key];
+  const { [day]: _removed, ...rest } = checks;
+  return next.length ? { ...rest, [day]: next } : rest;
+};
+
+// Jours de la fenêtre, du plus ancien à aujourd'hui
+const windowDays = (today: string, days: number) => Array.from({ length: days }, (_, i) => addDays(today, i - days + 1));
+
+// Part des jours de la fenêtre où ce mousqueton a été coché, 0..1
+export const carabinerRate = (goal: Goal, key: CarabinerKey, today: string = toDayKey(), days: number = CARABINER_WINDOW_DAYS) =>
+  windowDays(today, days).filter(day => isChecked(goal, key, day)).length / days;
+
+// Complétion des trois mousquetons sur la fenêtre, 0..1 : tous les mousquetons
+// cochés chaque jour = 1. Un mousqueton non configuré compte comme jamais coché.
+export const carabinerCompletion = (goal: Goal, today: string = toDayKey(), days: number = CARABINER_WINDOW_DAYS) =>
+  CARABINER_KEYS
+    .filter(key => isConfigured(goal, key))
+    .reduce((sum, key) => sum + carabinerRate(goal, key, today, days), 0) / CARABINER_KEYS.length;
+
+// Entrée de l'impact (scoring.ts) pour cet objectif
+export const goalScoringInput = (goal: Goal, today: string = toDayKey()) => ({
+  title: goal.title,
+  carabinerRate: carabinerCompletion(goal, today),
+});
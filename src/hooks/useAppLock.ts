@@ -0,0 +1,73 @@
+// --- APP LOCK HOOK ---
+// État du verrou pour toute l'app (voir lock.ts) et verrouillage automatique
+// après une période sans interaction, y compris app en arrière-plan.
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  initLock, unlock as unlockVault, lock as lockVault, enableLock, disableLock, resetLock, setAutoLockMinutes,
+  type LockSettings
+} from '../lock';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+export type AppLock = ReturnType<typeof useAppLock>;
+
+export const useAppLock = () => {
+  const [settings, setSettings] = useState<LockSettings | null>(() => initLock());
+  const [locked, setLocked] = useState(() => settings !== null);
+  const [autoLockPaused, setAutoLockPaused] = useState(false);
+
+  const lock = useCallback(() => {
+    lockVault();
+    setLocked(true);
+  }, []);
+
+  useEffect(() => {
+    if (!settings || locked || autoLockPaused || !settings.autoLockMinutes) return;
+    const delay = settings.autoLockMinutes * 60 * 1000;
+    let lastActivity = Date.now();
+    const touch = () => { lastActivity = Date.now(); };
+    const check = () => {
+      if (Date.now() - lastActivity >= delay) lock();
+    };
+    // Masquée, l'app ne reçoit plus d'interaction : le délai court depuis la sortie
+    const onVisibilityChange = () => (document.visibilityState === 'visible' ? check() : touch());
+
+    ACTIVITY_EVENTS.forEach(name => window.addEventListener(name, touch, { passive: true }));
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    const timer = setInterval(check, 15 * 1000);
+    return () => {
+      ACTIVITY_EVENTS.forEach(name => window.removeEventListener(name, touch));
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      clearInterval(timer);
+    };
+  }, [settings, locked, autoLockPaused, lock]);
+
+  return {
+    enabled: settings !== null,
+    locked,
+    autoLockMinutes: settings ? settings.autoLockMinutes : null,
+    lock,
+    // Rejette si le code est faux
+    unlock: async (secret: string) => {
+      await unlockVault(secret);
+      setLocked(false);
+    },
+    // Active le verrou, ou change le code s'il l'est déjà
+    enable: async (secret: string) => {
+      setSettings(await enableLock(secret, settings ? settings.autoLockMinutes : undefined));
+    },
+    disable: () => {
+      disableLock();
+      setSettings(null);
+    },
+    reset: () => {
+      resetLock();
+      setSettings(null);
+      setLocked(false);
+    },
+    setAutoLock: (minutes: number) => setSettings(setAutoLockMinutes(minutes)),
+    // Suspend le verrouillage automatique ; le délai repart de zéro à la reprise
+    pauseAutoLock: setAutoLockPaused,
+  };
+};
@@ -0,0 +1,19 @@
+// --- I18N CONTEXT ---
+// Langue choisie (pilot_locale) et traducteur associé, fournis par App
+
+import { createContext, useContext } from 'react';
+import { DEFAULT_LOCALE, createTranslator, type Locale, type Translator } from '../i18n';
+
+type I18n = {
+  locale: Locale;
+  t: Translator;
+  setLocale: (locale: Locale) => void;
+};
+
+export const I18nContext = createContext<I18n>({
+  locale: DEFAULT_LOCALE,
+  t: createTranslator(DEFAULT_LOCALE),
+  setLocale: () => {},
+});
+
+export const useI18n = () => useContext(I18nContext);
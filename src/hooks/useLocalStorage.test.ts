@@ -0,0 +1,45 @@
+import { renderHook, act } from '@testing-library/react';
+import { useLocalStorage } from './useLocalStorage';
+import { getRecoveryEvents, listCorruptBackups } from '../storage';
+
+beforeEach(() => {
+  window.localStorage.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const stored = (key: string) => JSON.parse(window.localStorage.getItem(key) || 'null');
+
+test('starts from the schema defaults when nothing is stored', () => {
+  const { result } = renderHook(() => useLocalStorage<string[]>('pilot_logs'));
+  expect(result.current[0]).toEqual([]);
+  expect(window.localStorage.getItem('pilot_logs')).toBeNull();
+});
+
+test('reads, migrates and writes back inside a versioned envelope', () => {
+  window.localStorage.setItem('pilot_radar', JSON.stringify({ inner: 80, fog: 10 }));
+  const { result } = renderHook(() => useLocalStorage<{ inner: number, fog: number }>('pilot_radar'));
+  expect(result.current[0]).toMatchObject({ inner: 80, fog: 10, sensors: expect.arrayContaining([{ id: 'peers', label: '', value: 90 }]) });
+
+  act(() => result.current[1](prev => ({ ...prev, fog: 40 })));
+  expect(result.current[0].fog).toBe(40);
+  expect(stored('pilot_radar')).toMatchObject({ version: 2, data: { inner: 80, fog: 40 } });
+});
+
+test('falls back on defaults and keeps corrupt JSON aside', () => {
+  window.localStorage.setItem('pilot_logs', '[{"id": 1,');
+  const { result } = renderHook(() => useLocalStorage<unknown[]>('pilot_logs'));
+
+  expect(result.current[0]).toEqual([]);
+  const [backupKey] = listCorruptBackups();
+  expect(window.localStorage.getItem(backupKey)).toBe('[{"id": 1,');
+  expect(getRecoveryEvents().some(e => e.key === 'pilot_logs' && e.backupKey === backupKey)).toBe(true);
+
+  // La première écriture remplace la valeur illisible, la copie reste intacte
+  act(() => result.current[1]([{ id: 2, date: "", domain: "Lu 10 pages" }]));
+  expect(stored('pilot_logs').data).toHaveLength(1);
+  expect(window.localStorage.getItem(backupKey)).toBe('[{"id": 1,');
+});
@@ -0,0 +1,28 @@
+// --- CUSTOM HOOK FOR LOCAL STORAGE ---
+// Lecture/écriture versionnées : voir storage.ts pour les schémas et migrations
+
+import { useState, useRef, useCallback } from 'react';
+import { loadValue, saveValue, type StorageKey } from '../storage';
+
+export function useLocalStorage<T>(key: StorageKey): [T, (value: T | ((val: T) => T)) => void] {
+  const [storedValue, setStoredValue] = useState<T>(() => loadValue(key));
+
+  // Dernière valeur écrite : le setter reste stable (utilisable dans les
+  // dépendances d'un effet) et deux appels successifs s'enchaînent
+  const latest = useRef(storedValue);
+  latest.current = storedValue;
+
+  const setValue = useCallback((value: T | ((val: T) => T)) => {
+    try {
+      const valueToStore = value instanceof Function ? value(latest.current) : value;
+      if (valueToStore === latest.current) return;
+      latest.current = valueToStore;
+      setStoredValue(valueToStore);
+      saveValue(key, valueToStore);
+    } catch (error) {
+      console.error(error);
+    }
+  }, [key]);
+
+  return [storedValue, setValue];
+}
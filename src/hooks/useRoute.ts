@@ -0,0 +1,44 @@
+// --- ROUTING HOOK ---
+// Route courante lue dans l'URL ; chaque navigation ajoute une entrée à
+// l'historique, le bouton retour du navigateur revient donc à l'écran précédent.
+
+import { useState, useEffect } from 'react';
+import { parseRoute, formatRoute, type Route } from '../routes';
+
+// Marque les entrées d'historique ajoutées par l'app
+const APP_ENTRY = { pilot: true };
+
+export const useRoute = () => {
+  const [route, setRoute] = useState<Route>(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    // Lien absent ou inconnu : l'URL reflète la page réellement affichée
+    const hash = formatRoute(parseRoute(window.location.hash));
+    if (hash !== window.location.hash) window.history.replaceState(window.history.state, "", hash);
+
+    const sync = () => setRoute(parseRoute(window.location.hash));
+    window.addEventListener('popstate', sync);
+    window.addEventListener('hashchange', sync);
+    return () => {
+      window.removeEventListener('popstate', sync);
+      window.removeEventListener('hashchange', sync);
+    };
+  }, []);
+
+  const navigate = (next: Route, { replace = false }: { replace?: boolean } = {}) => {
+    const hash = formatRoute(next);
+    if (hash === window.location.hash) return;
+    if (replace) window.history.replaceState(window.history.state, "", hash);
+    else window.history.pushState(APP_ENTRY, "", hash);
+    setRoute(parseRoute(hash));
+  };
+
+  // Sortie d'un sous-état (SOS, panneau) : retour arrière s'il a été ouvert
+  // depuis l'app, sinon (lien direct) on le remplace par `parent`
+  const leave = (parent: Route) => {
+    if (window.history.state && window.history.state.pilot) window.history.back();
+    else navigate(parent, { replace: true });
+  };
+
+  return { route, navigate, leave };
+};
@@ -0,0 +1,31 @@
+import { translate, detectLocale, type Locale } from './i18n';
+import { formatLogDay, weekdayInitials } from './dates';
+import { formatCountdown } from './goals';
+
+test('fills parameters and picks the plural form of the language', () => {
+  expect(translate('fr', 'log.entries', { count: 0 })).toBe("0 entrée");
+  expect(translate('fr', 'log.entries', { count: 2 })).toBe("2 entrées");
+  expect(translate('en', 'log.entries', { count: 0 })).toBe("0 entries");
+  expect(translate('en', 'log.entries', { count: 1 })).toBe("1 entry");
+  expect(translate('en', 'crisis.step', { index: 2, total: 5, label: "Breathing" })).toBe("Step 2/5 · Breathing");
+});
+
+test('falls back on French, then on the key itself', () => {
+  expect(translate('de' as Locale, 'radar.status.critical')).toBe("CRITIQUE");
+  expect(translate('en', 'radar.nope')).toBe('radar.nope');
+});
+
+test('detects the first supported browser language', () => {
+  expect(detectLocale(['de-DE', 'en-US', 'fr'])).toBe('en');
+  expect(detectLocale(['fr-CA'])).toBe('fr');
+  expect(detectLocale(['es'])).toBe('fr');
+});
+
+test('formats day names and countdowns per language', () => {
+  const monday = new Date(2024, 2, 4, 18, 30).toISOString();
+  expect(formatLogDay(monday, 'fr')).toBe("Lun 4 mars");
+  expect(formatLogDay(monday, 'en')).toBe("Mon 4 Mar");
+  expect(weekdayInitials('fr')).toEqual(['L', 'M', 'M', 'J', 'V', 'S', 'D']);
+  expect(weekdayInitials('en')).toEqual(['M', 'T', 'W', 'T', 'F', 'S', 'S']);
+  expect(formatCountdown('2024-03-18', '2024-03-20', 'en')).toBe("2 d overdue");
+});
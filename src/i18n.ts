@@ -0,0 +1,62 @@
+// --- I18N ---
+//
+// Catalogues de messages par langue (src/locales) et traduction par clé
+// pointée : t('radar.status.critical'). Les paramètres s'écrivent {name} dans
+// le message ; un message { one, other } est choisi selon `count` avec les
+// règles de pluriel de la langue. Le français est la langue de référence :
+// une clé absente d'un autre catalogue retombe sur lui.
+
+import fr from './locales/fr';
+import en from './locales/en';
+
+export type Locale = 'fr' | 'en';
+
+export type TranslationParams = { [name: string]: string | number };
+
+export type Translator = (key: string, params?: TranslationParams) => string;
+
+export const DEFAULT_LOCALE: Locale = 'fr';
+
+// `dateLocale` : étiquette BCP 47 passée à Intl / toLocaleString
+export const LOCALES: { id: Locale, label: string, dateLocale: string }[] = [
+  { id: 'fr', label: 'FR', dateLocale: 'fr-FR' },
+  { id: 'en', label: 'EN', dateLocale: 'en-GB' },
+];
+
+const CATALOGS: { [locale: string]: any } = { fr, en };
+
+export const isLocale = (value: any) => LOCALES.some(l => l.id === value);
+
+export const dateLocale = (locale: Locale) => {
+  const entry = LOCALES.find(l => l.id === locale);
+  return entry ? entry.dateLocale : LOCALES[0].dateLocale;
+};
+
+// Première langue du navigateur que l'app sait parler, sinon le français
+export const detectLocale = (languages: readonly string[] = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []): Locale => {
+  for (const language of languages) {
+    const code = String(language || '').slice(0, 2).toLowerCase();
+    if (code === 'fr' || code === 'en') return code;
+  }
+  return DEFAULT_LOCALE;
+};
+
+const lookup = (catalog: any, key: string) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+export const translate = (locale: Locale, key: string, params: TranslationParams = {}): string => {
+  let message = lookup(CATALOGS[locale], key);
+  if (message === undefined) message = lookup(CATALOGS[DEFAULT_LOCALE], key);
+
+  if (message && typeof message === 'object' && typeof params.count === 'number') {
+    const rule = new Intl.PluralRules(dateLocale(locale)).select(params.count);
+    message = message[rule] !== undefined ? message[rule] : message.other;
+  }
+  // Clé inconnue : on l'affiche telle quelle plutôt que rien
+  if (typeof message !== 'string') return key;
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+export const createTranslator = (locale: Locale): Translator =>
+  (key, params) => translate(locale, key, params);
@@ -0,0 +1,13 @@
+// --- ORDERED LISTS ---
+//
+// Réordonnancement des listes éditables (étapes et contacts du plan de crise,
+// capteurs du radar).
+
+// Déplace un élément d'une position ; hors bornes, la liste est inchangée
+export const moveItem = <T>(list: T[], index: number, delta: number): T[] => {
+  const target = index + delta;
+  if (target < 0 || target >= list.length) return list;
+  const moved = list.slice();
+  [moved[index], moved[target]] = [moved[target], moved[index]];
+  return moved;
+};
@@ -0,0 +1,474 @@
+// --- ENGLISH CATALOG ---
+// Même arborescence que fr.ts ; une clé manquante retombe sur le français.
+
+const en = {
+  common: {
+    close: "Close",
+    cancel: "Cancel",
+    ok: "OK",
+    edit: "Edit",
+    delete: "Delete",
+    remove: "Remove",
+    moveUp: "Move up",
+    moveDown: "Move down",
+    addItem: "Add ({item})",
+    untitled: "Untitled",
+    yes: "Yes",
+    no: "No",
+  },
+
+  app: {
+    backup: "Backup",
+    reminders: "Reminders",
+    settings: "Settings",
+    cohort: "Coach mode",
+    debrief: "Weekly debrief",
+    lock: "Lock",
+    switchLanguage: "Passer en français",
+    demoMode: "Demo mode (phone mock-up)",
+    exitDemo: "Leave demo mode",
+    tabs: {
+      radar: "Radar",
+      ascension: "Route",
+      cockpit: "Cockpit",
+      mission: "Mission",
+    },
+    recovery: "Some saved data could not be read. It was kept aside ({keys}) and default values are used instead.",
+    reminderGo: "Go",
+    reminderDismiss: "Dismiss",
+    updateAvailable: "A new version of Pilot is available.",
+    updateNow: "Update",
+    updateLater: "Later",
+    confirmDeleteGoal: "Delete this goal and its carabiners?",
+    confirmClearLogs: "Reset the flight log?",
+  },
+
+  radar: {
+    title: "Navigation System",
+    subtitle: "Sensor Calibration",
+    fogDensity: "FOG DENSITY",
+    analysis: "SYSTEM ANALYSIS",
+    chartName: "Influences",
+    status: {
+      optimal: "OPTIMAL",
+      intermediate: "INTERMEDIATE",
+      critical: "CRITICAL",
+    },
+    message: {
+      optimal: "Excellent visibility. Ideal flying conditions.",
+      intermediate: "Reduced visibility. Watch out for interference.",
+      critical: "Zero visibility. Stop immediately.",
+    },
+    axis: {
+      fog: "Fog",
+      inner: "Inner Voice",
+      peers: "Peers/Friends",
+      family: "Family",
+      media: "Media",
+      professors: "Teachers",
+    },
+    innerLong: "Inner Voice (Me)",
+    sensors: {
+      edit: "Configure sensors",
+      rename: "Sensor name",
+      unnamed: "Sensor",
+      placeholder: "New sensor (sport, social media...)",
+      add: "Add sensor",
+      empty: "No outside sensor: outside noise counts as 0%.",
+      max: "{count} sensors at most.",
+      confirmRemove: "Remove the \"{name}\" sensor? Its history stays in backups.",
+    },
+    trend: {
+      title: "Trend",
+      days: "Days",
+      weeks: "Weeks",
+      week: "Wk {date}",
+      empty: "Calibrate your radar over several days to see the trend.",
+    },
+  },
+
+  goals: {
+    title: "Strategic Deployment",
+    subtitle: "Altitude & Gear",
+    add: "Goal",
+    archived: "Archived ({count})",
+    empty: "No summit in sight. Set your first goal.",
+    create: "New goal",
+    summit: "Summit Goal",
+    titlePlaceholder: "My goal...",
+    deadline: "Target Date",
+    delete: "Delete goal",
+    carabiners: "Carabiner Setup",
+    status: {
+      active: "Active",
+      achieved: "Achieved",
+      abandoned: "Abandoned",
+    },
+    countdown: {
+      none: "No deadline",
+      today: "Today",
+      left: "D-{days}",
+      overdue: "{days} d overdue",
+    },
+  },
+
+  carabiners: {
+    carb_cognitive: "Cognitive",
+    carb_physical: "Physical",
+    carb_recovery: "Recovery",
+    long: {
+      carb_cognitive: "COGNITIVE (Deep Work)",
+      carb_physical: "PHYSICAL (Activation)",
+      carb_recovery: "RECOVERY (Off)",
+    },
+    placeholder: {
+      carb_cognitive: "E.g. Reading",
+      carb_physical: "E.g. 20 push-ups on waking",
+      carb_recovery: "E.g. 15 min nap",
+    },
+    checkToday: "Check \"{name}\" for today",
+    rates: "{short} d: {shortRate}% · {long} d: {longRate}%",
+    scoreHint: "Carabiners checked over the last {days} days count toward impact (Mission).",
+  },
+
+  log: {
+    history: "+1% Log",
+    calendarView: "Calendar view",
+    listView: "List view",
+    entries: { one: "{count} entry", other: "{count} entries" },
+    activeDays: "{count} d.",
+    placeholder: "Today, I...",
+    carabiner: "Carabiner",
+    all: "All",
+    empty: "No progress logged yet.",
+    deleted: { one: "Entry deleted", other: "{count} entries deleted" },
+    add: "Add to the log",
+    clear: "Reset the log",
+  },
+
+  crisis: {
+    title: "Resilience Protocol",
+    subtitle: "Log & Emergencies",
+    sos: "SOS CRASH",
+    sosSubtitle: "Emergency protocol",
+    stats: "SOS used {last30Days} times in the last 30 days ({total} in total)",
+    relief: " · average relief {value} pts",
+    survivalMode: "SURVIVAL MODE ON",
+    before: "Where are you at, right now?",
+    after: "And now, where are you at?",
+    calm: "Calm",
+    overwhelmed: "Overwhelmed",
+    step: "Step {index}/{total} · {label}",
+    previous: "Back",
+    next: "Next",
+    skip: "Skip",
+    finish: "Finish",
+    immediateDanger: "In immediate danger:",
+    steps: {
+      message: "Instruction",
+      breathing: "Breathing",
+      grounding: "5-4-3-2-1 grounding",
+      warningSigns: "Warning signs",
+      strategies: "My strategies",
+      safePlaces: "Safe places",
+      contacts: "Contacts",
+      helplines: "Emergency numbers",
+    },
+    defaultMessage: "Remember your goal, open your pack and clip into your carabiners.",
+    execute: "Don't think. Execute:",
+    goal: "Goal:",
+    goalCarabiners: "Carabiners:",
+    breathing: {
+      start: "Start ({cycles} cycles)",
+      done: "Breathing complete.",
+      progress: "{seconds}s · cycle {cycle}/{cycles}",
+      inhale: "Breathe in",
+      hold: "Hold",
+      exhale: "Breathe out",
+    },
+    grounding: {
+      intro: "Look around you and name, quietly:",
+      see: "things you can see",
+      touch: "things you can touch",
+      hear: "sounds you can hear",
+      smell: "things you can smell",
+      taste: "thing you can taste",
+    },
+    call: "Call",
+    message: "Message",
+    sms: "SMS",
+    contactsEmpty: "No contacts saved. Add them to your crisis plan; in the meantime, go to the emergency numbers.",
+    contactsIntro: "You are not alone. Start with the first one; if they don't answer, move to the next.",
+    helplinesIntro: "Professionals are answering, right now:",
+    helplines: {
+      suicide: { label: "Suicide prevention", detail: "24/7, free" },
+      samu: { label: "SAMU", detail: "Medical emergency" },
+      europe: { label: "European emergency number", detail: "From any phone" },
+      sms: { label: "Emergency by text", detail: "If you can't speak" },
+      youth: { label: "Fil Santé Jeunes", detail: "9am-11pm, free and anonymous" },
+    },
+    warningSignsIntro: "Which of your warning signs do you recognise right now?",
+    warningSignsEmpty: "No warning signs noted. When you feel better, write down what tells you a crisis is coming.",
+    strategiesIntro: "Pick one of your strategies and do it, now:",
+    strategiesFallback: "Move. Put your favourite music on loud.",
+    safePlacesIntro: "Go to one of your safe places:",
+    safePlacesEmpty: "No safe places noted. Go where there are people, or stay with someone.",
+    plan: {
+      title: "My crisis plan",
+      warningSignsPlaceholder: "E.g. I stop sleeping, I isolate myself...",
+      strategiesPlaceholder: "E.g. Sing along to Céline Dion...",
+      safePlacesPlaceholder: "E.g. The library, my aunt's place...",
+      contacts: "Contacts (in calling order)",
+      contactName: "Name",
+      contactPhone: "07700 900123",
+      addContact: "+ Contact",
+      helplines: "Emergency numbers",
+      protocol: "Protocol steps",
+      cycles: "Cycles",
+    },
+  },
+
+  score: {
+    breakdown: "Score breakdown",
+    mastery: "Mastery (X)",
+    impact: "Impact (Y)",
+    target: "Heading for the GRAVITY zone",
+    inZone: "You're in the zone. Hold your course.",
+    unreachable: "With the current settings, the threshold can't be reached even at the maximum.",
+    factors: {
+      inner: "Inner voice",
+      clarity: "Clarity (100 - fog)",
+      calm: "Calm (100 - outside noise)",
+      carabiners: "Carabiners checked (7 d)",
+      goal: "Goal defined",
+      activity: "+1% activity",
+    },
+    suggestions: {
+      inner: "Raise your inner voice from {from}% to {to}%.",
+      clarity: "Bring the fog down from {from}% to {to}%.",
+      calm: "Reduce the average outside noise from {from}% to {to}%.",
+      carabiners: "Check your carabiners every day to go from {from}% to {to}% completion.",
+      goal: "Define your summit goal ({min} characters min.).",
+      activity: "Raise your +1% activity from {from}% to {to}% by logging every day.",
+    },
+  },
+
+  mission: {
+    title: "The Gravity Manifesto",
+    subtitle: "Flight Clearance",
+    noGoal: "No active goal (Route)",
+    impactZone: "Impact Zone",
+    masteryLevel: "Mastery Level",
+    gravity: "GRAVITY",
+    firstInZone: "First entry into GRAVITY: {date}",
+    mastery: "MASTERY (X)",
+    impact: "IMPACT (Y)",
+    streak: "Streak",
+    record: "Best",
+    perWeek: "Per wk",
+    activity: "Activity",
+    dayUnit: "d",
+    authorized: "Flight Clearance Granted",
+  },
+
+  scoring: {
+    title: "Coach Settings",
+    subtitle: "Gravity Engine",
+    share: "{label} · {share}% of the axis",
+    thresholds: "Thresholds",
+    goalMinLength: "Min. characters for the goal",
+    flightX: "Flight clearance: mastery >",
+    flightY: "Flight clearance: impact >",
+    reset: "Default settings",
+    confirmReset: "Restore the default settings?",
+  },
+
+  alerts: {
+    critical: {
+      title: "Critical fog ({fog}%)",
+      body: "Stopping now is advised. Your SOS protocol is ready.",
+    },
+    rising: {
+      title: "Fog is rising",
+      body: "From {from}% to {fog}% in a few days. Take a break with the SOS protocol?",
+    },
+    start: "Start SOS",
+    dismiss: "Later",
+    episodes: {
+      title: "Critical episodes",
+      ongoing: "ongoing",
+      sos: "SOS started",
+      peak: "peak {value}%",
+      showAll: "Show all {count} episodes",
+      showLess: "Show less",
+    },
+  },
+
+  reminders: {
+    title: "Reminders",
+    subtitle: "Check-ins & alerts",
+    enable: "Turn on reminders",
+    localOnly: "Everything stays on this phone: no server is contacted.",
+    checkIn: "Daily check-in",
+    removeTime: "Remove this time",
+    addTime: "+ Time",
+    checkInHint: "Only if today's +1% or radar is still missing.",
+    streak: "Streak at risk",
+    streakToggle: "Warn me if nothing is logged",
+    streakFrom: "From",
+    deadline: "Deadline approaching",
+    deadlineToggle: "Warn me before the deadline",
+    deadlineDays: "Days before",
+    notifications: "Notifications",
+    allow: "Allow notifications",
+    useSystem: "Use system notifications",
+    noSchedule: "This browser can't schedule notifications while the app is closed: a missed reminder will show when you reopen it.",
+    status: {
+      unsupported: "Notifications aren't available on this device: reminders show inside the app.",
+      default: "Allow notifications to be reminded while the app is closed.",
+      denied: "Notifications are blocked in the browser settings: reminders show inside the app.",
+      granted: "Notifications allowed.",
+    },
+    checkInTitle: "Daily check-in",
+    checkInBoth: "Log your +1% and recalibrate your radar.",
+    checkInLog: "Log today's +1%.",
+    checkInRadar: "Recalibrate today's radar.",
+    streakTitle: "Streak at risk",
+    streakBody: {
+      one: "Your {count}-day streak ends tonight without a +1%.",
+      other: "Your {count}-day streak ends tonight without a +1%.",
+    },
+    deadlineTitle: "Deadline approaching",
+    deadlineBody: "{title}: {countdown}.",
+    untitledGoal: "Untitled goal",
+  },
+
+  backup: {
+    title: "Black Box",
+    subtitle: "Backup & Restore",
+    export: "Export",
+    exportHint: "Radar, goal, +1% log and crisis anchors in a single JSON file.",
+    download: "Download",
+    shareTitle: "Pilot backup",
+    import: "Import",
+    importHint: "Choose a Pilot backup file to preview it.",
+    exportedAt: "Exported on",
+    goals: "Goals",
+    logs: "+1% entries",
+    radarDays: "Radar days",
+    crisisPlan: "Crisis plan",
+    merge: "Merge",
+    replace: "Replace",
+    mergeHint: "Merge adds missing history and keeps the fields you've already filled in. Replace overwrites everything.",
+    confirmReplace: "Replace all data on this device with the backup?",
+    merged: "Backup merged.",
+    replaced: "Data replaced.",
+    errors: {
+      invalidJson: "The file is not valid JSON.",
+      notBackup: "This file is not a Pilot backup.",
+      tooNew: "Backup created by a newer version of the app.",
+      empty: "The backup contains no data.",
+    },
+  },
+  cohort: {
+    title: "Coach Mode",
+    subtitle: "Cohort Report",
+    load: "Pilot exports",
+    loadHint: "Pick your pilots' backup files. They are read in this browser, never sent or stored.",
+    pilot: "Pilot {index}",
+    empty: "No export loaded.",
+    summary: { one: "{count} pilot · report of {date}", other: "{count} pilots · report of {date}" },
+    print: "Print",
+    tooSmall: "Fewer than {min} pilots: the averages would make each one recognisable. The report appears from {min} exports.",
+    radar: "Average radar",
+    noise: "Average outside noise: {value}%",
+    customSensors: "Added sensors",
+    matrix: "Gravity Matrix",
+    zones: {
+      flight: "Cleared for flight",
+      mastery: "Mastery only",
+      impact: "Impact only",
+      ground: "Grounded",
+    },
+    matrixHint: "Positions computed with this device's Gravity Engine settings.",
+    logging: "Log consistency",
+    averageStreak: "Avg. streak",
+    activeRecently: "Active {days} d",
+    crisis: "SOS mode",
+    sessions30: "SOS 30 d",
+    pilots30: "SOS pilots 30 d",
+    sessionsTotal: "SOS total",
+    relief: "Avg. relief",
+    privacy: "Anonymous report: no name, goal, log text or contact is taken from the exports.",
+  },
+  debrief: {
+    title: "Debrief",
+    subtitle: "Weekly Summary",
+    week: "Week of {from} to {to}",
+    previousWeek: "Previous week",
+    nextWeek: "Next week",
+    print: "Print / PDF",
+    printHint: "Pick \"Save as PDF\" as the printer to keep the summary as a file. Everything is generated on this device.",
+    logs: "+1% log",
+    logsSummary: {
+      one: "{count} entry · {days} active day(s) out of 7",
+      other: "{count} entries · {days} active day(s) out of 7",
+    },
+    noEntry: "No entry",
+    radar: "Average radar",
+    noRadar: "No calibration this week.",
+    thisWeek: "This wk",
+    lastWeek: "Last wk",
+    change: "Change",
+    noise: "External noise",
+    readings: { one: "{count} day calibrated this week", other: "{count} days calibrated this week" },
+    scores: "Gravity Matrix",
+    mastery: "Mastery",
+    impact: "Impact",
+    masteryChange: "Mastery change",
+    impactChange: "Impact change",
+    carabiners: "Carabiners",
+    noCarabiners: "No carabiner set on active goals.",
+    taggedHint: "+1% entries linked to each carabiner this week.",
+    crisis: "SOS mode",
+    sessions: "SOS",
+    completed: "Protocols done",
+    episodes: "Critical fog",
+    sosFromAlerts: {
+      one: "{count} SOS started from a fog alert.",
+      other: "{count} SOS started from a fog alert.",
+    },
+    privacy: "This summary contains your log: only share it with your coach.",
+  },
+  lock: {
+    title: "Lock",
+    subtitle: "Code & Encryption",
+    locked: "Pilot is locked",
+    secret: "Code",
+    secretPlaceholder: "PIN or passphrase",
+    unlock: "Unlock",
+    unlocking: "Unlocking…",
+    wrongSecret: "Wrong code.",
+    forgot: "Forgot the code?",
+    confirmReset: "Without the code, the encrypted data cannot be read. Erase it and start over?",
+    sosLimited: "App locked: your personal crisis plan shows once unlocked.",
+    enable: "Turn on the lock",
+    enableHint: "Your log, crisis plan, goals and radar will be encrypted on this device with this code.",
+    noRecovery: "A forgotten code cannot be recovered: export a backup first.",
+    newSecret: "PIN or passphrase",
+    confirmSecret: "Confirm the code",
+    tooShort: "At least {min} characters.",
+    mismatch: "The two codes do not match.",
+    encrypting: "Encrypting…",
+    lockNow: "Lock now",
+    autoLock: "Auto-lock",
+    afterMinutes: { one: "after {count} minute", other: "after {count} minutes" },
+    never: "never",
+    change: "Change the code",
+    disable: "Remove the lock",
+    confirmDisable: "Remove the lock and store the data unencrypted on this device?",
+    scope: "AES-GCM encryption, key derived from the code (PBKDF2). The code is never stored. Language, settings and reminders stay unencrypted.",
+  },
+};
+
+export default en;
@@ -0,0 +1,478 @@
+// --- CATALOGUE FRANÇAIS ---
+// Langue de référence : toute clé absente d'un autre catalogue est lue ici.
+
+const fr = {
+  common: {
+    close: "Fermer",
+    cancel: "Annuler",
+    ok: "OK",
+    edit: "Modifier",
+    delete: "Supprimer",
+    remove: "Retirer",
+    moveUp: "Monter",
+    moveDown: "Descendre",
+    addItem: "Ajouter ({item})",
+    untitled: "Sans titre",
+    yes: "Oui",
+    no: "Non",
+  },
+
+  app: {
+    backup: "Sauvegarde",
+    reminders: "Rappels",
+    settings: "Réglages",
+    cohort: "Mode coach",
+    debrief: "Bilan de la semaine",
+    lock: "Verrouillage",
+    switchLanguage: "Switch to English",
+    demoMode: "Mode démo (maquette de téléphone)",
+    exitDemo: "Quitter le mode démo",
+    tabs: {
+      radar: "Radar",
+      ascension: "Topo",
+      cockpit: "Cockpit",
+      mission: "Mission",
+    },
+    recovery: "Des données enregistrées étaient illisibles. Elles ont été conservées à part ({keys}) et les valeurs par défaut sont utilisées.",
+    reminderGo: "Y aller",
+    reminderDismiss: "Ignorer",
+    updateAvailable: "Une nouvelle version de Pilot est disponible.",
+    updateNow: "Mettre à jour",
+    updateLater: "Plus tard",
+    confirmDeleteGoal: "Supprimer cet objectif et ses mousquetons ?",
+    confirmClearLogs: "Réinitialiser l'historique de vol ?",
+  },
+
+  radar: {
+    title: "Système de Navigation",
+    subtitle: "Calibrage des Capteurs",
+    fogDensity: "DENSITÉ BROUILLARD",
+    analysis: "ANALYSE SYSTÈME",
+    chartName: "Influences",
+    status: {
+      optimal: "OPTIMAL",
+      intermediate: "INTERMÉDIAIRE",
+      critical: "CRITIQUE",
+    },
+    message: {
+      optimal: "Visibilité excellente. Conditions de vol idéales.",
+      intermediate: "Visibilité réduite. Soyez vigilant aux interférences.",
+      critical: "Visibilité nulle. Arrêt immédiat conseillé.",
+    },
+    // Noms courts : axes du radar, courbes de tendance
+    axis: {
+      fog: "Brouillard",
+      inner: "Voix Int.",
+      peers: "Pairs/Amis",
+      family: "Famille",
+      media: "Médias",
+      professors: "Profs",
+    },
+    innerLong: "Voix Intérieure (Moi)",
+    sensors: {
+      edit: "Configurer les capteurs",
+      rename: "Nom du capteur",
+      unnamed: "Capteur",
+      placeholder: "Nouveau capteur (sport, réseaux...)",
+      add: "Ajouter le capteur",
+      empty: "Aucun capteur extérieur : le bruit extérieur compte pour 0 %.",
+      max: "{count} capteurs au maximum.",
+      confirmRemove: "Retirer le capteur « {name} » ? Son historique reste dans les sauvegardes.",
+    },
+    trend: {
+      title: "Tendance",
+      days: "Jours",
+      weeks: "Semaines",
+      week: "S. {date}",
+      empty: "Calibre ton radar sur plusieurs jours pour voir la tendance.",
+    },
+  },
+
+  goals: {
+    title: "Déploiement Stratégique",
+    subtitle: "Altitude & Matériel",
+    add: "Objectif",
+    archived: "Archivés ({count})",
+    empty: "Aucun sommet en vue. Fixe ton premier objectif.",
+    create: "Nouvel objectif",
+    summit: "Objectif Sommet",
+    titlePlaceholder: "Mon objectif...",
+    deadline: "Date Cible",
+    delete: "Supprimer l'objectif",
+    carabiners: "Configuration Mousquetons",
+    status: {
+      active: "En cours",
+      achieved: "Atteint",
+      abandoned: "Abandonné",
+    },
+    countdown: {
+      none: "Sans échéance",
+      today: "Aujourd'hui",
+      left: "J-{days}",
+      overdue: "Dépassé de {days} j",
+    },
+  },
+
+  // Les trois mousquetons d'un objectif
+  carabiners: {
+    carb_cognitive: "Cognitif",
+    carb_physical: "Physique",
+    carb_recovery: "Récup",
+    long: {
+      carb_cognitive: "COGNITIF (Deep Work)",
+      carb_physical: "PHYSIQUE (Activation)",
+      carb_recovery: "RÉCUPÉRATION (Off)",
+    },
+    placeholder: {
+      carb_cognitive: "Ex: Lecture",
+      carb_physical: "Ex: 20 Pompes au réveil",
+      carb_recovery: "Ex: Sieste 15min",
+    },
+    checkToday: "Cocher « {name} » pour aujourd'hui",
+    rates: "{short} j : {shortRate}% · {long} j : {longRate}%",
+    scoreHint: "Les mousquetons cochés ces {days} derniers jours comptent dans l'impact (Mission).",
+  },
+
+  log: {
+    history: "Historique +1%",
+    calendarView: "Vue calendrier",
+    listView: "Vue liste",
+    entries: { one: "{count} entrée", other: "{count} entrées" },
+    activeDays: "{count} j.",
+    placeholder: "Aujourd'hui, j'ai...",
+    carabiner: "Mousqueton",
+    all: "Tous",
+    empty: "Aucune progression enregistrée.",
+    deleted: { one: "Entrée supprimée", other: "{count} entrées supprimées" },
+    add: "Ajouter au journal",
+    clear: "Réinitialiser l'historique",
+  },
+
+  crisis: {
+    title: "Protocole de Résilience",
+    subtitle: "Journal & Urgences",
+    sos: "SOS CRASH",
+    sosSubtitle: "Protocole d'urgence",
+    stats: "SOS activé {last30Days} fois ces 30 derniers jours ({total} au total)",
+    relief: " · soulagement moyen {value} pts",
+    survivalMode: "MODE SURVIE ACTIVÉ",
+    before: "Où en es-tu, là, maintenant ?",
+    after: "Et maintenant, où en es-tu ?",
+    calm: "Calme",
+    overwhelmed: "Submergé",
+    step: "Étape {index}/{total} · {label}",
+    previous: "Précédent",
+    next: "Suivant",
+    skip: "Passer",
+    finish: "Terminer",
+    immediateDanger: "En danger immédiat :",
+    steps: {
+      message: "Consigne",
+      breathing: "Respiration",
+      grounding: "Ancrage 5-4-3-2-1",
+      warningSigns: "Signes d'alerte",
+      strategies: "Stratégies perso",
+      safePlaces: "Lieux sûrs",
+      contacts: "Contacts",
+      helplines: "Numéros d'urgence",
+    },
+    defaultMessage: "N'oublie pas ton objectif, ouvre ton sac et accroche toi à tes mousquetons.",
+    execute: "Ne réfléchis pas. Exécute :",
+    goal: "Objectif :",
+    goalCarabiners: "Mousquetons :",
+    breathing: {
+      start: "Commencer ({cycles} cycles)",
+      done: "Respiration terminée.",
+      progress: "{seconds}s · cycle {cycle}/{cycles}",
+      inhale: "Inspire",
+      hold: "Bloque",
+      exhale: "Expire",
+    },
+    grounding: {
+      intro: "Regarde autour de toi et nomme, à voix basse :",
+      see: "choses que tu vois",
+      touch: "choses que tu peux toucher",
+      hear: "sons que tu entends",
+      smell: "odeurs que tu sens",
+      taste: "chose que tu goûtes",
+    },
+    call: "Appeler",
+    message: "Message",
+    sms: "SMS",
+    contactsEmpty: "Aucun contact enregistré. Ajoute-les dans ton plan de crise ; en attendant, passe aux numéros d'urgence.",
+    contactsIntro: "Tu n'es pas seul·e. Commence par le premier ; s'il ne répond pas, passe au suivant.",
+    helplinesIntro: "Des professionnels répondent, maintenant :",
+    helplines: {
+      suicide: { label: "Prévention du suicide", detail: "24h/24, 7j/7, gratuit" },
+      samu: { label: "SAMU", detail: "Urgence médicale" },
+      europe: { label: "Urgences européennes", detail: "Depuis n'importe quel téléphone" },
+      sms: { label: "Urgences par SMS", detail: "Si tu ne peux pas parler" },
+      youth: { label: "Fil Santé Jeunes", detail: "9h-23h, gratuit et anonyme" },
+    },
+    warningSignsIntro: "Lesquels de tes signes d'alerte reconnais-tu là ?",
+    warningSignsEmpty: "Aucun signe d'alerte noté. Quand ça ira mieux, note ce qui annonce une crise chez toi.",
+    strategiesIntro: "Choisis une de tes stratégies et fais-la, maintenant :",
+    strategiesFallback: "Bouge. Mets ta musique préférée à fond.",
+    safePlacesIntro: "Rejoins un de tes lieux sûrs :",
+    safePlacesEmpty: "Aucun lieu sûr noté. Va là où il y a du monde, ou reste avec quelqu'un.",
+    plan: {
+      title: "Mon plan de crise",
+      warningSignsPlaceholder: "Ex: Je ne dors plus, je m'isole...",
+      strategiesPlaceholder: "Ex: Chanter Céline Dion...",
+      safePlacesPlaceholder: "Ex: La médiathèque, chez ma tante...",
+      contacts: "Contacts (dans l'ordre d'appel)",
+      contactName: "Nom",
+      contactPhone: "06 12 34 56 78",
+      addContact: "+ Contact",
+      helplines: "Numéros d'urgence",
+      protocol: "Étapes du protocole",
+      cycles: "Cycles",
+    },
+  },
+
+  score: {
+    breakdown: "Décomposition du score",
+    mastery: "Maîtrise (X)",
+    impact: "Impact (Y)",
+    target: "Cap sur la zone GRAVITÉ",
+    inZone: "Tu es dans la zone. Maintiens le cap.",
+    unreachable: "Avec les réglages actuels, le seuil ne peut pas être atteint même au maximum.",
+    factors: {
+      inner: "Voix intérieure",
+      clarity: "Clarté (100 - brouillard)",
+      calm: "Calme (100 - bruit extérieur)",
+      carabiners: "Mousquetons cochés (7 j)",
+      goal: "Objectif défini",
+      activity: "Activité +1%",
+    },
+    suggestions: {
+      inner: "Monte ta voix intérieure de {from}% à {to}%.",
+      clarity: "Fais baisser le brouillard de {from}% à {to}%.",
+      calm: "Réduis le bruit extérieur moyen de {from}% à {to}%.",
+      carabiners: "Coche tes mousquetons chaque jour pour passer de {from}% à {to}% de complétion.",
+      goal: "Définis ton objectif sommet ({min} caractères min.).",
+      activity: "Fais passer ton activité +1% de {from}% à {to}% en loggant chaque jour.",
+    },
+  },
+
+  mission: {
+    title: "Le Manifeste de Gravité",
+    subtitle: "Autorisation de Vol",
+    noGoal: "Aucun objectif en cours (Topo)",
+    impactZone: "Zone d'Impact",
+    masteryLevel: "Niveau Maîtrise",
+    gravity: "GRAVITÉ",
+    firstInZone: "Première entrée en GRAVITÉ : {date}",
+    mastery: "MAÎTRISE (X)",
+    impact: "IMPACT (Y)",
+    streak: "Série",
+    record: "Record",
+    perWeek: "Par sem.",
+    activity: "Activité",
+    dayUnit: "j",
+    authorized: "Autorisation de Vol Validée",
+  },
+
+  scoring: {
+    title: "Réglages Coach",
+    subtitle: "Moteur de Gravité",
+    share: "{label} · {share}% de l'axe",
+    thresholds: "Seuils",
+    goalMinLength: "Caractères min. de l'objectif",
+    flightX: "Autorisation de vol : maîtrise >",
+    flightY: "Autorisation de vol : impact >",
+    reset: "Réglages par défaut",
+    confirmReset: "Revenir aux réglages par défaut ?",
+  },
+
+  // Alertes du radar vers le mode SOS
+  alerts: {
+    critical: {
+      title: "Brouillard critique ({fog}%)",
+      body: "Arrêt immédiat conseillé. Ton protocole SOS est prêt.",
+    },
+    rising: {
+      title: "Le brouillard monte",
+      body: "De {from}% à {fog}% en quelques jours. Faire une pause avec le protocole SOS ?",
+    },
+    start: "Lancer le SOS",
+    dismiss: "Plus tard",
+    episodes: {
+      title: "Épisodes critiques",
+      ongoing: "en cours",
+      sos: "SOS lancé",
+      peak: "pic {value}%",
+      showAll: "Voir les {count} épisodes",
+      showLess: "Voir moins",
+    },
+  },
+
+  reminders: {
+    title: "Rappels",
+    subtitle: "Check-in & alertes",
+    enable: "Activer les rappels",
+    localOnly: "Tout reste sur ce téléphone : aucun serveur n'est contacté.",
+    checkIn: "Check-in quotidien",
+    removeTime: "Retirer l'horaire",
+    addTime: "+ Horaire",
+    checkInHint: "Seulement si le +1% ou le radar du jour manque encore.",
+    streak: "Série en danger",
+    streakToggle: "Prévenir si rien n'est noté",
+    streakFrom: "À partir de",
+    deadline: "Échéance proche",
+    deadlineToggle: "Prévenir avant l'échéance",
+    deadlineDays: "Jours avant",
+    notifications: "Notifications",
+    allow: "Autoriser les notifications",
+    useSystem: "Utiliser les notifications du système",
+    noSchedule: "Ce navigateur ne programme pas de notification app fermée : un rappel manqué s'affichera à la réouverture.",
+    status: {
+      unsupported: "Notifications indisponibles sur cet appareil : les rappels s'affichent dans l'app.",
+      default: "Autorise les notifications pour être prévenu·e app fermée.",
+      denied: "Notifications bloquées dans les réglages du navigateur : les rappels s'affichent dans l'app.",
+      granted: "Notifications autorisées.",
+    },
+    // Textes des rappels eux-mêmes (bannière ou notification)
+    checkInTitle: "Check-in du jour",
+    checkInBoth: "Note ton +1% et recale ton radar.",
+    checkInLog: "Note ton +1% du jour.",
+    checkInRadar: "Recale ton radar du jour.",
+    streakTitle: "Série en danger",
+    streakBody: {
+      one: "Ta série de {count} jour s'arrête ce soir sans +1%.",
+      other: "Ta série de {count} jours s'arrête ce soir sans +1%.",
+    },
+    deadlineTitle: "Échéance proche",
+    deadlineBody: "{title} : {countdown}.",
+    untitledGoal: "Objectif sans titre",
+  },
+
+  backup: {
+    title: "Boîte Noire",
+    subtitle: "Sauvegarde & Restauration",
+    export: "Exporter",
+    exportHint: "Radar, objectif, journal +1% et ancrages de crise dans un seul fichier JSON.",
+    download: "Télécharger",
+    shareTitle: "Sauvegarde Pilot",
+    import: "Importer",
+    importHint: "Choisis un fichier de sauvegarde Pilot pour le prévisualiser.",
+    exportedAt: "Exporté le",
+    goals: "Objectifs",
+    logs: "Entrées +1%",
+    radarDays: "Jours de radar",
+    crisisPlan: "Plan de crise",
+    merge: "Fusionner",
+    replace: "Remplacer",
+    mergeHint: "Fusionner ajoute l'historique manquant et garde tes champs déjà remplis. Remplacer écrase tout.",
+    confirmReplace: "Remplacer toutes les données de cet appareil par la sauvegarde ?",
+    merged: "Sauvegarde fusionnée.",
+    replaced: "Données remplacées.",
+    errors: {
+      invalidJson: "Le fichier n'est pas un JSON valide.",
+      notBackup: "Ce fichier n'est pas une sauvegarde Pilot.",
+      tooNew: "Sauvegarde créée par une version plus récente de l'app.",
+      empty: "La sauvegarde ne contient aucune donnée.",
+    },
+  },
+  cohort: {
+    title: "Mode Coach",
+    subtitle: "Rapport de Cohorte",
+    load: "Exports des pilotes",
+    loadHint: "Sélectionne les fichiers de sauvegarde de tes pilotes. Ils sont lus dans ce navigateur, jamais envoyés ni enregistrés.",
+    pilot: "Pilote {index}",
+    empty: "Aucun export chargé.",
+    summary: { one: "{count} pilote · rapport du {date}", other: "{count} pilotes · rapport du {date}" },
+    print: "Imprimer",
+    tooSmall: "Moins de {min} pilotes : les moyennes permettraient de reconnaître chacun. Le rapport s'affiche à partir de {min} exports.",
+    radar: "Radar moyen",
+    noise: "Bruit extérieur moyen : {value}%",
+    customSensors: "Capteurs ajoutés",
+    matrix: "Matrice de Gravité",
+    zones: {
+      flight: "Autorisés au vol",
+      mastery: "Maîtrise seule",
+      impact: "Impact seul",
+      ground: "Au sol",
+    },
+    matrixHint: "Positions calculées avec les réglages du Moteur de Gravité de cet appareil.",
+    logging: "Régularité du journal",
+    averageStreak: "Série moy.",
+    activeRecently: "Actifs {days} j",
+    crisis: "Mode SOS",
+    sessions30: "SOS 30 j",
+    pilots30: "Pilotes SOS 30 j",
+    sessionsTotal: "SOS total",
+    relief: "Soulag. moy.",
+    privacy: "Rapport anonyme : aucun nom, objectif, texte du journal ni contact n'est repris des exports.",
+  },
+  debrief: {
+    title: "Débrief",
+    subtitle: "Bilan de la Semaine",
+    week: "Semaine du {from} au {to}",
+    previousWeek: "Semaine précédente",
+    nextWeek: "Semaine suivante",
+    print: "Imprimer / PDF",
+    printHint: "Choisis « Enregistrer au format PDF » comme imprimante pour garder le bilan en fichier. Tout est généré sur cet appareil.",
+    logs: "Journal +1%",
+    logsSummary: {
+      one: "{count} entrée · {days} jour(s) actif(s) sur 7",
+      other: "{count} entrées · {days} jour(s) actif(s) sur 7",
+    },
+    noEntry: "Aucune entrée",
+    radar: "Radar moyen",
+    noRadar: "Aucun calibrage cette semaine.",
+    thisWeek: "Cette sem.",
+    lastWeek: "Sem. préc.",
+    change: "Écart",
+    noise: "Bruit extérieur",
+    readings: { one: "{count} jour calibré cette semaine", other: "{count} jours calibrés cette semaine" },
+    scores: "Matrice de Gravité",
+    mastery: "Maîtrise",
+    impact: "Impact",
+    masteryChange: "Écart maîtrise",
+    impactChange: "Écart impact",
+    carabiners: "Mousquetons",
+    noCarabiners: "Aucun mousqueton défini sur les objectifs en cours.",
+    taggedHint: "Entrées +1% rattachées à chaque mousqueton cette semaine.",
+    crisis: "Mode SOS",
+    sessions: "SOS",
+    completed: "Protocoles finis",
+    episodes: "Brouillard critique",
+    sosFromAlerts: {
+      one: "{count} SOS lancé depuis une alerte brouillard.",
+      other: "{count} SOS lancés depuis une alerte brouillard.",
+    },
+    privacy: "Ce bilan contient ton journal : partage-le seulement avec ton coach.",
+  },
+  lock: {
+    title: "Verrouillage",
+    subtitle: "Code & Chiffrement",
+    locked: "Pilot est verrouillé",
+    secret: "Code",
+    secretPlaceholder: "Code ou phrase secrète",
+    unlock: "Déverrouiller",
+    unlocking: "Déverrouillage…",
+    wrongSecret: "Code incorrect.",
+    forgot: "Code oublié ?",
+    confirmReset: "Sans le code, les données chiffrées sont illisibles. Les effacer et repartir de zéro ?",
+    sosLimited: "App verrouillée : ton plan de crise personnel s'affiche une fois déverrouillée.",
+    enable: "Activer le verrouillage",
+    enableHint: "Ton journal, ton plan de crise, tes objectifs et ton radar seront chiffrés sur cet appareil avec ce code.",
+    noRecovery: "Aucun moyen de récupérer un code oublié : exporte une sauvegarde avant.",
+    newSecret: "Code ou phrase secrète",
+    confirmSecret: "Confirmer le code",
+    tooShort: "Au moins {min} caractères.",
+    mismatch: "Les deux codes ne correspondent pas.",
+    encrypting: "Chiffrement…",
+    lockNow: "Verrouiller maintenant",
+    autoLock: "Verrouillage automatique",
+    afterMinutes: { one: "après {count} minute", other: "après {count} minutes" },
+    never: "jamais",
+    change: "Changer le code",
+    disable: "Retirer le verrouillage",
+    confirmDisable: "Retirer le verrouillage et enregistrer les données en clair sur cet appareil ?",
+    scope: "Chiffrement AES-GCM, clé dérivée du code (PBKDF2). Le code n'est jamais enregistré. Langue, réglages et rappels restent en clair.",
+  },
+};
+
+export default fr;
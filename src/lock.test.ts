@@ -0,0 +1,72 @@
+import { loadValue, saveValue, getRecoveryEvents } from './storage';
+import {
+  initLock, unlock, lock, enableLock, disableLock, resetLock, flushWrites, isUnlocked
+} from './lock';
+
+const LOG = { id: 1, date: '2024-03-09T10:00:00.000Z', domain: "Appelé Léa" };
+
+beforeEach(() => {
+  window.localStorage.clear();
+  initLock();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('encrypts personal keys and keeps them readable once unlocked', async () => {
+  saveValue('pilot_logs', [LOG]);
+  await enableLock('4321');
+  expect(window.localStorage.getItem('pilot_logs')).not.toContain("Léa");
+  expect(loadValue('pilot_logs')).toEqual([LOG]);
+
+  saveValue('pilot_crisis', { ...loadValue('pilot_crisis'), strategies: ["Courir"] });
+  await flushWrites();
+  expect(window.localStorage.getItem('pilot_crisis')).not.toContain("Courir");
+
+  // Redémarrage : rien n'est lisible avant le bon code
+  initLock();
+  expect(loadValue('pilot_logs')).toEqual([]);
+  await expect(unlock('0000')).rejects.toThrow('code incorrect');
+  expect(isUnlocked()).toBe(false);
+  await unlock('4321');
+  expect(loadValue('pilot_logs')).toEqual([LOG]);
+  expect(loadValue('pilot_crisis').strategies).toEqual(["Courir"]);
+
+  lock();
+  expect(loadValue('pilot_logs')).toEqual([]);
+  expect(() => saveValue('pilot_logs', [])).toThrow('verrouillées');
+});
+
+test('leaves settings in clear and writes everything back when disabled', async () => {
+  saveValue('pilot_locale', 'en');
+  saveValue('pilot_logs', [LOG]);
+  await enableLock('secret phrase');
+  expect(JSON.parse(window.localStorage.getItem('pilot_locale') || '').data).toBe('en');
+
+  // Changer de code : l'ancien ne déverrouille plus
+  await enableLock('nouveau');
+  initLock();
+  await expect(unlock('secret phrase')).rejects.toThrow('code incorrect');
+  await unlock('nouveau');
+
+  disableLock();
+  await flushWrites();
+  expect(window.localStorage.getItem('pilot_lock')).toBeNull();
+  expect(JSON.parse(window.localStorage.getItem('pilot_logs') || '').data).toEqual([LOG]);
+});
+
+test('forgetting the code wipes encrypted data, never reads it as plain data', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  saveValue('pilot_logs', [LOG]);
+  await enableLock('4321');
+
+  // Verrou perdu : la valeur chiffrée est mise de côté, pas écrasée
+  window.localStorage.removeItem('pilot_lock');
+  initLock();
+  expect(loadValue('pilot_logs')).toEqual([]);
+  expect(getRecoveryEvents().map(e => e.reason)).toContain('données chiffrées sans verrou');
+
+  resetLock();
+  expect(window.localStorage.getItem('pilot_logs')).toBeNull();
+});
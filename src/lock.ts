@@ -0,0 +1,212 @@
+// --- APP LOCK & ENCRYPTION AT REST ---
+//
+// Verrouillage facultatif par code PIN ou phrase secrète. La clé AES-GCM est
+// dérivée du code (PBKDF2) et ne vit qu'en mémoire. Au déverrouillage, les clés
+// personnelles sont déchiffrées une fois dans un cache que storage.ts lit et
+// écrit sans attendre ; chaque écriture est ensuite chiffrée en arrière-plan,
+// dans l'ordre. Verrouiller vide le cache et oublie la clé.
+
+import {
+  loadValue, saveValue, setSecureLayer, isEncryptedValue,
+  type SecureLayer, type StorageKey
+} from './storage';
+
+export type EncryptedValue = { iv: string, cipher: string };
+
+export type LockSettings = {
+  salt: string; // base64
+  iterations: number;
+  check: EncryptedValue; // CHECK_TEXT chiffré : vérifie le code sans rien déchiffrer d'autre
+  autoLockMinutes: number; // 0 : jamais
+};
+
+// Langue, réglages et rappels restent lisibles : l'écran de verrouillage en a besoin
+export const ENCRYPTED_KEYS: StorageKey[] = [
+  'pilot_radar',
+  'pilot_radar_history',
+  'pilot_goal',
+  'pilot_logs',
+  'pilot_crisis',
+  'pilot_crisis_log',
+  'pilot_fog_episodes',
+  'pilot_trajectory',
+];
+
+export const PBKDF2_ITERATIONS = 310000;
+export const MIN_SECRET_LENGTH = 4;
+export const DEFAULT_AUTO_LOCK_MINUTES = 5;
+export const AUTO_LOCK_CHOICES = [1, 5, 15, 60, 0];
+
+const CHECK_TEXT = 'pilot';
+
+// --- WEB CRYPTO ---
+
+const toBase64 = (bytes: Uint8Array) => btoa(String.fromCharCode(...Array.from(bytes)));
+
+const fromBase64 = (text: string) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+const randomBytes = (length: number) => window.crypto.getRandomValues(new Uint8Array(length));
+
+export const deriveKey = async (secret: string, salt: string, iterations: number) => {
+  const material = await window.crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+  return window.crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+export const encryptText = async (key: CryptoKey, text: string): Promise<EncryptedValue> => {
+  const iv = randomBytes(12);
+  const cipher = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { iv: toBase64(iv), cipher: toBase64(new Uint8Array(cipher)) };
+};
+
+// Échoue (OperationError) si la clé ne correspond pas : AES-GCM authentifie le contenu
+export const decryptText = async (key: CryptoKey, value: EncryptedValue) => {
+  const plain = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(value.iv) }, key, fromBase64(value.cipher));
+  return new TextDecoder().decode(plain);
+};
+
+// --- SESSION ---
+
+type Session = { key: CryptoKey, values: Map<StorageKey, string | null> };
+
+let session: Session | null = null;
+
+// Les écritures chiffrées s'enchaînent : la dernière arrivée est la dernière écrite.
+// Activer, désactiver ou changer le code ouvre une nouvelle époque ; les écritures
+// d'une époque passée sont abandonnées (verrouiller ne change pas d'époque).
+let writes: Promise<void> = Promise.resolve();
+let epoch = 0;
+
+const persist = (key: CryptoKey, storageKey: StorageKey, raw: string | null) => {
+  const writeEpoch = epoch;
+  writes = writes
+    .then(async () => {
+      if (raw === null) {
+        if (writeEpoch === epoch) window.localStorage.removeItem(storageKey);
+        return;
+      }
+      const value = await encryptText(key, raw);
+      if (writeEpoch === epoch) window.localStorage.setItem(storageKey, JSON.stringify({ encrypted: true, ...value }));
+    })
+    .catch(error => console.error(error));
+};
+
+const layer: SecureLayer = {
+  keys: ENCRYPTED_KEYS,
+  read: key => (session ? session.values.get(key) ?? null : null),
+  write: (key, raw) => {
+    if (!session) throw new Error(`[lock] ${key}: données verrouillées`);
+    session.values.set(key, raw);
+    persist(session.key, key, raw);
+  },
+};
+
+// Attend que toutes les écritures chiffrées soient dans le localStorage
+export const flushWrites = () => writes;
+
+export const getLockSettings = (): LockSettings | null => loadValue('pilot_lock');
+
+export const isUnlocked = () => session !== null;
+
+// Au démarrage : verrou actif => couche chiffrée installée, app verrouillée
+export const initLock = () => {
+  const settings = getLockSettings();
+  session = null;
+  setSecureLayer(settings ? layer : null);
+  return settings;
+};
+
+export const unlock = async (secret: string) => {
+  const settings = getLockSettings();
+  if (!settings) return;
+  const key = await deriveKey(secret, settings.salt, settings.iterations);
+  try {
+    if (await decryptText(key, settings.check) !== CHECK_TEXT) throw new Error('check');
+  } catch (error) {
+    throw new Error('[lock] code incorrect');
+  }
+
+  const values = new Map<StorageKey, string | null>();
+  for (const storageKey of ENCRYPTED_KEYS) {
+    const raw = window.localStorage.getItem(storageKey);
+    let parsed = null;
+    try {
+      parsed = raw === null ? null : JSON.parse(raw);
+    } catch (error) {
+      // JSON abîmé : storage.ts le mettra de côté à la lecture
+    }
+    // Une valeur restée en clair (activation interrompue) sera chiffrée à la prochaine écriture ;
+    // une valeur indéchiffrable reste telle quelle et storage.ts la met de côté
+    try {
+      values.set(storageKey, isEncryptedValue(parsed) ? await decryptText(key, parsed) : raw);
+    } catch (error) {
+      values.set(storageKey, raw);
+    }
+  }
+  session = { key, values };
+  setSecureLayer(layer);
+};
+
+export const lock = () => {
+  session = null;
+};
+
+// Active le verrou ou change le code : tout est rechiffré avec une nouvelle clé
+export const enableLock = async (secret: string, autoLockMinutes: number = DEFAULT_AUTO_LOCK_MINUTES) => {
+  const salt = toBase64(randomBytes(16));
+  const key = await deriveKey(secret, salt, PBKDF2_ITERATIONS);
+  const settings: LockSettings = {
+    salt,
+    iterations: PBKDF2_ITERATIONS,
+    check: await encryptText(key, CHECK_TEXT),
+    autoLockMinutes,
+  };
+
+  const values = new Map<StorageKey, string | null>();
+  ENCRYPTED_KEYS.forEach(storageKey => {
+    values.set(storageKey, session ? session.values.get(storageKey) ?? null : window.localStorage.getItem(storageKey));
+  });
+
+  epoch += 1;
+  session = { key, values };
+  setSecureLayer(layer);
+  saveValue('pilot_lock', settings);
+  values.forEach((raw, storageKey) => persist(key, storageKey, raw));
+  await writes;
+  return settings;
+};
+
+// Retire le verrou : les valeurs du cache sont réécrites en clair
+export const disableLock = () => {
+  if (!session) throw new Error('[lock] déverrouiller avant de retirer le verrou');
+  const values = session.values;
+  epoch += 1;
+  session = null;
+  setSecureLayer(null);
+  values.forEach((raw, storageKey) => {
+    if (raw === null) window.localStorage.removeItem(storageKey);
+    else window.localStorage.setItem(storageKey, raw);
+  });
+  window.localStorage.removeItem('pilot_lock');
+};
+
+// Code oublié : les données chiffrées sont perdues, l'app repart de zéro
+export const resetLock = () => {
+  epoch += 1;
+  session = null;
+  setSecureLayer(null);
+  [...ENCRYPTED_KEYS, 'pilot_lock'].forEach(storageKey => window.localStorage.removeItem(storageKey));
+};
+
+export const setAutoLockMinutes = (autoLockMinutes: number) => {
+  const settings = getLockSettings();
+  if (!settings) return null;
+  const next = { ...settings, autoLockMinutes };
+  saveValue('pilot_lock', next);
+  return next;
+};
@@ -0,0 +1,40 @@
+import { computeLogMetrics, activityScore, longestStreak } from './metrics';
+import { fromDayKey, addDays } from './dates';
+
+const TODAY = '2024-03-20';
+
+// Une entrée à midi pour chaque jour donné
+const logsOn = (...days: string[]) => days.map(day => {
+  const d = fromDayKey(day);
+  d.setHours(12);
+  return { date: d.toISOString() };
+});
+
+test('counts a burst of entries on one day as a single active day', () => {
+  const metrics = computeLogMetrics(logsOn(...Array(10).fill(TODAY)), TODAY);
+  expect(metrics.activeDays).toBe(1);
+  expect(metrics.currentStreak).toBe(1);
+  expect(metrics.activityScore).toBe(activityScore([TODAY], TODAY));
+});
+
+test('keeps the current streak alive until the end of today', () => {
+  const metrics = computeLogMetrics(logsOn('2024-03-17', '2024-03-18', '2024-03-19'), TODAY);
+  expect(metrics.currentStreak).toBe(3);
+  expect(computeLogMetrics(logsOn('2024-03-17', '2024-03-18'), TODAY).currentStreak).toBe(0);
+});
+
+test('finds the longest streak across gaps', () => {
+  expect(longestStreak(['2024-02-28', '2024-02-29', '2024-03-01', '2024-03-05'])).toBe(3);
+  expect(longestStreak([])).toBe(0);
+});
+
+test('averages entries per week over the last four weeks', () => {
+  const metrics = computeLogMetrics(logsOn(TODAY, TODAY, '2024-03-10', '2024-01-01'), TODAY);
+  expect(metrics.perWeek).toBe(0.75);
+});
+
+test('weights recent activity more than old activity', () => {
+  expect(activityScore(['2024-03-19'], TODAY)).toBeGreaterThan(activityScore(['2024-03-01'], TODAY));
+  const everyDay = Array.from({ length: 28 }, (_, i) => addDays(TODAY, -i));
+  expect(activityScore(everyDay, TODAY)).toBeCloseTo(1);
+});
@@ -0,0 +1,85 @@
+// --- +1% LOG METRICS ---
+//
+// Mesures de régularité calculées sur les jours actifs (au moins une entrée
+// dans la journée) : dix entrées saisies le même après-midi comptent pour un
+// seul jour, pas pour dix.
+
+import { toDayKey, addDays, isoToDayKey } from './dates';
+
+type DatedEntry = { date: string };
+
+export type LogMetrics = {
+  activeDays: number;
+  currentStreak: number;
+  longestStreak: number;
+  perWeek: number;
+  activityScore: number; // 0..1
+};
+
+// Un jour d'activité perd la moitié de son poids tous les HALF_LIFE_DAYS jours
+export const HALF_LIFE_DAYS = 7;
+export const ACTIVITY_WINDOW_DAYS = 28;
+export const PER_WEEK_WINDOW = 4;
+
+// Moyenne ; 0 pour une liste vide
+export const mean = (values: number[]) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+// Jours actifs distincts, triés
+export const activeDayKeys = (logs: DatedEntry[]) =>
+  Array.from(new Set(logs.map(log => isoToDayKey(log.date)).filter((day): day is string => day !== null))).sort();
+
+// La série reste en cours tant que la veille est cochée : aujourd'hui n'est pas encore fini
+export const currentStreak = (days: string[], today: string = toDayKey()) => {
+  const set = new Set(days);
+  let cursor = set.has(today) ? today : addDays(today, -1);
+  let streak = 0;
+  while (set.has(cursor)) {
+    streak += 1;
+    cursor = addDays(cursor, -1);
+  }
+  return streak;
+};
+
+export const longestStreak = (days: string[]) => {
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, i) => {
+    run = i > 0 && addDays(days[i - 1], 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  return longest;
+};
+
+// Moyenne d'entrées par semaine sur les PER_WEEK_WINDOW dernières semaines
+export const entriesPerWeek = (logs: DatedEntry[], today: string = toDayKey()) => {
+  const since = addDays(today, -(PER_WEEK_WINDOW * 7 - 1));
+  const recent = logs.filter(log => {
+    const day = isoToDayKey(log.date);
+    return day !== null && day >= since && day <= today;
+  });
+  return recent.length / PER_WEEK_WINDOW;
+};
+
+// Score d'activité pondéré par l'ancienneté, ramené entre 0 (rien) et 1 (un jour actif
+// chaque jour sur toute la fenêtre)
+export const activityScore = (days: string[], today: string = toDayKey()) => {
+  let score = 0;
+  let max = 0;
+  for (let age = 0; age < ACTIVITY_WINDOW_DAYS; age++) {
+    const weight = Math.pow(0.5, age / HALF_LIFE_DAYS);
+    max += weight;
+    if (days.includes(addDays(today, -age))) score += weight;
+  }
+  return score / max;
+};
+
+export const computeLogMetrics = (logs: DatedEntry[], today: string = toDayKey()): LogMetrics => {
+  const days = activeDayKeys(logs);
+  return {
+    activeDays: days.length,
+    currentStreak: currentStreak(days, today),
+    longestStreak: longestStreak(days),
+    perWeek: entriesPerWeek(logs, today),
+    activityScore: activityScore(days, today),
+  };
+};
@@ -0,0 +1,97 @@
+// --- NOTIFICATIONS ---
+//
+// Affichage des rappels par le système quand c'est possible. Les rappels à
+// venir sont programmés dans le service worker (Notification Triggers) là où
+// le navigateur le permet ; sinon l'app les affiche en bannière à la réouverture.
+
+import { type Reminder } from './reminders';
+
+export type NotificationStatus = 'unsupported' | 'default' | 'granted' | 'denied';
+
+const TAG_PREFIX = 'pilot-reminder-';
+
+// Notification Triggers : API expérimentale, absente des types du DOM
+declare global {
+  interface Window {
+    TimestampTrigger: new (timestamp: number) => object;
+  }
+  interface NotificationOptions {
+    showTrigger?: object;
+  }
+  interface GetNotificationOptions {
+    includeTriggered?: boolean;
+  }
+}
+
+export const notificationStatus = (): NotificationStatus =>
+  typeof window !== 'undefined' && 'Notification' in window ? window.Notification.permission : 'unsupported';
+
+export const requestNotificationPermission = async (): Promise<NotificationStatus> => {
+  if (notificationStatus() === 'unsupported') return 'unsupported';
+  return window.Notification.requestPermission();
+};
+
+// Programmation différée par le service worker (Chrome, derrière un flag)
+export const canScheduleNotifications = () =>
+  notificationStatus() === 'granted' &&
+  'serviceWorker' in navigator &&
+  'showTrigger' in window.Notification.prototype &&
+  'TimestampTrigger' in window;
+
+const getRegistration = async () => {
+  if (!('serviceWorker' in navigator)) return null;
+  return (await navigator.serviceWorker.getRegistration()) || null;
+};
+
+const options = (reminder: Reminder) => ({
+  body: reminder.body,
+  tag: `${TAG_PREFIX}${reminder.id}`,
+  icon: `${process.env.PUBLIC_URL || ''}/logo192.png`,
+});
+
+// Renvoie false si le rappel doit être affiché dans l'app à la place
+export const showSystemNotification = async (reminder: Reminder) => {
+  if (notificationStatus() !== 'granted') return false;
+  try {
+    const registration = await getRegistration();
+    if (registration) {
+      await registration.showNotification(reminder.title, options(reminder));
+    } else {
+      new window.Notification(reminder.title, options(reminder));
+    }
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Confie les rappels à venir au service worker ; false si non disponible ou
+// refusé (permission retirée, déclencheur non pris en charge) : l'app les
+// affichera alors en bannière
+export const scheduleNotifications = async (reminders: Reminder[]) => {
+  if (!canScheduleNotifications()) return false;
+  try {
+    const registration = await getRegistration();
+    if (!registration) return false;
+    await Promise.all(reminders.map(reminder => registration.showNotification(reminder.title, {
+      ...options(reminder),
+      showTrigger: new window.TimestampTrigger(reminder.at.getTime()),
+    })));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Annule les rappels programmés pas encore affichés ; sans effet en cas d'échec
+export const cancelScheduledNotifications = async () => {
+  if (!canScheduleNotifications()) return;
+  try {
+    const registration = await getRegistration();
+    if (!registration) return;
+    const pending = await registration.getNotifications({ includeTriggered: true });
+    pending.filter(n => n.tag.startsWith(TAG_PREFIX)).forEach(n => n.close());
+  } catch (error) {
+    console.error(error);
+  }
+};
@@ -0,0 +1,241 @@
+// --- PAGE 2: ASCENSION (Module B) ---
+
+import { useState } from 'react';
+import { Mountain, Plus, Trash2, Check } from 'lucide-react';
+import { toDayKey, addDays, weekStartKey, weekdayInitials, fromDayKey } from '../dates';
+import {
+  GOAL_STATUSES, CARABINER_WINDOW_DAYS, getSelectedGoal, daysUntil, formatCountdown,
+  isConfigured, isChecked, toggleCheck, carabinerRate,
+  type Goal, type GoalsState
+} from '../goals';
+import { dateLocale } from '../i18n';
+import { type CarabinerKey } from '../types';
+import { useI18n } from '../hooks/useI18n';
+import { Header, Card, DASHBOARD_GRID } from '../components/ui';
+import { CARABINERS } from '../components/LogEntries';
+
+const countdownClass = (deadline: string) => {
+  const days = daysUntil(deadline);
+  if (days === null) return 'text-slate-500';
+  if (days < 0) return 'text-red-400';
+  if (days <= 7) return 'text-orange-400';
+  return 'text-emerald-400';
+};
+
+const GoalChip = ({ goal, selected, onSelect }: { goal: Goal, selected: boolean, onSelect: () => void }) => {
+  const { t, locale } = useI18n();
+  return (
+    <button
+      onClick={onSelect}
+      className={`shrink-0 px-3 py-1.5 rounded-xl border text-left transition-colors ${selected ? 'border-emerald-500 bg-emerald-500/10' : 'border-slate-700 bg-slate-800'}`}
+    >
+      <span className={`block text-xs font-bold max-w-[8rem] truncate ${goal.status === 'active' ? 'text-white' : 'text-slate-500 line-through'}`}>{goal.title || t('common.untitled')}</span>
+      <span className={`block text-[10px] font-mono ${goal.status === 'active' ? countdownClass(goal.deadline) : 'text-slate-600'}`}>
+        {goal.status === 'active' ? formatCountdown(goal.deadline, toDayKey(), locale) : t(`goals.status.${goal.status}`)}
+      </span>
+    </button>
+  );
+};
+
+// Taux de complétion affiché à côté de celui compté dans l'impact
+const LONG_RATE_DAYS = 28;
+
+// Semaine en cours (lundi -> dimanche) : les jours passés se cochent après coup
+const CarabinerWeek = ({
+    goal,
+    carabiner,
+    today,
+    onToggle
+}: {
+    goal: Goal,
+    carabiner: typeof CARABINERS[number],
+    today: string,
+    onToggle: (day: string) => void
+}) => {
+  const { t, locale } = useI18n();
+  const monday = weekStartKey(today);
+  const initials = weekdayInitials(locale);
+  return (
+    <div className="mt-3 flex items-center gap-3">
+      <div className="flex gap-1">
+        {initials.map((initial, i) => {
+          const day = addDays(monday, i);
+          const checked = isChecked(goal, carabiner.key, day);
+          return (
+            <button
+              key={day}
+              onClick={() => onToggle(day)}
+              disabled={day > today}
+              aria-pressed={checked}
+              title={fromDayKey(day).toLocaleDateString(dateLocale(locale), { weekday: 'long', day: 'numeric', month: 'long' })}
+              className={`w-6 h-6 rounded-md text-[10px] font-bold transition-colors disabled:opacity-30 ${checked ? `${carabiner.bg} ${carabiner.text}` : 'bg-slate-900 text-slate-600'} ${day === today ? 'ring-1 ring-slate-500' : ''}`}
+            >
+              {initial}
+            </button>
+          );
+        })}
+      </div>
+      <span className="text-[10px] font-mono text-slate-400">
+        {t('carabiners.rates', {
+          short: CARABINER_WINDOW_DAYS,
+          shortRate: Math.round(carabinerRate(goal, carabiner.key, today, CARABINER_WINDOW_DAYS) * 100),
+          long: LONG_RATE_DAYS,
+          longRate: Math.round(carabinerRate(goal, carabiner.key, today, LONG_RATE_DAYS) * 100),
+        })}
+      </span>
+    </div>
+  );
+};
+
+export const PageAscension = ({
+    data,
+    selectGoal,
+    addGoal,
+    updateGoal,
+    deleteGoal
+}: {
+    data: GoalsState,
+    selectGoal: (id: number) => void,
+    addGoal: () => void,
+    updateGoal: (id: number, changes: Partial<Goal>) => void,
+    deleteGoal: (id: number) => void
+}) => {
+  const { t, locale } = useI18n();
+  const [showArchived, setShowArchived] = useState(false);
+  const goal = getSelectedGoal(data);
+  const activeGoals = data.goals.filter(g => g.status === 'active');
+  const archivedGoals = data.goals.filter(g => g.status !== 'active');
+  const today = toDayKey();
+
+  const toggle = (key: CarabinerKey, day: string) => {
+    if (goal) updateGoal(goal.id, { checks: toggleCheck(goal.checks, key, day) });
+  };
+
+  return (
+    <div className={`space-y-4 ${DASHBOARD_GRID} animate-in fade-in slide-in-from-bottom-4 duration-500`}>
+      <Header title={t('goals.title')} subtitle={t('goals.subtitle')} />
+
+      <div className="flex gap-2 overflow-x-auto pb-1 scrollbar-hide lg:dashboard:col-span-2">
+        {activeGoals.map(g => (
+          <GoalChip key={g.id} goal={g} selected={goal !== null && g.id === goal.id} onSelect={() => selectGoal(g.id)} />
+        ))}
+        <button
+          onClick={addGoal}
+          className="shrink-0 px-3 rounded-xl border border-dashed border-slate-600 text-slate-400 hover:text-emerald-400 hover:border-emerald-500 flex items-center gap-1 text-xs"
+        >
+          <Plus size={14} /> {t('goals.add')}
+        </button>
+      </div>
+
+      {archivedGoals.length > 0 && (
+        <div className="lg:dashboard:col-span-2">
+          <button onClick={() => setShowArchived(v => !v)} className="text-[10px] font-bold text-slate-500 uppercase">
+            {t('goals.archived', { count: archivedGoals.length })} {showArchived ? '▴' : '▾'}
+          </button>
+          {showArchived && (
+            <div className="flex gap-2 overflow-x-auto pt-2 pb-1 scrollbar-hide">
+              {archivedGoals.map(g => (
+                <GoalChip key={g.id} goal={g} selected={goal !== null && g.id === goal.id} onSelect={() => selectGoal(g.id)} />
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {!goal ? (
+        <Card className="text-center lg:dashboard:col-span-2">
+          <Mountain size={28} className="mx-auto text-slate-600 mb-2" />
+          <p className="text-sm text-slate-400 mb-4">{t('goals.empty')}</p>
+          <button onClick={addGoal} className="bg-emerald-600 hover:bg-emerald-500 text-white text-sm font-bold px-4 py-2 rounded-lg transition-colors">
+            {t('goals.create')}
+          </button>
+        </Card>
+      ) : (
+        <>
+        <Card className="bg-gradient-to-br from-slate-800 to-slate-900 border-slate-700">
+          <div className="flex gap-4">
+              <div className="flex-1">
+                  <label className="text-[10px] font-bold text-emerald-400 uppercase tracking-wider">{t('goals.summit')}</label>
+                  <input 
+                      type="text" 
+                      value={goal.title}
+                      onChange={(e) => updateGoal(goal.id, { title: e.target.value })}
+                      placeholder={t('goals.titlePlaceholder')}
+                      className="w-full bg-transparent border-b border-emerald-500/50 text-xl font-black text-white focus:outline-none focus:border-emerald-500 mt-1 placeholder:text-slate-600"
+                  />
+              </div>
+              <div className="w-32">
+                  <label className="text-[10px] font-bold text-slate-500 uppercase tracking-wider">{t('goals.deadline')}</label>
+                  <input 
+                      type="date" 
+                      value={goal.deadline}
+                      onChange={(e) => updateGoal(goal.id, { deadline: e.target.value })}
+                      className="w-full bg-transparent border-b border-slate-600 text-right text-sm font-mono text-slate-300 focus:outline-none focus:border-emerald-500 mt-1 [color-scheme:dark]"
+                  />
+                  <div className={`text-right text-xs font-mono font-bold mt-1 ${countdownClass(goal.deadline)}`}>{formatCountdown(goal.deadline, toDayKey(), locale)}</div>
+              </div>
+          </div>
+
+          <div className="flex items-center justify-between mt-4">
+              <div className="flex bg-slate-900 rounded-lg p-0.5 text-[10px] font-bold">
+                  {GOAL_STATUSES.map(status => (
+                      <button
+                          key={status}
+                          onClick={() => updateGoal(goal.id, { status })}
+                          className={`px-2 py-1 rounded-md transition-colors ${goal.status === status ? 'bg-slate-700 text-white' : 'text-slate-500'}`}
+                      >
+                          {t(`goals.status.${status}`)}
+                      </button>
+                  ))}
+              </div>
+              <button onClick={() => deleteGoal(goal.id)} className="text-slate-600 hover:text-red-400 p-1" title={t('goals.delete')}>
+                  <Trash2 size={14} />
+              </button>
+          </div>
+        </Card>
+
+        <div className="space-y-3">
+          <h3 className="text-xs font-bold text-slate-500 uppercase ml-1 mb-2">{t('goals.carabiners')}</h3>
+
+          {CARABINERS.map(c => {
+            const configured = isConfigured(goal, c.key);
+            const checkedToday = isChecked(goal, c.key, today);
+            return (
+              <div key={c.key} className="bg-slate-800 border border-slate-700 rounded-xl p-3">
+                <div className="flex items-center gap-3">
+                  <div className={`${c.bg} p-2 rounded-lg ${c.text}`}>
+                    <c.icon size={18} />
+                  </div>
+                  <div className="flex-1">
+                    <label className={`text-[10px] font-bold ${c.text}`}>{t(`carabiners.long.${c.key}`)}</label>
+                    <input
+                        type="text"
+                        value={goal[c.key]}
+                        onChange={(e) => updateGoal(goal.id, { [c.key]: e.target.value })}
+                        placeholder={t(`carabiners.placeholder.${c.key}`)}
+                        className="w-full bg-transparent text-sm text-white placeholder:text-slate-600 focus:outline-none"
+                    />
+                  </div>
+                  <button
+                    onClick={() => toggle(c.key, today)}
+                    disabled={!configured}
+                    aria-pressed={checkedToday}
+                    title={t('carabiners.checkToday', { name: t(`carabiners.${c.key}`) })}
+                    className={`p-2 rounded-lg border transition-colors disabled:opacity-30 ${checkedToday ? `${c.bg} ${c.text} border-transparent` : 'border-slate-600 text-slate-600 hover:text-white'}`}
+                  >
+                    <Check size={18} />
+                  </button>
+                </div>
+                {configured && (
+                  <CarabinerWeek goal={goal} carabiner={c} today={today} onToggle={(day) => toggle(c.key, day)} />
+                )}
+              </div>
+            );
+          })}
+          <p className="text-[10px] text-slate-500 ml-1">{t('carabiners.scoreHint', { days: CARABINER_WINDOW_DAYS })}</p>
+        </div>
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,218 @@
+// --- PAGE 3: COCKPIT (Module C) ---
+
+import { useState, useEffect, useMemo } from 'react';
+import { ShieldAlert, Plus, History, Trash2, CalendarDays } from 'lucide-react';
+import { isoToDayKey } from '../dates';
+import { type Goal } from '../goals';
+import { summarizeCrisisLog, type CrisisPlan, type CrisisSession } from '../crisis';
+import { type CarabinerKey, type LogEntry } from '../types';
+import { useI18n } from '../hooks/useI18n';
+import { Header, Card, DASHBOARD_GRID } from '../components/ui';
+import { LogCalendar } from '../components/LogCalendar';
+import { UNDO_DELAY_MS, CARABINERS, CategoryPicker, LogRow } from '../components/LogEntries';
+import { CrisisProtocol } from '../components/CrisisProtocol';
+import { CrisisPlanEditor } from '../components/CrisisPlanEditor';
+
+export const PageCockpit = ({ 
+    logs, 
+    goal,
+    addLog, 
+    updateLog,
+    deleteLog,
+    restoreLog,
+    clearLogs,
+    crisisData, 
+    updateCrisis,
+    crisisLog,
+    logCrisisSession,
+    crisisMode,
+    setCrisisMode
+}: { 
+    logs: LogEntry[], 
+    goal: Goal,
+    addLog: (val: string, category?: CarabinerKey) => void,
+    updateLog: (id: number, changes: Partial<LogEntry>) => void,
+    deleteLog: (id: number) => void,
+    restoreLog: (entry: LogEntry) => void,
+    clearLogs: () => void,
+    crisisData: CrisisPlan,
+    updateCrisis: (changes: Partial<CrisisPlan>) => void,
+    crisisLog: CrisisSession[],
+    logCrisisSession: (session: CrisisSession) => void,
+    crisisMode: boolean, // suit l'URL (#/cockpit/sos)
+    setCrisisMode: (open: boolean) => void
+}) => {
+  const { t } = useI18n();
+  const crisisStats = useMemo(() => summarizeCrisisLog(crisisLog), [crisisLog]);
+  const [newLog, setNewLog] = useState("");
+  const [newCategory, setNewCategory] = useState<CarabinerKey | undefined>(undefined);
+  const [historyView, setHistoryView] = useState<'list' | 'calendar'>('list');
+  const [selectedDay, setSelectedDay] = useState<string | null>(null);
+  const [categoryFilter, setCategoryFilter] = useState<CarabinerKey | 'all'>('all');
+  // Suppressions récentes, la dernière en fin de pile : "Annuler" les rétablit
+  // une à une. Le bandeau disparaît quelques secondes après la dernière.
+  const [deleted, setDeleted] = useState<LogEntry[]>([]);
+
+  useEffect(() => {
+    if (!deleted.length) return;
+    const timer = setTimeout(() => setDeleted([]), UNDO_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [deleted]);
+
+  const categoryCounts = useMemo(() => {
+    const counts: { [k: string]: number } = {};
+    CARABINERS.forEach(c => { counts[c.key] = logs.filter(log => log.category === c.key).length; });
+    return counts;
+  }, [logs]);
+
+  // Plus récentes en premier ; en vue calendrier, seulement le jour choisi
+  const visibleLogs = useMemo(() => logs
+    .filter(log => historyView === 'list' || !selectedDay || isoToDayKey(log.date) === selectedDay)
+    .filter(log => categoryFilter === 'all' || log.category === categoryFilter)
+    .sort((a, b) => b.id - a.id), [logs, historyView, selectedDay, categoryFilter]);
+
+  const handleAddLog = () => {
+    if(newLog.trim()) {
+        addLog(newLog, newCategory);
+        setNewLog("");
+    }
+  };
+
+  const handleDelete = (log: LogEntry) => {
+    deleteLog(log.id);
+    setDeleted(prev => [...prev, log]);
+  };
+
+  const handleUndo = () => {
+    const last = deleted[deleted.length - 1];
+    if (last) restoreLog(last);
+    setDeleted(prev => prev.slice(0, -1));
+  };
+
+  return (
+    <div className={`space-y-5 ${DASHBOARD_GRID} animate-in fade-in slide-in-from-bottom-4 duration-500`}>
+      <Header title={t('crisis.title')} subtitle={t('crisis.subtitle')} />
+
+      <div className="space-y-5">
+      {!crisisMode ? (
+        <button 
+          onClick={() => setCrisisMode(true)}
+          className="w-full py-8 bg-gradient-to-b from-red-900 to-red-950 rounded-2xl border border-red-800/50 active:scale-95 transition-all flex items-center justify-center gap-4 group"
+        >
+          <div className="bg-red-600 p-3 rounded-full animate-pulse group-hover:scale-110 transition-transform">
+             <ShieldAlert size={24} className="text-white" />
+          </div>
+          <div className="text-left">
+            <span className="block text-xl font-black text-red-100 tracking-wider">{t('crisis.sos')}</span>
+            <span className="text-red-400 text-xs">{t('crisis.sosSubtitle')}</span>
+          </div>
+        </button>
+      ) : (
+        <CrisisProtocol
+          crisisData={crisisData}
+          goal={goal}
+          onLog={logCrisisSession}
+          onClose={() => setCrisisMode(false)}
+        />
+      )}
+
+      {!crisisMode && crisisStats.total > 0 && (
+        <p className="text-[10px] text-slate-500 text-center -mt-2">
+          {t('crisis.stats', { last30Days: crisisStats.last30Days, total: crisisStats.total })}
+          {crisisStats.averageRelief !== null && t('crisis.relief', {
+            value: `${crisisStats.averageRelief >= 0 ? '-' : '+'}${Math.abs(crisisStats.averageRelief).toFixed(1)}`,
+          })}
+        </p>
+      )}
+
+      {!crisisMode && <CrisisPlanEditor crisisData={crisisData} updateCrisis={updateCrisis} />}
+      </div>
+
+      <Card>
+        <div className="flex items-center justify-between mb-3">
+             <h3 className="text-sm font-bold text-white flex items-center gap-2">
+                <History size={16} className="text-sky-400"/> {t('log.history')}
+             </h3>
+             <div className="flex items-center gap-2">
+                <button
+                    onClick={() => setHistoryView(v => v === 'list' ? 'calendar' : 'list')}
+                    className={`p-1 ${historyView === 'calendar' ? 'text-sky-400' : 'text-slate-600 hover:text-slate-300'}`}
+                    title={historyView === 'list' ? t('log.calendarView') : t('log.listView')}
+                >
+                    <CalendarDays size={14} />
+                </button>
+                <span className="text-xs bg-sky-900 text-sky-200 px-2 py-0.5 rounded-full">{t('log.entries', { count: logs.length })}</span>
+                {logs.length > 0 && (
+                    <button onClick={clearLogs} title={t('log.clear')} className="text-slate-600 hover:text-red-400 p-1">
+                        <Trash2 size={14} />
+                    </button>
+                )}
+             </div>
+        </div>
+        
+        <div className="flex gap-2 mb-2">
+            <input 
+                type="text" 
+                value={newLog}
+                onChange={(e) => setNewLog(e.target.value)}
+                placeholder={t('log.placeholder')}
+                className="flex-1 bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white focus:border-sky-500 outline-none"
+            />
+            <button 
+                onClick={handleAddLog}
+                title={t('log.add')}
+                className="bg-sky-600 hover:bg-sky-500 text-white p-2 rounded-lg transition-colors"
+            >
+                <Plus size={20} />
+            </button>
+        </div>
+        <div className="flex items-center gap-2 mb-4">
+            <span className="text-[10px] text-slate-500 uppercase font-bold">{t('log.carabiner')}</span>
+            <CategoryPicker value={newCategory} onChange={setNewCategory} />
+        </div>
+
+        <div className="flex flex-wrap gap-1.5 mb-3">
+            <button
+                onClick={() => setCategoryFilter('all')}
+                className={`text-[10px] px-2 py-0.5 rounded-full border ${categoryFilter === 'all' ? 'border-sky-500 text-sky-300' : 'border-slate-700 text-slate-500'}`}
+            >
+                {t('log.all')}
+            </button>
+            {CARABINERS.map(c => (
+                <button
+                    key={c.key}
+                    onClick={() => setCategoryFilter(categoryFilter === c.key ? 'all' : c.key)}
+                    title={goal[c.key] || t(`carabiners.${c.key}`)}
+                    className={`text-[10px] px-2 py-0.5 rounded-full border flex items-center gap-1 ${categoryFilter === c.key ? `border-current ${c.text}` : 'border-slate-700 text-slate-500'}`}
+                >
+                    <c.icon size={10} />
+                    <span className="max-w-[6rem] truncate">{goal[c.key] || t(`carabiners.${c.key}`)}</span>
+                    <span className="font-mono">{categoryCounts[c.key]}</span>
+                </button>
+            ))}
+        </div>
+
+        {historyView === 'calendar' && <LogCalendar logs={logs} selectedDay={selectedDay} onSelectDay={setSelectedDay} />}
+
+        <div className="space-y-2 max-h-40 overflow-y-auto pr-1 scrollbar-thin scrollbar-thumb-slate-700">
+            {visibleLogs.length === 0 && <p className="text-xs text-slate-500 italic text-center py-2">{t('log.empty')}</p>}
+            {visibleLogs.map((log) => (
+                <LogRow
+                    key={log.id}
+                    log={log}
+                    onSave={(changes) => updateLog(log.id, changes)}
+                    onDelete={() => handleDelete(log)}
+                />
+            ))}
+        </div>
+
+        {deleted.length > 0 && (
+            <div className="mt-3 flex items-center justify-between bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-xs">
+                <span className="text-slate-400 truncate">{t('log.deleted', { count: deleted.length })}</span>
+                <button onClick={handleUndo} className="text-sky-400 font-bold shrink-0 ml-3">{t('common.cancel')}</button>
+            </div>
+        )}
+      </Card>
+    </div>
+  );
+};
@@ -0,0 +1,140 @@
+// --- PAGE 4: MISSION (Module D) ---
+
+import { useMemo } from 'react';
+import { Target, CheckCircle2, Flag } from 'lucide-react';
+import { type LogMetrics } from '../metrics';
+import { EMPTY_GOAL, getSelectedGoal, goalScoringInput, type GoalsState } from '../goals';
+import { isFlightAuthorized, explainMatrix, type ScoringConfig } from '../scoring';
+import { type RadarState, type TrajectoryPoint } from '../types';
+import { useI18n } from '../hooks/useI18n';
+import { Header, Card, DASHBOARD_GRID } from '../components/ui';
+import { ScoreBreakdown } from '../components/ScoreBreakdown';
+import {
+  TRAJECTORY_DAYS, toMatrixPercent, formatDayKey, MatrixTrail
+} from '../components/MatrixTrail';
+
+export const PageMission = ({ 
+    radar, 
+    goals, 
+    selectGoal,
+    logMetrics,
+    scoring,
+    trajectory
+}: { 
+    radar: RadarState, 
+    goals: GoalsState, 
+    selectGoal: (id: number) => void,
+    logMetrics: LogMetrics,
+    scoring: ScoringConfig,
+    trajectory: TrajectoryPoint[]
+}) => {
+  const { t, locale } = useI18n();
+  const goal = getSelectedGoal(goals) || EMPTY_GOAL;
+  const activeGoals = goals.goals.filter(g => g.status === 'active');
+
+  const explanation = useMemo(() => explainMatrix(radar, goalScoringInput(goal), logMetrics, scoring), [radar, goal, logMetrics, scoring]);
+
+  const { x, y } = explanation;
+
+  const trail = useMemo(() => trajectory.slice(-TRAJECTORY_DAYS), [trajectory]);
+  const firstInZone = useMemo(() => trajectory.find(p => isFlightAuthorized(p, scoring)) || null, [trajectory, scoring]);
+
+  return (
+    <div className={`space-y-4 ${DASHBOARD_GRID} animate-in fade-in slide-in-from-bottom-4 duration-500`}>
+      <Header title={t('mission.title')} subtitle={t('mission.subtitle')} />
+
+      <div className="space-y-4">
+      <div className="flex items-center gap-2 bg-slate-800 border border-slate-700 rounded-xl px-3 py-2">
+        <Target size={14} className="text-emerald-400 shrink-0" />
+        {activeGoals.length === 0 ? (
+          <span className="text-xs text-slate-500 italic">{t('mission.noGoal')}</span>
+        ) : (
+          <select
+            value={goal.id}
+            onChange={(e) => selectGoal(Number(e.target.value))}
+            className="flex-1 bg-transparent text-sm font-bold text-white focus:outline-none"
+          >
+            {goal.status !== 'active' && goal.id !== EMPTY_GOAL.id && <option value={goal.id}>{goal.title || t('common.untitled')}</option>}
+            {activeGoals.map(g => <option key={g.id} value={g.id} className="bg-slate-900">{g.title || t('common.untitled')}</option>)}
+          </select>
+        )}
+      </div>
+
+      <Card className="aspect-square relative p-6 bg-slate-800 overflow-hidden">
+        <div className="absolute top-2 left-1/2 -translate-x-1/2 text-[10px] text-slate-400 tracking-widest uppercase font-bold">{t('mission.impactZone')}</div>
+        <div className="absolute left-2 top-1/2 -translate-y-1/2 -rotate-90 text-[10px] text-slate-400 tracking-widest uppercase font-bold">{t('mission.masteryLevel')}</div>
+        
+        <div className="w-full h-full border border-slate-600/50 bg-[linear-gradient(rgba(51,65,85,0.1)_1px,transparent_1px),linear-gradient(90deg,rgba(51,65,85,0.1)_1px,transparent_1px)] bg-[size:20px_20px] relative">
+            <div
+                className="absolute top-0 right-0 bg-emerald-500/10 border-l border-b border-emerald-500/30 flex items-center justify-center"
+                style={{ width: `${(10 - scoring.flightThreshold.x) * 10}%`, height: `${(10 - scoring.flightThreshold.y) * 10}%` }}
+            >
+                <span className="text-[10px] text-emerald-500/50 font-mono absolute top-2 right-2">{t('mission.gravity')}</span>
+            </div>
+
+            <MatrixTrail points={trail} firstInZone={firstInZone} />
+
+            <div 
+                className="absolute w-4 h-4 -ml-2 -mt-2 transition-all duration-1000 ease-out pointer-events-none"
+                style={{ 
+                    left: `${toMatrixPercent(x)}%`, 
+                    bottom: `${toMatrixPercent(y)}%` 
+                }}
+            >
+                <div className="animate-ping absolute h-full w-full rounded-full bg-white opacity-50"></div>
+                <div className="relative rounded-full h-full w-full bg-white shadow-[0_0_15px_white] border-2 border-slate-900"></div>
+            </div>
+        </div>
+      </Card>
+
+      {firstInZone && (
+        <p className="text-[10px] text-slate-500 flex items-center gap-1 -mt-2">
+          <Flag size={10} className="text-emerald-400" /> {t('mission.firstInZone', { date: formatDayKey(firstInZone.date, locale) })}
+        </p>
+      )}
+      </div>
+
+      <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div className="bg-slate-800 p-4 rounded-xl border-t-4 border-purple-500">
+          <div className="text-xs text-slate-400 mb-1">{t('mission.mastery')}</div>
+          <div className="flex items-baseline gap-2">
+            <div className="text-2xl font-mono font-bold text-white">{x.toFixed(1)}</div>
+            <div className="text-[10px] text-slate-500">/10</div>
+          </div>
+        </div>
+        <div className="bg-slate-800 p-4 rounded-xl border-t-4 border-sky-500">
+          <div className="text-xs text-slate-400 mb-1">{t('mission.impact')}</div>
+          <div className="flex items-baseline gap-2">
+            <div className="text-2xl font-mono font-bold text-white">{y.toFixed(1)}</div>
+            <div className="text-[10px] text-slate-500">/10</div>
+          </div>
+        </div>
+      </div>
+      
+      <div className="grid grid-cols-4 gap-2">
+        {[
+          { label: t('mission.streak'), value: logMetrics.currentStreak, unit: t('mission.dayUnit') },
+          { label: t('mission.record'), value: logMetrics.longestStreak, unit: t('mission.dayUnit') },
+          { label: t('mission.perWeek'), value: logMetrics.perWeek.toFixed(1), unit: '' },
+          { label: t('mission.activity'), value: Math.round(logMetrics.activityScore * 100), unit: '%' },
+        ].map(stat => (
+          <div key={stat.label} className="bg-slate-800 p-2 rounded-xl text-center">
+            <div className="text-[9px] text-slate-500 uppercase mb-0.5">{stat.label}</div>
+            <div className="text-sm font-mono font-bold text-white">{stat.value}<span className="text-[10px] text-slate-500">{stat.unit}</span></div>
+          </div>
+        ))}
+      </div>
+
+      {explanation.authorized && (
+        <div className="bg-emerald-900/30 border border-emerald-500/50 p-3 rounded-xl flex items-center gap-3 animate-pulse">
+            <CheckCircle2 className="text-emerald-400" size={20}/>
+            <div className="text-sm text-emerald-100 font-bold">{t('mission.authorized')}</div>
+        </div>
+      )}
+
+      <ScoreBreakdown explanation={explanation} scoring={scoring} />
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,121 @@
+// --- PAGE 1: RADAR (Module A) ---
+
+import { type ComponentType } from 'react';
+import {
+  Radar, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, ResponsiveContainer,
+  type PolarAngleAxisProps
+} from 'recharts';
+import { Activity } from 'lucide-react';
+import { analyzeSignal, sensorLabel, updateSensor, type FogLevel } from '../radar';
+import { type FogEpisode } from '../alerts';
+import { type RadarState, type RadarSnapshot } from '../types';
+import { useI18n } from '../hooks/useI18n';
+import { Header, Card, SliderControl, DASHBOARD_GRID } from '../components/ui';
+import { RadarTrend } from '../components/RadarTrend';
+import { SensorEditor } from '../components/SensorEditor';
+import { FogEpisodes } from '../components/FogEpisodes';
+
+// Les composants recharts sont typés comme renvoyant un ReactNode, ce que le
+// JSX de TypeScript 4 refuse pour PolarAngleAxis
+const AngleAxis = PolarAngleAxis as unknown as ComponentType<PolarAngleAxisProps>;
+
+// Couleurs de l'analyse pour chaque niveau de brouillard
+const SIGNAL_STYLES: Record<FogLevel, { color: string, borderColor: string }> = {
+  optimal: { color: "text-emerald-400", borderColor: "border-emerald-500" },
+  intermediate: { color: "text-orange-400", borderColor: "border-orange-500" },
+  critical: { color: "text-red-500", borderColor: "border-red-500" },
+};
+
+export const PageRadar = ({
+    data,
+    history,
+    episodes,
+    updateData
+}: {
+    data: RadarState,
+    history: RadarSnapshot[],
+    episodes: FogEpisode[],
+    updateData: (changes: Partial<RadarState>) => void
+}) => {
+  const { t } = useI18n();
+
+  // Le moi intérieur, puis un axe par capteur configuré
+  const chartData = [
+    { subject: t('radar.axis.inner'), A: data.inner, fullMark: 100 },
+    ...data.sensors.map(sensor => ({ subject: sensorLabel(sensor, t), A: sensor.value, fullMark: 100 })),
+  ];
+
+  const level = analyzeSignal(data.fog);
+  const analysis = {
+    ...SIGNAL_STYLES[level],
+    status: t(`radar.status.${level}`),
+    msg: t(`radar.message.${level}`),
+  };
+
+  return (
+    <div className={`space-y-4 ${DASHBOARD_GRID} animate-in fade-in slide-in-from-bottom-4 duration-500`}>
+      <Header title={t('radar.title')} subtitle={t('radar.subtitle')} />
+      
+      <Card className="relative overflow-hidden group">
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-slate-400 text-sm font-mono">{t('radar.fogDensity')}</span>
+          <span className={`font-bold animate-pulse ${analysis.color}`}>{analysis.status}</span>
+        </div>
+        <input 
+          type="range" min="0" max="100" value={data.fog} 
+          onChange={(e) => updateData({ fog: parseInt(e.target.value) })}
+          className="w-full h-4 bg-slate-900 rounded-full appearance-none cursor-pointer accent-slate-400 opacity-80 hover:opacity-100 transition-opacity"
+        />
+        <div className="mt-2 text-right text-3xl font-mono font-bold text-white">{data.fog}%</div>
+      </Card>
+
+      <Card>
+        <div className="h-48 mb-4">
+          <ResponsiveContainer width="100%" height="100%">
+            <RadarChart cx="50%" cy="50%" outerRadius="70%" data={chartData}>
+              <PolarGrid stroke="#334155" />
+              <AngleAxis dataKey="subject" tick={{ fill: '#94a3b8', fontSize: 10 }} />
+              <PolarRadiusAxis angle={30} domain={[0, 100]} tick={false} axisLine={false} />
+              <Radar name={t('radar.chartName')} dataKey="A" stroke="#38bdf8" strokeWidth={2} fill="#38bdf8" fillOpacity={0.3} />
+            </RadarChart>
+          </ResponsiveContainer>
+        </div>
+        
+        <div className="space-y-2 bg-black/20 p-3 rounded-xl border border-white/5">
+          <SliderControl
+            label={t('radar.innerLong')}
+            value={data.inner}
+            onChange={(v) => updateData({ inner: v })}
+            colorClass="accent-sky-500"
+          />
+
+          <div className="grid grid-cols-2 gap-x-4">
+            {data.sensors.map(sensor => (
+              <SliderControl
+                key={sensor.id}
+                label={sensorLabel(sensor, t)}
+                value={sensor.value}
+                onChange={(v) => updateData({ sensors: updateSensor(data.sensors, sensor.id, { value: v }) })}
+                colorClass="accent-red-400"
+              />
+            ))}
+          </div>
+
+          <SensorEditor sensors={data.sensors} onChange={(sensors) => updateData({ sensors })} />
+        </div>
+      </Card>
+
+      <div className={`bg-slate-800 border-l-4 rounded-r-xl p-4 flex gap-3 items-start ${analysis.borderColor}`}>
+        <Activity className="text-slate-400 shrink-0 mt-1" size={20} />
+        <div>
+          <h3 className={`font-bold text-sm mb-1 ${analysis.color}`}>{t('radar.analysis')}</h3>
+          <p className="text-xs text-slate-300 leading-relaxed">{analysis.msg}</p>
+        </div>
+      </div>
+
+      <RadarTrend history={history} sensors={data.sensors} />
+
+      <FogEpisodes episodes={episodes} />
+    </div>
+  );
+};
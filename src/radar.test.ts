@@ -0,0 +1,34 @@
+import { analyzeSignal, FOG_THRESHOLDS, createSensor, sensorLabel } from './radar';
+import { moveItem } from './lists';
+import { createTranslator } from './i18n';
+
+test('reads low fog as optimal, up to and including 30%', () => {
+  expect(analyzeSignal(0)).toBe('optimal');
+  expect(analyzeSignal(FOG_THRESHOLDS.optimal)).toBe('optimal');
+});
+
+test('reads medium fog as intermediate, from 31% to 70%', () => {
+  expect(analyzeSignal(31)).toBe('intermediate');
+  expect(analyzeSignal(FOG_THRESHOLDS.intermediate)).toBe('intermediate');
+});
+
+test('reads high fog as critical above 70%', () => {
+  expect(analyzeSignal(71)).toBe('critical');
+  expect(analyzeSignal(100)).toBe('critical');
+});
+
+test('names built-in sensors in the current language until they are renamed', () => {
+  const t = createTranslator('fr');
+  expect(sensorLabel({ id: 'media', label: '', value: 50 }, t)).toBe("Médias");
+  expect(sensorLabel({ id: 'media', label: "Réseaux", value: 50 }, t)).toBe("Réseaux");
+  expect(sensorLabel({ id: 'sensor-1', label: ' ', value: 50 }, t)).toBe("Capteur");
+});
+
+test('creates sensors with distinct ids and reorders them within bounds', () => {
+  const a = createSensor("Sport");
+  const b = createSensor("Musique");
+  expect(a.id).not.toBe(b.id);
+  expect(a.value).toBe(50);
+  expect(moveItem([a, b], 1, -1)).toEqual([b, a]);
+  expect(moveItem([a, b], 1, 1)).toEqual([a, b]);
+});
@@ -0,0 +1,43 @@
+// --- RADAR SIGNAL ---
+//
+// Lecture du brouillard en trois niveaux. Les couleurs et les libellés sont
+// choisis par l'interface (clés radar.status.* et radar.message.*).
+
+import { type Translator } from './i18n';
+import { type RadarSensor } from './types';
+
+export type FogLevel = 'optimal' | 'intermediate' | 'critical';
+
+// Bornes hautes incluses : 0-30 % faible, 31-70 % moyen, 71-100 % élevé
+export const FOG_THRESHOLDS = { optimal: 30, intermediate: 70 };
+
+export const analyzeSignal = (fog: number): FogLevel => {
+  if (fog <= FOG_THRESHOLDS.optimal) return 'optimal';
+  if (fog <= FOG_THRESHOLDS.intermediate) return 'intermediate';
+  return 'critical';
+};
+
+// --- SENSORS ---
+//
+// Les influences extérieures sont une liste de capteurs que le pilote ajoute,
+// renomme, retire et réordonne. Les quatre capteurs d'origine gardent leur
+// identifiant : leur nom par défaut suit la langue tant qu'ils ne sont pas renommés.
+
+export const DEFAULT_SENSOR_IDS = ['peers', 'family', 'media', 'professors'];
+
+export const MAX_SENSORS = 8;
+
+export const sensorLabel = (sensor: RadarSensor, t: Translator) => {
+  if (sensor.label.trim()) return sensor.label;
+  return DEFAULT_SENSOR_IDS.includes(sensor.id) ? t(`radar.axis.${sensor.id}`) : t('radar.sensors.unnamed');
+};
+
+let sensorCounter = 0;
+
+export const createSensor = (label: string, value: number = 50): RadarSensor => {
+  sensorCounter += 1;
+  return { id: `sensor-${Date.now()}-${sensorCounter}`, label, value };
+};
+
+export const updateSensor = (sensors: RadarSensor[], id: string, changes: Partial<RadarSensor>) =>
+  sensors.map(s => (s.id === id ? { ...s, ...changes } : s));
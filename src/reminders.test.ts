@@ -0,0 +1,62 @@
+import {
+  DEFAULT_REMINDER_SETTINGS, remindersForDay, dueReminders, upcomingReminders,
+  markDelivered, markScheduled, absorbScheduled,
+  type ReminderContext
+} from './reminders';
+import { createGoal } from './goals';
+
+const TODAY = '2024-03-20';
+const at = (time: string, day = TODAY) => new Date(`${day}T${time}:00`);
+
+const settings = { ...DEFAULT_REMINDER_SETTINGS, enabled: true, checkInTimes: ["08:00", "19:00"] };
+const idle: ReminderContext = { loggedToday: false, radarToday: false, currentStreak: 3, goals: [], locale: 'fr' };
+
+test('plans nothing while reminders are disabled', () => {
+  expect(remindersForDay({ ...settings, enabled: false }, idle, TODAY)).toEqual([]);
+});
+
+test('skips the check-in once the day is logged and calibrated', () => {
+  const ids = remindersForDay(settings, idle, TODAY).map(r => r.id);
+  expect(ids).toEqual(['checkin-08:00', 'checkin-19:00', 'streak']);
+  const done = remindersForDay(settings, { ...idle, loggedToday: true, radarToday: true }, TODAY);
+  expect(done).toEqual([]);
+});
+
+test('warns about active goals within the deadline window', () => {
+  const goals = [
+    createGoal({ id: 1, title: "Bac", deadline: '2024-03-25' }),
+    createGoal({ id: 2, title: "Loin", deadline: '2024-06-01' }),
+    createGoal({ id: 3, title: "Fini", deadline: '2024-03-21', status: 'achieved' }),
+  ];
+  const deadline = remindersForDay(settings, { ...idle, goals }, TODAY).filter(r => r.kind === 'deadline');
+  expect(deadline.map(r => r.body)).toEqual(["Bac : J-5."]);
+});
+
+test('writes reminders in the chosen language', () => {
+  const goals = [createGoal({ id: 1, deadline: '2024-03-21' })];
+  const reminders = remindersForDay(settings, { ...idle, goals, locale: 'en' }, TODAY);
+  expect(reminders.map(r => r.title)).toEqual(["Daily check-in", "Deadline approaching", "Daily check-in", "Streak at risk"]);
+  expect(reminders.find(r => r.kind === 'streak')?.body).toBe("Your 3-day streak ends tonight without a +1%.");
+  expect(reminders.find(r => r.kind === 'deadline')?.body).toBe("Untitled goal: D-1.");
+});
+
+test('delivers each due reminder once per day', () => {
+  const due = dueReminders(settings, idle, at('19:30'));
+  expect(due.map(r => r.id)).toEqual(['checkin-08:00', 'checkin-19:00']);
+  const after = markDelivered(settings, due);
+  expect(dueReminders(after, idle, at('20:00'))).toEqual([]);
+  expect(dueReminders(after, idle, at('08:30', '2024-03-21')).map(r => r.id)).toEqual(['checkin-08:00']);
+});
+
+test('hands the next 24 hours to the system and absorbs what it showed', () => {
+  const logged = { ...idle, loggedToday: true };
+  const upcoming = upcomingReminders(settings, logged, at('12:00'));
+  expect(upcoming.map(r => r.at)).toEqual([at('19:00'), at('08:00', '2024-03-21')]);
+
+  const scheduled = markScheduled(settings, upcoming);
+  expect(dueReminders(scheduled, logged, at('19:30'))).toEqual([]);
+
+  const back = absorbScheduled(scheduled, at('20:00'));
+  expect(back.scheduled).toEqual({});
+  expect(back.delivered).toEqual({ 'checkin-19:00': TODAY });
+});
@@ -0,0 +1,169 @@
+// --- REMINDERS ---
+//
+// Rappels entièrement locaux : check-in quotidien, série en danger, échéance
+// proche. On calcule ici, sans effet de bord, quels rappels sont dus et
+// lesquels confier au système ; notifier.ts se charge de les afficher.
+
+import { toDayKey, fromDayKey, addDays } from './dates';
+import { daysUntil, formatCountdown, type Goal } from './goals';
+import { translate, createTranslator, type Locale } from './i18n';
+
+export type ReminderKind = 'checkin' | 'streak' | 'deadline';
+
+export type ReminderSettings = {
+  enabled: boolean;
+  checkInTimes: string[]; // "HH:MM"
+  streakNudge: boolean;
+  streakTime: string;
+  deadlineWarning: boolean;
+  deadlineDays: number; // prévenir à partir de J-n
+  systemNotifications: boolean; // notifications du système si autorisées, sinon bannières
+  delivered: { [id: string]: string }; // id du rappel -> dernier jour délivré
+  scheduled: { [id: string]: string }; // confiés au système : id -> horodatage ISO
+};
+
+export type Reminder = {
+  id: string;
+  kind: ReminderKind;
+  at: Date;
+  title: string;
+  body: string;
+};
+
+// État du jour, calculé par l'app à partir des journaux et du radar
+export type ReminderContext = {
+  loggedToday: boolean;
+  radarToday: boolean;
+  currentStreak: number;
+  goals: Goal[];
+  locale: Locale; // langue des titres et messages
+};
+
+export const DEFAULT_REMINDER_SETTINGS: ReminderSettings = {
+  enabled: false,
+  checkInTimes: ["19:00"],
+  streakNudge: true,
+  streakTime: "21:00",
+  deadlineWarning: true,
+  deadlineDays: 7,
+  systemNotifications: false,
+  delivered: {},
+  scheduled: {},
+};
+
+// Les alertes d'échéance partent le matin
+const DEADLINE_TIME = "09:00";
+
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const atTime = (day: string, time: string) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = fromDayKey(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+const checkInBody = (context: ReminderContext) => {
+  if (!context.loggedToday && !context.radarToday) return translate(context.locale, 'reminders.checkInBoth');
+  if (!context.loggedToday) return translate(context.locale, 'reminders.checkInLog');
+  return translate(context.locale, 'reminders.checkInRadar');
+};
+
+// Rappels prévus pour un jour donné, selon l'état connu ce jour-là
+export const remindersForDay = (settings: ReminderSettings, context: ReminderContext, day: string): Reminder[] => {
+  if (!settings.enabled) return [];
+  const t = createTranslator(context.locale);
+  const reminders: Reminder[] = [];
+
+  if (!context.loggedToday || !context.radarToday) {
+    settings.checkInTimes.filter(time => TIME_PATTERN.test(time)).forEach(time => {
+      reminders.push({
+        id: `checkin-${time}`,
+        kind: 'checkin',
+        at: atTime(day, time),
+        title: t('reminders.checkInTitle'),
+        body: checkInBody(context),
+      });
+    });
+  }
+
+  if (settings.streakNudge && context.currentStreak > 0 && !context.loggedToday && TIME_PATTERN.test(settings.streakTime)) {
+    reminders.push({
+      id: 'streak',
+      kind: 'streak',
+      at: atTime(day, settings.streakTime),
+      title: t('reminders.streakTitle'),
+      body: t('reminders.streakBody', { count: context.currentStreak }),
+    });
+  }
+
+  if (settings.deadlineWarning) {
+    context.goals
+      .filter(goal => goal.status === 'active' && goal.deadline)
+      .forEach(goal => {
+        const days = daysUntil(goal.deadline, day);
+        if (days === null || days < 0 || days > settings.deadlineDays) return;
+        reminders.push({
+          id: `deadline-${goal.id}`,
+          kind: 'deadline',
+          at: atTime(day, DEADLINE_TIME),
+          title: t('reminders.deadlineTitle'),
+          body: t('reminders.deadlineBody', {
+            title: goal.title || t('reminders.untitledGoal'),
+            countdown: formatCountdown(goal.deadline, day, context.locale),
+          }),
+        });
+      });
+  }
+
+  return reminders.sort((a, b) => a.at.getTime() - b.at.getTime());
+};
+
+// Rappels d'aujourd'hui déjà passés, ni délivrés ni confiés au système
+export const dueReminders = (settings: ReminderSettings, context: ReminderContext, now: Date = new Date()) => {
+  const today = toDayKey(now);
+  return remindersForDay(settings, context, today)
+    .filter(r => r.at <= now && settings.delivered[r.id] !== today && !settings.scheduled[r.id]);
+};
+
+// Rappels des prochaines 24 h, à confier au système pendant que l'app est fermée.
+// Demain, rien n'est encore fait : la série ne survit que si on a noté aujourd'hui.
+export const upcomingReminders = (settings: ReminderSettings, context: ReminderContext, now: Date = new Date()) => {
+  const today = toDayKey(now);
+  const horizon = now.getTime() + 24 * 3600 * 1000;
+  const tomorrowContext = {
+    ...context,
+    loggedToday: false,
+    radarToday: false,
+    currentStreak: context.loggedToday ? context.currentStreak : 0,
+  };
+  return [
+    ...remindersForDay(settings, context, today).filter(r => settings.delivered[r.id] !== today),
+    ...remindersForDay(settings, tomorrowContext, addDays(today, 1)),
+  ].filter(r => r.at > now && r.at.getTime() <= horizon);
+};
+
+// Marque des rappels comme délivrés le jour de leur échéance
+export const markDelivered = (settings: ReminderSettings, reminders: Reminder[]): ReminderSettings => {
+  if (!reminders.length) return settings;
+  const delivered = { ...settings.delivered };
+  reminders.forEach(r => { delivered[r.id] = toDayKey(r.at); });
+  return { ...settings, delivered };
+};
+
+export const markScheduled = (settings: ReminderSettings, reminders: Reminder[]): ReminderSettings => {
+  const scheduled: { [id: string]: string } = {};
+  reminders.forEach(r => { scheduled[r.id] = r.at.toISOString(); });
+  return { ...settings, scheduled };
+};
+
+// Retour dans l'app : ce que le système a déjà affiché compte comme délivré,
+// le reste redevient à la charge de l'app
+export const absorbScheduled = (settings: ReminderSettings, now: Date = new Date()): ReminderSettings => {
+  const delivered = { ...settings.delivered };
+  Object.keys(settings.scheduled).forEach(id => {
+    const at = new Date(settings.scheduled[id]);
+    if (at <= now) delivered[id] = toDayKey(at);
+  });
+  return { ...settings, delivered, scheduled: {} };
+};
@@ -0,0 +1,29 @@
+import { parseRoute, formatRoute, isDemoMode, DEFAULT_ROUTE } from './routes';
+
+test('reads pages, crisis mode and panels from the hash', () => {
+  expect(parseRoute('#/ascension')).toEqual({ tab: 'ascension', crisis: false, panel: null });
+  expect(parseRoute('#/cockpit/sos')).toEqual({ tab: 'cockpit', crisis: true, panel: null });
+  expect(parseRoute('#/mission/settings')).toEqual({ tab: 'mission', crisis: false, panel: 'settings' });
+  expect(parseRoute('#/cockpit/sos/reminders')).toEqual({ tab: 'cockpit', crisis: true, panel: 'reminders' });
+});
+
+test('falls back on the radar for empty or unknown links', () => {
+  expect(parseRoute('')).toEqual(DEFAULT_ROUTE);
+  expect(parseRoute('#/nowhere/sos')).toEqual(DEFAULT_ROUTE);
+  // Le mode SOS n'existe que sur le Cockpit
+  expect(parseRoute('#/radar/sos/oops')).toEqual({ tab: 'radar', crisis: false, panel: null });
+});
+
+test('writes links that read back to the same route', () => {
+  const route = { tab: 'cockpit' as const, crisis: true, panel: 'backup' as const };
+  expect(formatRoute(route)).toBe('#/cockpit/sos/backup');
+  expect(parseRoute(formatRoute(route))).toEqual(route);
+  expect(formatRoute(DEFAULT_ROUTE)).toBe('#/radar');
+});
+
+test('switches to the phone mock-up only with the demo flag', () => {
+  expect(isDemoMode('?demo')).toBe(true);
+  expect(isDemoMode('?lang=fr&demo=1')).toBe(true);
+  expect(isDemoMode('')).toBe(false);
+  expect(isDemoMode('?demonstration')).toBe(false);
+});
@@ -0,0 +1,40 @@
+// --- ROUTES ---
+//
+// Navigation par le fragment d'URL (#/cockpit/sos) : le serveur ne voit
+// jamais le chemin, donc l'app fonctionne telle quelle dans le sous-dossier
+// de GitHub Pages. Chaque page, le mode SOS et les panneaux ont leur lien.
+
+export type Tab = 'radar' | 'ascension' | 'cockpit' | 'mission';
+
+export type Panel = 'backup' | 'settings' | 'reminders' | 'cohort' | 'debrief' | 'lock';
+
+export type Route = {
+  tab: Tab;
+  crisis: boolean; // protocole SOS ouvert, seulement sur le Cockpit
+  panel: Panel | null; // panneau affiché par-dessus la page
+};
+
+export const TABS: Tab[] = ['radar', 'ascension', 'cockpit', 'mission'];
+export const PANELS: Panel[] = ['backup', 'settings', 'reminders', 'cohort', 'debrief', 'lock'];
+
+export const DEFAULT_ROUTE: Route = { tab: 'radar', crisis: false, panel: null };
+
+const CRISIS_SEGMENT = 'sos';
+
+// "#/cockpit/sos/reminders" ; un chemin inconnu ramène au Radar, un segment inconnu est ignoré
+export const parseRoute = (hash: string): Route => {
+  const [first, ...rest] = hash.replace(/^#/, '').split('/').filter(Boolean);
+  const tab = TABS.find(t => t === first);
+  if (!tab) return DEFAULT_ROUTE;
+  return {
+    tab,
+    crisis: tab === 'cockpit' && rest.includes(CRISIS_SEGMENT),
+    panel: PANELS.find(p => rest.includes(p)) || null,
+  };
+};
+
+export const formatRoute = (route: Route) =>
+  `#/${route.tab}${route.crisis && route.tab === 'cockpit' ? `/${CRISIS_SEGMENT}` : ""}${route.panel ? `/${route.panel}` : ""}`;
+
+// "?demo" : l'app s'affiche dans la maquette de téléphone d'origine
+export const isDemoMode = (search: string) => new URLSearchParams(search).has('demo');
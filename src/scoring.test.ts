@@ -0,0 +1,97 @@
+import {
+  DEFAULT_SCORING_CONFIG, calculateMatrix, explainMatrix, isFlightAuthorized, normalizeScoringConfig, externalNoise,
+  type Factor
+} from './scoring';
+
+const sensors = (...values: number[]) => values.map(value => ({ value }));
+
+const radar = { inner: 30, fog: 75, sensors: sensors(90, 50, 70, 60) };
+// Deux mousquetons sur trois cochés chaque jour
+const goal = { title: "Bac", carabinerRate: 2 / 3 };
+
+test('reproduces the original Gravity Manifesto weights by default', () => {
+  const { x, y } = calculateMatrix(radar, goal, { activityScore: 0.5 });
+  // (30 * 0.5 + 25 * 0.3 + (100 - 67.5) * 0.2) / 10
+  expect(x).toBeCloseTo(2.9);
+  // (2/3 * 10 * 0.4) + (10 * 0.2) + (5 * 0.4)
+  expect(y).toBeCloseTo(6.667, 2);
+});
+
+test('spans the whole matrix from the weakest to the strongest inputs', () => {
+  const empty = { title: "", carabinerRate: 0 };
+  const silent = { inner: 0, fog: 100, sensors: sensors(100, 100, 100, 100) };
+  expect(calculateMatrix(silent, empty, { activityScore: 0 })).toEqual({ x: 0, y: 0 });
+
+  const full = { title: "Bac", carabinerRate: 1 };
+  const clear = { inner: 100, fog: 0, sensors: sensors(0, 0, 0, 0) };
+  const position = calculateMatrix(clear, full, { activityScore: 1 });
+  expect(position.x).toBeCloseTo(10);
+  expect(position.y).toBeCloseTo(10);
+  expect(isFlightAuthorized(position)).toBe(true);
+});
+
+test('averages outside noise over the configured sensors', () => {
+  expect(externalNoise(radar)).toBe(67.5);
+  expect(externalNoise({ ...radar, sensors: sensors(20, 40) })).toBe(30);
+  expect(externalNoise({ ...radar, sensors: [] })).toBe(0);
+});
+
+test('refuses flight when a computed score lands exactly on the threshold', () => {
+  // Maîtrise = voix intérieure seule : 70 % donne exactement 7
+  const config = { ...DEFAULT_SCORING_CONFIG, mastery: { inner: 1, clarity: 0, calm: 0 } };
+  const full = { title: "Bac", carabinerRate: 1 };
+  const onThreshold = calculateMatrix({ ...radar, inner: 70 }, full, { activityScore: 1 }, config);
+  expect(onThreshold.x).toBeCloseTo(7);
+  expect(isFlightAuthorized(onThreshold, config)).toBe(false);
+  expect(isFlightAuthorized(calculateMatrix({ ...radar, inner: 71 }, full, { activityScore: 1 }, config), config)).toBe(true);
+});
+
+test('treats weights as relative shares of each axis', () => {
+  const config = { ...DEFAULT_SCORING_CONFIG, mastery: { inner: 2, clarity: 0, calm: 0 } };
+  expect(calculateMatrix(radar, goal, { activityScore: 0 }, config).x).toBeCloseTo(3);
+});
+
+test('counts carabiner completion toward impact and suggests checking more', () => {
+  const config = { ...DEFAULT_SCORING_CONFIG, impact: { carabiners: 1, goal: 0, activity: 0 } };
+  expect(calculateMatrix(radar, { title: "", carabinerRate: 0.5 }, { activityScore: 0 }, config).y).toBeCloseTo(5);
+  expect(explainMatrix(radar, { title: "", carabinerRate: 0.5 }, { activityScore: 0 }, config).suggestions)
+    .toContainEqual({ axis: 'y', key: 'carabiners', from: 50, to: 71 });
+});
+
+test('authorizes flight strictly above both thresholds', () => {
+  expect(isFlightAuthorized({ x: 7.1, y: 8 })).toBe(true);
+  expect(isFlightAuthorized({ x: 7, y: 8 })).toBe(false);
+  expect(isFlightAuthorized({ x: 6, y: 6 }, { ...DEFAULT_SCORING_CONFIG, flightThreshold: { x: 5, y: 5 } })).toBe(true);
+});
+
+test('fills missing or invalid config fields with defaults', () => {
+  const config = normalizeScoringConfig({ mastery: { inner: -1 }, flightThreshold: { x: 42 } });
+  expect(config.mastery).toEqual(DEFAULT_SCORING_CONFIG.mastery);
+  expect(config.impact).toEqual(DEFAULT_SCORING_CONFIG.impact);
+  expect(config.flightThreshold).toEqual({ x: 10, y: 7 });
+});
+
+test('breakdown contributions add up to each axis score', () => {
+  const explanation = explainMatrix(radar, goal, { activityScore: 0.5 });
+  const sum = (factors: Factor[]) => factors.reduce((total, f) => total + f.contribution, 0);
+  expect(sum(explanation.mastery)).toBeCloseTo(explanation.x);
+  expect(sum(explanation.impact)).toBeCloseTo(explanation.y);
+});
+
+test('suggestions computed from the formula reach the zone', () => {
+  const strong = { inner: 90, fog: 10, sensors: sensors(20, 20, 20, 20) };
+  const explanation = explainMatrix(strong, goal, { activityScore: 0.3 });
+  expect(explanation.x).toBeGreaterThan(7);
+  expect(explanation.suggestions).toEqual([{ axis: 'y', key: 'activity', from: 30, to: 59 }]);
+  expect(explainMatrix(strong, goal, { activityScore: 0.59 }).authorized).toBe(true);
+});
+
+test('combines several levers when one is not enough', () => {
+  const explanation = explainMatrix(radar, { ...goal, title: "" }, { activityScore: 0 });
+  expect(explanation.suggestions.filter(s => s.axis === 'y').map(s => s.key)).toEqual(['activity', 'goal']);
+});
+
+test('flags thresholds that cannot be reached', () => {
+  const config = { ...DEFAULT_SCORING_CONFIG, flightThreshold: { x: 10, y: 7 } };
+  expect(explainMatrix(radar, goal, { activityScore: 1 }, config).unreachable).toBe(true);
+});
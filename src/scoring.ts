@@ -0,0 +1,232 @@
+// --- GRAVITY MANIFESTO SCORING ---
+//
+// Calcul pur de la position sur la matrice (X = maîtrise, Y = impact), piloté
+// par une configuration déclarative que les coachs peuvent ajuster par cohorte.
+// Les poids sont relatifs : chaque axe est une moyenne pondérée ramenée sur 10.
+
+type RadarInput = {
+  inner: number;
+  fog: number;
+  sensors: { value: number }[];
+};
+
+type GoalInput = {
+  title: string;
+  carabinerRate: number; // 0..1, complétion des mousquetons cochés (goals.ts)
+};
+
+type ActivityInput = {
+  activityScore: number; // 0..1
+};
+
+export type ScoringConfig = {
+  mastery: { inner: number, clarity: number, calm: number };
+  impact: { carabiners: number, goal: number, activity: number };
+  goalMinLength: number;
+  flightThreshold: { x: number, y: number };
+};
+
+export type MatrixPosition = { x: number, y: number };
+
+export const DEFAULT_SCORING_CONFIG: ScoringConfig = {
+  // clarity = 100 - brouillard, calm = 100 - bruit extérieur
+  mastery: { inner: 0.5, clarity: 0.3, calm: 0.2 },
+  impact: { carabiners: 0.4, goal: 0.2, activity: 0.4 },
+  // Un objectif compte à partir de ce nombre de caractères
+  goalMinLength: 3,
+  // "Autorisation de Vol" au-delà de ces deux seuils (strictement)
+  flightThreshold: { x: 7, y: 7 },
+};
+
+const weightOrDefault = (v: any, fallback: number) =>
+  typeof v === 'number' && Number.isFinite(v) && v >= 0 ? v : fallback;
+
+const clamp = (v: number, min: number, max: number) => Math.min(Math.max(v, min), max);
+
+// Complète une configuration partielle ou abîmée avec les valeurs par défaut
+export const normalizeScoringConfig = (config: any): ScoringConfig => {
+  const src = config && typeof config === 'object' ? config : {};
+  const d = DEFAULT_SCORING_CONFIG;
+  const group = <T extends { [k: string]: number }>(value: any, defaults: T): T => {
+    const out: any = {};
+    Object.keys(defaults).forEach(k => { out[k] = weightOrDefault(value && value[k], defaults[k]); });
+    return out;
+  };
+  const threshold = src.flightThreshold || {};
+  return {
+    mastery: group(src.mastery, d.mastery),
+    impact: group(src.impact, d.impact),
+    goalMinLength: Math.round(weightOrDefault(src.goalMinLength, d.goalMinLength)),
+    flightThreshold: {
+      x: clamp(weightOrDefault(threshold.x, d.flightThreshold.x), 0, 10),
+      y: clamp(weightOrDefault(threshold.y, d.flightThreshold.y), 0, 10),
+    },
+  };
+};
+
+// Moyenne pondérée de valeurs sur 10 ; 0 si tous les poids sont nuls
+const weightedAverage = (weights: { [k: string]: number }, values: { [k: string]: number }) => {
+  const total = Object.keys(weights).reduce((sum, k) => sum + weights[k], 0);
+  if (total === 0) return 0;
+  return Object.keys(weights).reduce((sum, k) => sum + weights[k] * values[k], 0) / total;
+};
+
+// Moyenne des capteurs configurés ; sans capteur, aucun bruit extérieur
+export const externalNoise = (radar: RadarInput) =>
+  radar.sensors.length ? radar.sensors.reduce((sum, s) => sum + s.value, 0) / radar.sensors.length : 0;
+
+// Valeurs sur 10 de chaque facteur, avant pondération
+const masteryValues = (radar: RadarInput) => ({
+  inner: radar.inner / 10,
+  clarity: (100 - radar.fog) / 10,
+  calm: (100 - externalNoise(radar)) / 10,
+});
+
+const impactValues = (goal: GoalInput, activity: ActivityInput, config: ScoringConfig) => ({
+  carabiners: goal.carabinerRate * 10,
+  goal: goal.title.length >= config.goalMinLength ? 10 : 0,
+  activity: activity.activityScore * 10,
+});
+
+export const calculateMatrix = (
+  radar: RadarInput,
+  goal: GoalInput,
+  activity: ActivityInput,
+  config: ScoringConfig = DEFAULT_SCORING_CONFIG
+): MatrixPosition => ({
+  x: weightedAverage(config.mastery, masteryValues(radar)),
+  y: weightedAverage(config.impact, impactValues(goal, activity, config)),
+});
+
+export const isFlightAuthorized = ({ x, y }: MatrixPosition, config: ScoringConfig = DEFAULT_SCORING_CONFIG) =>
+  x > config.flightThreshold.x && y > config.flightThreshold.y;
+
+// --- EXPLANATION ---
+//
+// Chaque axe est une somme de contributions : part du poids × valeur sur 10.
+// La somme des contributions d'un axe redonne exactement son score.
+
+export type FactorKey = 'inner' | 'clarity' | 'calm' | 'carabiners' | 'goal' | 'activity';
+
+export type Factor = {
+  key: FactorKey;
+  share: number; // part du poids dans l'axe, 0..1
+  contribution: number; // points apportés sur 10
+  max: number; // points apportés si le facteur était au maximum
+};
+
+// Une action concrète sur une entrée, exprimée dans l'unité de l'entrée
+export type Suggestion = {
+  axis: 'x' | 'y';
+  key: FactorKey;
+  from: number;
+  to: number;
+};
+
+export type MatrixExplanation = MatrixPosition & {
+  mastery: Factor[];
+  impact: Factor[];
+  authorized: boolean;
+  suggestions: Suggestion[];
+  // Vrai si un axe ne peut pas franchir son seuil, même avec toutes les entrées au maximum
+  unreachable: boolean;
+};
+
+// Marge pour franchir un seuil strict
+const EPSILON = 0.01;
+
+const explainAxis = (weights: { [k: string]: number }, values: { [k: string]: number }): Factor[] => {
+  const total = Object.keys(weights).reduce((sum, k) => sum + weights[k], 0);
+  return (Object.keys(weights) as FactorKey[]).map(k => {
+    const share = total === 0 ? 0 : weights[k] / total;
+    return { key: k, share, contribution: share * values[k], max: share * 10 };
+  });
+};
+
+// Leviers à actionner pour gagner `gap` points : un seul si possible (celui qui
+// demande la plus petite part de sa marge), sinon les plus grosses marges d'abord
+const pickLevers = (factors: Factor[], gap: number) => {
+  const candidates = factors.filter(f => f.max - f.contribution > 0);
+  const single = candidates
+    .filter(f => f.max - f.contribution >= gap)
+    .sort((a, b) => gap / (a.max - a.contribution) - gap / (b.max - b.contribution))[0];
+  if (single) return [{ factor: single, points: gap }];
+
+  const levers: { factor: Factor, points: number }[] = [];
+  let remaining = gap;
+  candidates
+    .sort((a, b) => (b.max - b.contribution) - (a.max - a.contribution))
+    .forEach(f => {
+      if (remaining <= 0) return;
+      const points = Math.min(remaining, f.max - f.contribution);
+      levers.push({ factor: f, points });
+      remaining -= points;
+    });
+  return levers;
+};
+
+export const explainMatrix = (
+  radar: RadarInput,
+  goal: GoalInput,
+  activity: ActivityInput,
+  config: ScoringConfig = DEFAULT_SCORING_CONFIG
+): MatrixExplanation => {
+  const mastery = explainAxis(config.mastery, masteryValues(radar));
+  const impact = explainAxis(config.impact, impactValues(goal, activity, config));
+  const position = calculateMatrix(radar, goal, activity, config);
+  const noise = externalNoise(radar);
+
+  // Conversion de points gagnés en changement concret sur l'entrée
+  const toSuggestion = (axis: 'x' | 'y', factor: Factor, points: number): Suggestion => {
+    const perUnit = factor.share; // points par unité de valeur sur 10
+    switch (factor.key) {
+      case 'inner':
+        return { axis, key: factor.key, from: radar.inner, to: Math.min(100, Math.ceil(radar.inner + (points * 10) / perUnit)) };
+      case 'clarity':
+        return { axis, key: factor.key, from: radar.fog, to: Math.max(0, Math.floor(radar.fog - (points * 10) / perUnit)) };
+      case 'calm':
+        return { axis, key: factor.key, from: Math.round(noise), to: Math.max(0, Math.floor(noise - (points * 10) / perUnit)) };
+      case 'carabiners':
+        return {
+          axis,
+          key: factor.key,
+          from: Math.round(goal.carabinerRate * 100),
+          to: Math.min(100, Math.ceil((goal.carabinerRate + points / (perUnit * 10)) * 100)),
+        };
+      case 'goal':
+        return { axis, key: factor.key, from: 0, to: 1 };
+      default:
+        return {
+          axis,
+          key: factor.key,
+          from: Math.round(activity.activityScore * 100),
+          to: Math.min(100, Math.ceil((activity.activityScore + points / (perUnit * 10)) * 100)),
+        };
+    }
+  };
+
+  const suggestions: Suggestion[] = [];
+  let unreachable = false;
+  const axes: { axis: 'x' | 'y', factors: Factor[], score: number, threshold: number }[] = [
+    { axis: 'x', factors: mastery, score: position.x, threshold: config.flightThreshold.x },
+    { axis: 'y', factors: impact, score: position.y, threshold: config.flightThreshold.y },
+  ];
+  axes.forEach(({ axis, factors, score, threshold }) => {
+    if (score > threshold) return;
+    const gap = threshold - score + EPSILON;
+    const headroom = factors.reduce((sum, f) => sum + f.max - f.contribution, 0);
+    if (headroom < gap) unreachable = true;
+    pickLevers(factors, gap).forEach(({ factor, points }) => {
+      suggestions.push(toSuggestion(axis, factor, points));
+    });
+  });
+
+  return {
+    ...position,
+    mastery,
+    impact,
+    authorized: isFlightAuthorized(position, config),
+    suggestions,
+    unreachable,
+  };
+};
@@ -0,0 +1,39 @@
+/* eslint-disable no-restricted-globals */
+
+// --- SERVICE WORKER ---
+//
+// Compilé par react-scripts au build (InjectManifest) : self.__WB_MANIFEST
+// liste les fichiers de l'app shell. Une fois installée, l'app — et donc le
+// protocole SOS — s'ouvre sans réseau. Les données restent dans localStorage.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Toute navigation sert l'index.html précaché (hors fichiers et URL en "/_")
+const FILE_EXTENSION = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) =>
+    request.mode === 'navigate' && !url.pathname.startsWith('/_') && !FILE_EXTENSION.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Fichiers de public/ (icônes, manifest) : hors précache, servis depuis le cache puis rafraîchis
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|ico|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'pilot-public',
+    plugins: [new ExpirationPlugin({ maxEntries: 20 })],
+  })
+);
+
+// Une nouvelle version attend que l'utilisateur accepte la mise à jour
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
@@ -0,0 +1,60 @@
+// --- SERVICE WORKER REGISTRATION ---
+//
+// Le worker n'existe qu'après `npm run build` : en développement on ne fait rien.
+// Une version en attente est signalée aux abonnés (bannière de mise à jour) ;
+// elle ne prend la main que lorsque l'utilisateur l'accepte.
+
+type UpdateListener = (registration: ServiceWorkerRegistration) => void;
+
+let waitingRegistration: ServiceWorkerRegistration | null = null;
+const listeners: Set<UpdateListener> = new Set();
+
+const notifyWaiting = (registration: ServiceWorkerRegistration) => {
+  // Premier install : pas d'ancienne version à remplacer
+  if (!registration.waiting || !navigator.serviceWorker.controller) return;
+  waitingRegistration = registration;
+  listeners.forEach(listener => listener(registration));
+};
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  // PUBLIC_URL sur un autre domaine (CDN) : le worker ne pourrait pas contrôler la page
+  const publicUrl = new URL(process.env.PUBLIC_URL || '', window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL || ''}/service-worker.js`)
+      .then(registration => {
+        notifyWaiting(registration);
+        registration.addEventListener('updatefound', () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.addEventListener('statechange', () => {
+            if (installing.state === 'installed') notifyWaiting(registration);
+          });
+        });
+        // Cherche une nouvelle version quand l'app revient au premier plan
+        document.addEventListener('visibilitychange', () => {
+          if (document.visibilityState === 'visible') registration.update().catch(() => {});
+        });
+      })
+      .catch(error => console.error("Service worker non enregistré :", error));
+  });
+};
+
+// Abonnement à la disponibilité d'une mise à jour ; renvoie le désabonnement
+export const onUpdateAvailable = (listener: UpdateListener) => {
+  listeners.add(listener);
+  if (waitingRegistration) listener(waitingRegistration);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+// Active la version en attente puis recharge dès qu'elle contrôle la page
+export const applyUpdate = (registration: ServiceWorkerRegistration) => {
+  if (!registration.waiting) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
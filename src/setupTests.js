@@ -3,3 +3,14 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom n'a ni Web Crypto ni TextEncoder : on prête ceux de Node (verrouillage, lock.ts)
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+
+if (!window.crypto || !window.crypto.subtle) {
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+}
+if (!window.TextEncoder) {
+  Object.assign(window, { TextEncoder, TextDecoder });
+}
@@ -0,0 +1,160 @@
+import { loadValue, saveValue, migrate, getRecoveryEvents, listCorruptBackups } from './storage';
+import { type CrisisStep } from './crisis';
+import { formatLogDay, isoToDayKey } from './dates';
+
+beforeEach(() => {
+  window.localStorage.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('returns defaults when nothing is stored', () => {
+  expect(loadValue('pilot_logs')).toEqual([]);
+  expect(loadValue('pilot_radar').fog).toBe(75);
+});
+
+test('reads legacy unversioned values and fills missing fields', () => {
+  window.localStorage.setItem('pilot_crisis', JSON.stringify({ supportPerson: "Léa" }));
+  expect(loadValue('pilot_crisis')).toMatchObject({
+    contacts: [{ name: "Léa", phone: "" }],
+    strategies: [],
+    warningSigns: [],
+    safePlaces: [],
+  });
+});
+
+test('upgrades a v1 crisis plan and its protocol steps', () => {
+  window.localStorage.setItem('pilot_crisis', JSON.stringify({
+    version: 1,
+    data: {
+      supportPerson: "Léa",
+      supportPhone: "0612345678",
+      booster: "Danser",
+      protocol: [
+        { id: 'support', type: 'support', enabled: true },
+        { id: 'booster', type: 'booster', enabled: false },
+      ],
+    },
+  }));
+  const plan = loadValue('pilot_crisis');
+  expect(plan.contacts).toEqual([{ id: 'contact-1', name: "Léa", phone: "0612345678" }]);
+  expect(plan.strategies).toEqual(["Danser"]);
+  expect(plan.supportPerson).toBeUndefined();
+  // Ordre personnalisé conservé, étapes manquantes insérées à leur place par défaut
+  expect(plan.protocol.map((s: CrisisStep) => s.type)).toEqual([
+    'message', 'breathing', 'grounding', 'warningSigns', 'contacts', 'helplines', 'strategies', 'safePlaces',
+  ]);
+  expect(plan.protocol.find((s: CrisisStep) => s.type === 'strategies').enabled).toBe(false);
+});
+
+test('drops the hard-coded default instruction so it follows the language', () => {
+  const protocol = [
+    { id: 'execute', type: 'message', enabled: true, text: "N'oublie pas ton objectif, ouvre ton sac et accroche toi à tes mousquetons." },
+    { id: 'mine', type: 'message', enabled: true, text: "Respire." },
+  ];
+  window.localStorage.setItem('pilot_crisis', JSON.stringify({ version: 2, data: { protocol } }));
+  expect(loadValue('pilot_crisis').protocol.map((s: CrisisStep) => s.text)).toEqual(["", "Respire."]);
+});
+
+test('keeps a supported language and falls back on the browser one otherwise', () => {
+  saveValue('pilot_locale', 'en');
+  expect(loadValue('pilot_locale')).toBe('en');
+  expect(migrate('pilot_locale', { version: 1, data: 'de' })).toMatch(/^(fr|en)$/);
+});
+
+test('migrates the legacy single goal into a goal list', () => {
+  window.localStorage.setItem('pilot_goal', JSON.stringify({ title: "Bac", date: "15 Mai", carb_physical: "Course" }));
+  const { goals, selectedId } = loadValue('pilot_goal');
+  expect(goals).toHaveLength(1);
+  expect(goals[0]).toMatchObject({ title: "Bac", status: 'active', carb_physical: "Course", carb_cognitive: "" });
+  expect(goals[0].deadline).toMatch(/^\d{4}-05-15$/);
+  expect(goals[0].checks).toEqual({});
+  expect(selectedId).toBe(goals[0].id);
+});
+
+test('keeps valid carabiner check-offs only', () => {
+  const checks = { '2024-03-10': ['carb_physical', 'carb_physical', 'nope'], 'hier': ['carb_recovery'], '2024-03-09': [] };
+  saveValue('pilot_goal', { goals: [{ id: 1, title: "Bac", checks }], selectedId: 1 });
+  expect(loadValue('pilot_goal').goals[0].checks).toEqual({ '2024-03-10': ['carb_physical'] });
+});
+
+test('keeps an unreadable legacy goal date instead of dropping it', () => {
+  window.localStorage.setItem('pilot_goal', JSON.stringify({ title: "Bac", date: "fin juin" }));
+  const [goal] = loadValue('pilot_goal').goals;
+  expect(goal.deadline).toBe("");
+  expect(goal.legacyDate).toBe("fin juin");
+});
+
+test('writes values inside a versioned envelope', () => {
+  saveValue('pilot_crisis', { contacts: [], strategies: ["Danser"] });
+  const stored = JSON.parse(window.localStorage.getItem('pilot_crisis') || 'null');
+  expect(stored.version).toBe(3);
+  expect(stored.data.strategies).toEqual(["Danser"]);
+  expect(loadValue('pilot_crisis').strategies).toEqual(["Danser"]);
+});
+
+test('clamps out-of-range radar values and keeps unknown fields', () => {
+  const radar = migrate('pilot_radar', { version: 1, data: { inner: 140, fog: "x", extra: true } });
+  expect(radar.inner).toBe(100);
+  expect(radar.fog).toBe(75);
+  expect(radar.extra).toBe(true);
+});
+
+test('turns the four fixed influences into sensors, in the radar and its history', () => {
+  const legacy = { inner: 40, fog: 20, peers: 10, family: 20, media: 30, professors: 140 };
+  const radar = migrate('pilot_radar', { version: 1, data: legacy });
+  expect(radar).toEqual({
+    inner: 40,
+    fog: 20,
+    sensors: [
+      { id: 'peers', label: '', value: 10 },
+      { id: 'family', label: '', value: 20 },
+      { id: 'media', label: '', value: 30 },
+      { id: 'professors', label: '', value: 100 },
+    ],
+  });
+
+  const [snapshot] = migrate('pilot_radar_history', { version: 1, data: [{ ...legacy, date: '2024-03-01' }] });
+  expect(snapshot.date).toBe('2024-03-01');
+  expect(snapshot.sensors).toEqual(radar.sensors);
+});
+
+test('keeps an emptied sensor list and drops duplicate sensors', () => {
+  expect(migrate('pilot_radar', { version: 2, data: { inner: 50, fog: 50, sensors: [] } }).sensors).toEqual([]);
+  const sensors = [{ id: 'a', label: 'Sport', value: 30 }, { id: 'a', label: 'Doublon', value: 90 }, { label: 'Sans id' }];
+  expect(migrate('pilot_radar', { version: 2, data: { sensors } }).sensors).toEqual([{ id: 'a', label: 'Sport', value: 30 }]);
+});
+
+test('keeps corrupt JSON aside instead of dropping it', () => {
+  window.localStorage.setItem('pilot_logs', '[{"id":1,"domain":"Révis');
+  expect(loadValue('pilot_logs')).toEqual([]);
+
+  const [backupKey] = listCorruptBackups();
+  expect(window.localStorage.getItem(backupKey)).toBe('[{"id":1,"domain":"Révis');
+  expect(getRecoveryEvents().map(e => e.key)).toContain('pilot_logs');
+});
+
+test('backs up a corrupt value only once', () => {
+  window.localStorage.setItem('pilot_radar_history', '{oops');
+  const events = getRecoveryEvents().length;
+  expect(loadValue('pilot_radar_history')).toEqual([]);
+  expect(loadValue('pilot_radar_history')).toEqual([]);
+
+  expect(listCorruptBackups().filter(k => k.startsWith('pilot_radar_history'))).toHaveLength(1);
+  expect(getRecoveryEvents()).toHaveLength(events + 1);
+});
+
+test('migrates legacy log labels to ISO timestamps taken from the id', () => {
+  const id = new Date(2024, 2, 4, 18, 30).getTime();
+  window.localStorage.setItem('pilot_logs', JSON.stringify([{ id, date: "Lun 4", domain: "Sport" }]));
+  const [log] = loadValue('pilot_logs');
+  expect(new Date(log.date).getTime()).toBe(id);
+  expect(log.domain).toBe("Sport");
+
+  // Ancien libellé non migré : rendu tel quel, jamais placé sur le calendrier
+  expect(formatLogDay("Lun 4")).toBe("Lun 4");
+  expect(isoToDayKey("Lun 4")).toBeNull();
+});
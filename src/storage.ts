@@ -0,0 +1,543 @@
+// --- VERSIONED PERSISTENCE FOR pilot_* KEYS ---
+//
+// Chaque clé est stockée dans une enveloppe { version, data }. Les anciennes
+// valeurs sans enveloppe sont lues comme version 0 puis migrées dans l'ordre.
+// Un JSON illisible n'est jamais écrasé : il est mis de côté sous une clé de
+// secours avant de repartir des valeurs par défaut. Quand le verrouillage est
+// actif, les clés personnelles passent par la couche chiffrée de lock.ts.
+
+import { DEFAULT_SCORING_CONFIG, normalizeScoringConfig } from './scoring';
+import { DEFAULT_PROTOCOL, CRISIS_STEP_TYPES, LEGACY_DEFAULT_MESSAGE } from './crisis';
+import { DEFAULT_REMINDER_SETTINGS, TIME_PATTERN } from './reminders';
+import { detectLocale, isLocale } from './i18n';
+import { DEFAULT_SENSOR_IDS } from './radar';
+
+export type StorageKey =
+  | 'pilot_radar'
+  | 'pilot_radar_history'
+  | 'pilot_goal'
+  | 'pilot_logs'
+  | 'pilot_crisis'
+  | 'pilot_crisis_log'
+  | 'pilot_fog_episodes'
+  | 'pilot_scoring'
+  | 'pilot_trajectory'
+  | 'pilot_reminders'
+  | 'pilot_locale'
+  | 'pilot_lock';
+
+type Schema = {
+  version: number;
+  defaults: () => any;
+  // migrations[i] fait passer les données de la version i à la version i + 1
+  migrations: ((data: any) => any)[];
+  normalize: (data: any) => any;
+};
+
+type RecoveryEvent = {
+  key: string;
+  backupKey: string;
+  reason: string;
+};
+
+const CORRUPT_SUFFIX = '__corrupt_';
+
+// --- FIELD HELPERS ---
+
+const isObject = (v: any) => typeof v === 'object' && v !== null && !Array.isArray(v);
+
+const num = (v: any, fallback: number, min: number = 0, max: number = 100) =>
+  typeof v === 'number' && Number.isFinite(v) ? Math.min(Math.max(v, min), max) : fallback;
+
+const str = (v: any, fallback: string) => (typeof v === 'string' ? v : fallback);
+
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const CARABINER_KEYS = ['carb_cognitive', 'carb_physical', 'carb_recovery'];
+
+// Tout id plus petit n'est pas un Date.now() (2001-09-09)
+const MIN_TIMESTAMP = 1e12;
+
+// --- SCHEMAS ---
+
+// Valeurs de départ des quatre influences d'origine
+const SENSOR_DEFAULTS: { [id: string]: number } = { peers: 90, family: 50, media: 70, professors: 60 };
+
+const defaultSensors = () => DEFAULT_SENSOR_IDS.map(id => ({ id, label: "", value: SENSOR_DEFAULTS[id] }));
+
+const radarDefaults = () => ({ inner: 30, fog: 75, sensors: defaultSensors() });
+
+// v1 -> v2 : les influences fixes (peers, family, media, professors) deviennent
+// des capteurs configurables, dans le même ordre et avec les mêmes valeurs
+const upgradeRadarV2 = (data: any) => {
+  if (!isObject(data)) return data;
+  const { peers, family, media, professors, ...rest } = data;
+  const legacy: { [id: string]: any } = { peers, family, media, professors };
+  return {
+    ...rest,
+    sensors: DEFAULT_SENSOR_IDS.map(id => ({ id, label: "", value: num(legacy[id], SENSOR_DEFAULTS[id]) })),
+  };
+};
+
+// Liste absente : capteurs d'origine ; liste vide : le pilote a tout retiré
+const normalizeSensors = (sensors: any) => {
+  if (!Array.isArray(sensors)) return defaultSensors();
+  const seen = new Set<string>();
+  return sensors
+    .filter(s => isObject(s) && typeof s.id === 'string' && s.id && !seen.has(s.id) && seen.add(s.id))
+    .map(s => ({ ...s, label: str(s.label, ""), value: num(s.value, 50) }));
+};
+
+const normalizeRadar = (data: any) => {
+  const src = isObject(data) ? data : {};
+  const defaults = radarDefaults();
+  return {
+    ...src,
+    inner: num(src.inner, defaults.inner),
+    fog: num(src.fog, defaults.fog),
+    sensors: normalizeSensors(src.sensors),
+  };
+};
+
+// Épisodes enregistrés sans pic : le relevé gardé était déjà le plus haut
+const episodeReadings = (episode: any) => {
+  const snapshot = normalizeRadar(episode.snapshot);
+  return { snapshot, peakFog: Math.max(snapshot.fog, num(episode.peakFog, snapshot.fog)) };
+};
+
+const GOAL_STATUSES = ['active', 'achieved', 'abandoned'];
+
+const FRENCH_MONTHS = ['janv', 'févr', 'mars', 'avr', 'mai', 'juin', 'juil', 'août', 'sept', 'oct', 'nov', 'déc'];
+
+// "15 Mai" -> prochaine occurrence du 15 mai ; "" si vide, null si illisible
+const parseLegacyGoalDate = (text: any, now: Date = new Date()) => {
+  if (typeof text !== 'string' || !text.trim()) return "";
+  const match = text.trim().toLowerCase().match(/^(\d{1,2})\s+([a-zéû]+)\.?(?:\s+(\d{4}))?$/);
+  if (!match) return null;
+  const month = FRENCH_MONTHS.findIndex(m => match[2].startsWith(m) || m.startsWith(match[2]));
+  const day = Number(match[1]);
+  if (month === -1 || day < 1 || day > 31) return null;
+
+  let year = match[3] ? Number(match[3]) : now.getFullYear();
+  const candidate = new Date(year, month, day);
+  if (!match[3] && candidate < new Date(now.getFullYear(), now.getMonth(), now.getDate())) year += 1;
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const crisisDefaults = () => ({
+  contacts: [],
+  strategies: [],
+  warningSigns: [],
+  safePlaces: [],
+  protocol: DEFAULT_PROTOCOL.map(step => ({ ...step })),
+});
+
+// Protocole absent ou vide : on repart du protocole par défaut
+const normalizeProtocol = (protocol: any) => {
+  const steps = (Array.isArray(protocol) ? protocol : [])
+    .filter(step => isObject(step) && typeof step.id === 'string' && CRISIS_STEP_TYPES.includes(step.type))
+    .map(step => ({ ...step, enabled: step.enabled !== false }));
+  return steps.length ? steps : DEFAULT_PROTOCOL.map(step => ({ ...step }));
+};
+
+const bool = (v: any, fallback: boolean) => (typeof v === 'boolean' ? v : fallback);
+
+// { [id]: chaîne } : les entrées d'un autre type sont écartées
+const strMap = (v: any) => {
+  const out: { [k: string]: string } = {};
+  if (isObject(v)) Object.keys(v).forEach(k => { if (typeof v[k] === 'string') out[k] = v[k]; });
+  return out;
+};
+
+// { [jour]: mousquetons cochés } : jours illisibles et jours sans coche écartés
+const normalizeChecks = (v: any) => {
+  const out: { [day: string]: string[] } = {};
+  if (!isObject(v)) return out;
+  Object.keys(v).forEach(day => {
+    const keys = CARABINER_KEYS.filter(key => Array.isArray(v[day]) && v[day].includes(key));
+    if (DAY_KEY.test(day) && keys.length) out[day] = keys;
+  });
+  return out;
+};
+
+const strList = (v: any) => (Array.isArray(v) ? v : []).filter(item => typeof item === 'string');
+
+// v1 -> v2 : les étapes 'booster' et 'support' deviennent 'strategies' et
+// 'contacts', et les nouvelles étapes par défaut sont insérées à leur place
+const upgradeProtocolV2 = (protocol: any) => {
+  const RENAMED: { [type: string]: string } = { booster: 'strategies', support: 'contacts' };
+  const steps = (Array.isArray(protocol) ? protocol : []).filter(isObject).map(step => (
+    RENAMED[step.type]
+      ? { ...step, type: RENAMED[step.type], id: step.id === step.type ? RENAMED[step.type] : step.id }
+      : step
+  ));
+  if (!steps.length) return steps;
+
+  let cursor = -1;
+  DEFAULT_PROTOCOL.forEach(def => {
+    const index = def.type === 'message'
+      ? steps.findIndex(step => step.id === def.id)
+      : steps.findIndex(step => step.type === def.type);
+    if (index === -1) {
+      cursor += 1;
+      steps.splice(cursor, 0, { ...def });
+    } else {
+      cursor = index;
+    }
+  });
+  return steps;
+};
+
+export const SCHEMAS: { [key: string]: Schema } = {
+  pilot_radar: {
+    version: 2,
+    defaults: radarDefaults,
+    migrations: [data => data, upgradeRadarV2],
+    normalize: data => normalizeRadar(data),
+  },
+
+  pilot_radar_history: {
+    version: 2,
+    defaults: () => [],
+    migrations: [data => data, data => (Array.isArray(data) ? data.map(upgradeRadarV2) : data)],
+    normalize: data => (Array.isArray(data) ? data : [])
+      .filter(s => isObject(s) && typeof s.date === 'string' && DAY_KEY.test(s.date))
+      .map(s => normalizeRadar(s)),
+  },
+
+  pilot_goal: {
+    version: 2,
+    defaults: () => ({ goals: [], selectedId: null }),
+    migrations: [
+      data => data,
+      // v2 : un seul objectif -> liste d'objectifs avec échéance réelle et statut
+      data => {
+        const legacy = isObject(data) ? data : {};
+        const isEmpty = ['title', 'carb_cognitive', 'carb_physical', 'carb_recovery']
+          .every(k => !legacy[k]);
+        if (isEmpty) return { goals: [], selectedId: null };
+
+        const deadline = parseLegacyGoalDate(legacy.date);
+        const goal = {
+          id: Date.now(),
+          title: str(legacy.title, ""),
+          deadline: deadline || "",
+          status: 'active',
+          carb_cognitive: str(legacy.carb_cognitive, ""),
+          carb_physical: str(legacy.carb_physical, ""),
+          carb_recovery: str(legacy.carb_recovery, ""),
+          // Texte libre non reconnu : on le garde plutôt que de le perdre
+          ...(deadline === null && legacy.date ? { legacyDate: legacy.date } : {}),
+        };
+        return { goals: [goal], selectedId: goal.id };
+      },
+    ],
+    normalize: data => {
+      const src = isObject(data) ? data : {};
+      const goals = (Array.isArray(src.goals) ? src.goals : [])
+        .filter(isObject)
+        .map((g: any, i: number) => ({
+          ...g,
+          id: typeof g.id === 'number' ? g.id : i + 1,
+          title: str(g.title, ""),
+          deadline: typeof g.deadline === 'string' && DAY_KEY.test(g.deadline) ? g.deadline : "",
+          status: GOAL_STATUSES.includes(g.status) ? g.status : 'active',
+          carb_cognitive: str(g.carb_cognitive, ""),
+          carb_physical: str(g.carb_physical, ""),
+          carb_recovery: str(g.carb_recovery, ""),
+          checks: normalizeChecks(g.checks),
+        }));
+      const selectedId = goals.some((g: any) => g.id === src.selectedId) ? src.selectedId : (goals.length ? goals[0].id : null);
+      return { ...src, goals, selectedId };
+    },
+  },
+
+  pilot_logs: {
+    version: 2,
+    defaults: () => [],
+    migrations: [
+      data => data,
+      // v2 : `date` devient un horodatage ISO. L'ancien libellé ("Lun 1") n'avait
+      // ni mois ni année, mais l'id était un Date.now() pris à la création.
+      data => (Array.isArray(data) ? data : []).map(entry => (
+        isObject(entry) && typeof entry.id === 'number' && entry.id > MIN_TIMESTAMP
+          ? { ...entry, date: new Date(entry.id).toISOString() }
+          : entry
+      )),
+    ],
+    normalize: data => (Array.isArray(data) ? data : [])
+      .filter(entry => isObject(entry) && typeof entry.domain === 'string')
+      .map((entry, i) => {
+        const { category, ...rest } = entry;
+        return {
+          ...rest,
+          id: typeof entry.id === 'number' ? entry.id : i,
+          date: str(entry.date, ""),
+          // Catégorie facultative : un des trois mousquetons de l'objectif
+          ...(CARABINER_KEYS.includes(category) ? { category } : {}),
+        };
+      }),
+  },
+
+  pilot_crisis: {
+    version: 3,
+    defaults: crisisDefaults,
+    migrations: [
+      data => data,
+      // v2 : une personne ressource et un booster -> plan de crise complet
+      data => {
+        const { supportPerson, supportPhone, booster, ...rest }: any = isObject(data) ? data : {};
+        const name = str(supportPerson, "").trim();
+        const phone = str(supportPhone, "").trim();
+        return {
+          ...rest,
+          contacts: name || phone ? [{ id: 'contact-1', name, phone }] : [],
+          strategies: str(booster, "").trim() ? [booster.trim()] : [],
+          warningSigns: [],
+          safePlaces: [],
+          protocol: upgradeProtocolV2(rest.protocol),
+        };
+      },
+      // v3 : la consigne par défaut n'est plus écrite dans le plan, elle suit la langue
+      data => (isObject(data) && Array.isArray(data.protocol)
+        ? {
+          ...data,
+          protocol: data.protocol.map((step: any) => (
+            isObject(step) && step.type === 'message' && step.text === LEGACY_DEFAULT_MESSAGE ? { ...step, text: "" } : step
+          )),
+        }
+        : data),
+    ],
+    normalize: data => {
+      const src = isObject(data) ? data : {};
+      return {
+        ...src,
+        contacts: (Array.isArray(src.contacts) ? src.contacts : [])
+          .filter(isObject)
+          .map((c: any, i: number) => ({
+            ...c,
+            id: typeof c.id === 'string' ? c.id : `contact-${i + 1}`,
+            name: str(c.name, ""),
+            phone: str(c.phone, ""),
+          })),
+        strategies: strList(src.strategies),
+        warningSigns: strList(src.warningSigns),
+        safePlaces: strList(src.safePlaces),
+        protocol: normalizeProtocol(src.protocol),
+      };
+    },
+  },
+
+  pilot_crisis_log: {
+    version: 1,
+    defaults: () => [],
+    migrations: [data => data],
+    normalize: data => (Array.isArray(data) ? data : [])
+      .filter(s => isObject(s) && typeof s.id === 'number' && typeof s.startedAt === 'string')
+      .map(s => ({
+        ...s,
+        durationSec: num(s.durationSec, 0, 0, Infinity),
+        before: typeof s.before === 'number' ? num(s.before, 0, 0, 10) : null,
+        after: typeof s.after === 'number' ? num(s.after, 0, 0, 10) : null,
+        completed: s.completed === true,
+      })),
+  },
+
+  pilot_fog_episodes: {
+    version: 1,
+    defaults: () => [],
+    migrations: [data => data],
+    normalize: data => (Array.isArray(data) ? data : [])
+      .filter(e => isObject(e) && typeof e.id === 'number' && typeof e.startedAt === 'string')
+      .map(e => ({
+        ...e,
+        endedAt: typeof e.endedAt === 'string' ? e.endedAt : null,
+        ...episodeReadings(e),
+        sosAt: typeof e.sosAt === 'string' ? e.sosAt : null,
+      })),
+  },
+
+  pilot_scoring: {
+    version: 1,
+    defaults: () => normalizeScoringConfig(DEFAULT_SCORING_CONFIG),
+    migrations: [data => data],
+    normalize: normalizeScoringConfig,
+  },
+
+  pilot_trajectory: {
+    version: 1,
+    defaults: () => [],
+    migrations: [data => data],
+    normalize: data => (Array.isArray(data) ? data : [])
+      .filter(p => isObject(p) && typeof p.date === 'string' && DAY_KEY.test(p.date))
+      .map(p => ({ ...p, x: num(p.x, 0, 0, 10), y: num(p.y, 0, 0, 10) })),
+  },
+
+  pilot_reminders: {
+    version: 1,
+    defaults: () => ({ ...DEFAULT_REMINDER_SETTINGS, checkInTimes: [...DEFAULT_REMINDER_SETTINGS.checkInTimes] }),
+    migrations: [data => data],
+    normalize: data => {
+      const src = isObject(data) ? data : {};
+      const d = DEFAULT_REMINDER_SETTINGS;
+      return {
+        ...src,
+        enabled: bool(src.enabled, d.enabled),
+        checkInTimes: Array.isArray(src.checkInTimes)
+          ? src.checkInTimes.filter((t: any) => typeof t === 'string' && TIME_PATTERN.test(t))
+          : [...d.checkInTimes],
+        streakNudge: bool(src.streakNudge, d.streakNudge),
+        streakTime: typeof src.streakTime === 'string' && TIME_PATTERN.test(src.streakTime) ? src.streakTime : d.streakTime,
+        deadlineWarning: bool(src.deadlineWarning, d.deadlineWarning),
+        deadlineDays: Math.round(num(src.deadlineDays, d.deadlineDays, 0, 60)),
+        systemNotifications: bool(src.systemNotifications, d.systemNotifications),
+        delivered: strMap(src.delivered),
+        scheduled: strMap(src.scheduled),
+      };
+    },
+  },
+
+  // Langue de l'interface ; par défaut celle du navigateur si l'app la parle
+  pilot_locale: {
+    version: 1,
+    defaults: () => detectLocale(),
+    migrations: [data => data],
+    normalize: data => (isLocale(data) ? data : detectLocale()),
+  },
+
+  // Verrouillage (lock.ts) : sel et vérificateur du code, jamais le code lui-même
+  pilot_lock: {
+    version: 1,
+    defaults: () => null,
+    migrations: [data => data],
+    normalize: data => (
+      isObject(data) && typeof data.salt === 'string' && typeof data.iterations === 'number' &&
+      isObject(data.check) && typeof data.check.iv === 'string' && typeof data.check.cipher === 'string'
+        ? { ...data, autoLockMinutes: Math.round(num(data.autoLockMinutes, 5, 0, 24 * 60)) }
+        : null
+    ),
+  },
+};
+
+// --- SECURE LAYER ---
+//
+// Les clés chiffrées ne sont pas lues dans le localStorage mais dans la couche
+// installée par lock.ts : un cache en mémoire, vide tant que l'app est verrouillée.
+
+export type SecureLayer = {
+  keys: StorageKey[];
+  read: (key: StorageKey) => string | null;
+  write: (key: StorageKey, raw: string) => void;
+};
+
+let secureLayer: SecureLayer | null = null;
+
+export const setSecureLayer = (layer: SecureLayer | null) => {
+  secureLayer = layer;
+};
+
+// Valeur chiffrée telle qu'enregistrée par lock.ts
+export const isEncryptedValue = (value: any) => isObject(value) && value.encrypted === true;
+
+const readRaw = (key: StorageKey) =>
+  (secureLayer && secureLayer.keys.includes(key) ? secureLayer.read(key) : window.localStorage.getItem(key));
+
+const writeRaw = (key: StorageKey, raw: string) => {
+  if (secureLayer && secureLayer.keys.includes(key)) secureLayer.write(key, raw);
+  else window.localStorage.setItem(key, raw);
+};
+
+// --- RECOVERY ---
+
+const recoveryEvents: RecoveryEvent[] = [];
+
+// Met la valeur brute de côté pour qu'elle reste récupérable à la main. Une
+// fois copiée, l'originale est retirée : la lecture suivante repart des valeurs
+// par défaut au lieu d'en refaire une copie à chaque lancement.
+const quarantine = (key: string, raw: string, reason: string) => {
+  const backupKey = `${key}${CORRUPT_SUFFIX}${Date.now()}`;
+  try {
+    window.localStorage.setItem(backupKey, raw);
+    window.localStorage.removeItem(key);
+  } catch (error) {
+    console.error(error);
+  }
+  recoveryEvents.push({ key, backupKey, reason });
+  console.warn(`[storage] ${key}: ${reason}. Valeur d'origine conservée sous ${backupKey}`);
+};
+
+// Incidents de lecture survenus pendant cette session
+export const getRecoveryEvents = () => recoveryEvents.slice();
+
+export const listCorruptBackups = () =>
+  Object.keys(window.localStorage).filter(k => k.includes(CORRUPT_SUFFIX));
+
+// --- READ / WRITE ---
+
+const getSchema = (key: StorageKey) => {
+  const schema = SCHEMAS[key];
+  if (!schema) throw new Error(`[storage] Clé inconnue : ${key}`);
+  return schema;
+};
+
+// Applique les migrations manquantes puis complète les champs absents
+export const migrate = (key: StorageKey, stored: any) => {
+  const schema = getSchema(key);
+  const isEnvelope = isObject(stored) && typeof stored.version === 'number' && 'data' in stored;
+  let version = isEnvelope ? stored.version : 0;
+  let data = isEnvelope ? stored.data : stored;
+
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`[storage] ${key}: version ${version} invalide`);
+  }
+
+  if (version > schema.version) {
+    // Données écrites par une version plus récente de l'app : on lit sans rien retirer
+    console.warn(`[storage] ${key}: version ${version} inconnue (max ${schema.version})`);
+    return schema.normalize(data);
+  }
+
+  while (version < schema.version) {
+    data = schema.migrations[version](data);
+    version += 1;
+  }
+  return schema.normalize(data);
+};
+
+export const loadValue = (key: StorageKey) => {
+  const schema = getSchema(key);
+  let raw = null;
+  try {
+    raw = readRaw(key);
+  } catch (error) {
+    console.error(error);
+    return schema.defaults();
+  }
+  if (raw === null) return schema.defaults();
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    quarantine(key, raw, 'JSON illisible');
+    return schema.defaults();
+  }
+  // Chiffré mais sans verrou pour le lire : on garde la valeur telle quelle
+  if (isEncryptedValue(parsed)) {
+    quarantine(key, raw, 'données chiffrées sans verrou');
+    return schema.defaults();
+  }
+
+  try {
+    return migrate(key, parsed);
+  } catch (error) {
+    console.error(error);
+    quarantine(key, raw, 'migration impossible');
+    return schema.defaults();
+  }
+};
+
+export const saveValue = (key: StorageKey, value: any) => {
+  const schema = getSchema(key);
+  writeRaw(key, JSON.stringify({ version: schema.version, data: value }));
+};
@@ -0,0 +1,34 @@
+// --- TYPES & INTERFACES ---
+
+import { type MatrixPosition } from './scoring';
+
+// Influence extérieure réglée par le pilote. Libellé vide : nom par défaut
+// des capteurs d'origine (radar.axis.<id>)
+export type RadarSensor = {
+  id: string;
+  label: string;
+  value: number;
+};
+
+export type RadarState = {
+  inner: number;
+  fog: number;
+  sensors: RadarSensor[]; // dans l'ordre d'affichage
+};
+
+export type RadarSnapshot = RadarState & {
+  date: string; // Jour local au format YYYY-MM-DD
+};
+
+export type TrajectoryPoint = MatrixPosition & {
+  date: string; // Jour local au format YYYY-MM-DD
+};
+
+export type CarabinerKey = 'carb_cognitive' | 'carb_physical' | 'carb_recovery';
+
+export type LogEntry = {
+  id: number;
+  date: string; // Horodatage ISO, formaté à l'affichage
+  domain: string;
+  category?: CarabinerKey;
+};
@@ -0,0 +1,13 @@
+const plugin = require('tailwindcss/plugin');
+
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: ['./src/**/*.{js,jsx,ts,tsx}', './public/index.html'],
+  theme: {
+    extend: {},
+  },
+  plugins: [
+    // dashboard: styles réservés à la mise en page adaptative (pas à la maquette de démo)
+    plugin(({ addVariant }) => addVariant('dashboard', '.dashboard &')),
+  ],
+};